@@ -0,0 +1,89 @@
+//@ts-check
+const fs = require("fs");
+const nodePath = require("path");
+const crypto = require("crypto");
+
+/*
+ * File based store for the `cache` option, which keeps remote trees and known blob shas between runs.
+ *
+ * Any object with async `get` and `set` functions can be used instead, like a wrapper around Redis.
+ */
+
+/**
+ * Keeps each cached value in a JSON file in a folder.  Files are replaced whole, so the folder can be shared by several processes.
+ */
+class FileCacheStore {
+  /**
+   * @param {string} folder Where the cache files are kept.  Created when the first value is saved.
+   */
+  constructor(folder) {
+    if (!folder) {
+      throw new Error("FileCacheStore requires a folder");
+    }
+
+    this.folder = folder;
+  }
+
+  /**
+   * Returns the file for a key
+   *
+   * @param {string} key
+   */
+  __filePath(key) {
+    const name = crypto.createHash("sha256").update(key).digest("hex");
+    return nodePath.join(this.folder, `${name}.json`);
+  }
+
+  /**
+   * Returns the value saved for a key, or `undefined`
+   *
+   * @param {string} key
+   * @returns {Promise<*>}
+   */
+  async get(key) {
+    try {
+      const saved = JSON.parse(
+        await fs.promises.readFile(this.__filePath(key), "utf8")
+      );
+
+      return saved.key === key ? saved.value : undefined;
+    } catch (error) {
+      //Missing or half written files are cache misses
+      if (
+        /** @type {*} */ (error).code === "ENOENT" ||
+        error instanceof SyntaxError
+      ) {
+        return undefined;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Saves a JSON value for a key
+   *
+   * @param {string} key
+   * @param {*} value
+   */
+  async set(key, value) {
+    const filePath = this.__filePath(key);
+    const tempPath = `${filePath}.${process.pid}.${crypto
+      .randomBytes(4)
+      .toString("hex")}.tmp`;
+
+    await fs.promises.mkdir(this.folder, { recursive: true });
+    await fs.promises.writeFile(tempPath, JSON.stringify({ key, value }));
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  /**
+   * Removes a key
+   *
+   * @param {string} key
+   */
+  async delete(key) {
+    await fs.promises.rm(this.__filePath(key), { force: true });
+  }
+}
+
+module.exports = { FileCacheStore };
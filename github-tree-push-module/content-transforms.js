@@ -0,0 +1,136 @@
+//@ts-check
+
+/*
+ * Built-in content transforms for `GitHubTreePush.addTransform`.
+ *
+ * Transforms run before content is hashed, so formatting-only differences (line endings, BOMs, key order)
+ * don't show up as changes.  Each one returns a function of `(content, path)` that returns the new content.
+ */
+
+/**
+ * @typedef {function(*,string):*} ContentTransform
+ */
+
+/**
+ * Applies a text change to string content, Buffers that hold text, and objects (serialized as JSON first).
+ * Binary Buffers are returned unchanged.
+ *
+ * @param {*} content
+ * @param {function(string):string} change
+ */
+const mapText = (content, change) => {
+  if (typeof content === "string") {
+    return change(content);
+  }
+
+  if (Buffer.isBuffer(content)) {
+    return content.subarray(0, 8000).includes(0)
+      ? content
+      : Buffer.from(change(content.toString("utf8")), "utf8");
+  }
+
+  return change(JSON.stringify(content, null, 2));
+};
+
+/**
+ * Converts CRLF and CR line endings
+ *
+ * @param {string} [eol] Line ending to use.  Default `\n`.
+ * @returns {ContentTransform}
+ */
+const lineEndings = eol => content =>
+  mapText(content, text => {
+    const lf = text.replace(/\r\n?/g, "\n");
+    return eol && eol !== "\n" ? lf.replace(/\n/g, eol) : lf;
+  });
+
+/**
+ * Ends text with exactly one newline, or with none
+ *
+ * @param {string} [policy] `ensure` (exactly one) or `remove`.  Default `ensure`.
+ * @returns {ContentTransform}
+ */
+const trailingNewline = policy => {
+  if (policy && !["ensure", "remove"].includes(policy)) {
+    throw new Error(`Invalid trailingNewline policy "${policy}"`);
+  }
+
+  return content =>
+    mapText(content, text => {
+      const trimmed = text.replace(/(\r?\n)+$/, "");
+      if (policy === "remove" || !trimmed) {
+        return trimmed;
+      }
+      return `${trimmed}${text.includes("\r\n") ? "\r\n" : "\n"}`;
+    });
+};
+
+/**
+ * Removes a UTF-8 byte order mark
+ *
+ * @returns {ContentTransform}
+ */
+const stripBom = () => content => {
+  if (typeof content === "string") {
+    return content.replace(/^\uFEFF/, "");
+  }
+
+  if (
+    Buffer.isBuffer(content) &&
+    content[0] === 0xef &&
+    content[1] === 0xbb &&
+    content[2] === 0xbf
+  ) {
+    return content.subarray(3);
+  }
+
+  return content;
+};
+
+/**
+ * Returns a copy of a JSON value with object keys sorted, at every level.  Values with `toJSON` (like Dates) are converted first, as `JSON.stringify` would.
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+const sortKeys = value => {
+  if (value && typeof value.toJSON === "function") {
+    return sortKeys(value.toJSON());
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .map(key => [key, sortKeys(value[key])])
+    );
+  }
+
+  return value;
+};
+
+/**
+ * Serializes JSON with object keys in a stable (sorted) order.  Works on objects, and on JSON strings or Buffers.
+ *
+ * @param {number | string} [space] Indent passed to `JSON.stringify`.  Default 2.
+ * @returns {ContentTransform}
+ */
+const sortedJson = space => (content, path) => {
+  let value = content;
+
+  if (typeof content === "string" || Buffer.isBuffer(content)) {
+    try {
+      value = JSON.parse(content.toString());
+    } catch (e) {
+      throw new Error(`Invalid JSON - ${path}`);
+    }
+  }
+
+  return JSON.stringify(sortKeys(value), null, space ?? 2);
+};
+
+module.exports = { lineEndings, trailingNewline, stripBom, sortedJson };
@@ -0,0 +1,77 @@
+//@ts-check
+const fs = require("fs");
+const nodePath = require("path");
+const crypto = require("crypto");
+
+/*
+ * A folder of downloaded files kept between runs, so unchanged downloads can be
+ * requested conditionally (If-None-Match / If-Modified-Since) and reused on a 304.
+ *
+ * Each URL gets two files, named by the sha256 of the URL: the content, and a `.json` file with the validators.
+ */
+
+/**
+ * @typedef {object} DownloadCacheEntry
+ * @property {string} url
+ * @property {string} filePath Where the cached content is.
+ * @property {string} sha256 sha256 (hex) of the cached content.
+ * @property {string} contentType `Content-Type` from the response.
+ * @property {string} [etag] `ETag` from the response.
+ * @property {string} [lastModified] `Last-Modified` from the response.
+ */
+
+/**
+ * Returns where the content and validators for a URL are kept
+ *
+ * @param {string} folder
+ * @param {string} url
+ */
+const cacheFiles = (folder, url) => {
+  const name = crypto.createHash("sha256").update(url).digest("hex");
+  return {
+    filePath: nodePath.join(folder, name),
+    metaPath: nodePath.join(folder, `${name}.json`)
+  };
+};
+
+/**
+ * Returns the cache entry for a URL, or `null` if there isn't a usable one
+ *
+ * @param {string} folder
+ * @param {string} url
+ * @returns {Promise<DownloadCacheEntry | null>}
+ */
+const readCacheEntry = async (folder, url) => {
+  const { filePath, metaPath } = cacheFiles(folder, url);
+  try {
+    const meta = JSON.parse(await fs.promises.readFile(metaPath, "utf8"));
+    await fs.promises.access(filePath);
+
+    return meta.url === url ? { ...meta, filePath } : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Saves the validators for a downloaded URL.  Responses without an `ETag` or `Last-Modified` can't be requested conditionally, so nothing is kept for them, and an earlier entry is removed.
+ *
+ * @param {string} folder
+ * @param {DownloadCacheEntry} entry
+ */
+const writeCacheEntry = async (folder, entry) => {
+  const { filePath, metaPath } = cacheFiles(folder, entry.url);
+
+  if (entry.etag || entry.lastModified) {
+    const { url, sha256, contentType, etag, lastModified } = entry;
+    await fs.promises.writeFile(
+      metaPath,
+      JSON.stringify({ url, sha256, contentType, etag, lastModified })
+    );
+  } else {
+    await fs.promises.rm(metaPath, { force: true });
+    await fs.promises.rm(filePath, { force: true });
+  }
+};
+
+module.exports = { cacheFiles, readCacheEntry, writeCacheEntry };
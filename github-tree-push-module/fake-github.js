@@ -0,0 +1,2128 @@
+//@ts-check
+const crypto = require("crypto");
+const http = require("http");
+const { Response } = require("node-fetch/lib");
+
+/*
+ * An in-memory stand-in for the parts of the GitHub REST API used by GitHubTreePush.
+ *
+ * Objects are stored the same way git stores them (content addressed, with git compatible shas),
+ * so trees, commits and compares behave like the real thing.
+ */
+
+/** Mode used by git for sub-trees */
+const treeMode = "40000";
+
+/**
+ * @typedef {object} FakeGitHubOptions
+ * @property {string} [token] When set, requests must use this token as a Bearer token.
+ * @property {string} [htmlBaseUrl] Base for `html_url` values. Default `https://github.local`.
+ * @property {number} [treeEntryLimit] Number of rows returned from a tree listing before it is `truncated`.
+ * @property {number} [mergeabilityDelay] Number of pull request reads that return a mergeable state of `unknown`.
+ */
+
+/**
+ * @typedef {object} FakeTreeEntry
+ * @property {string} mode
+ * @property {string} name
+ * @property {string} sha
+ */
+
+/**
+ * @typedef {object} FakeTreeEdit
+ * @property {string[]} parts path parts
+ * @property {{mode:string,sha:string} | null} entry `null` to remove
+ */
+
+/**
+ * @typedef {object} FakePerson
+ * @property {string} name
+ * @property {string} email
+ * @property {string} [date]
+ */
+
+/**
+ * @typedef {object} FakeCommit
+ * @property {string} tree
+ * @property {string[]} parents
+ * @property {string} author
+ * @property {string} committer
+ * @property {string} [gpgsig]
+ * @property {string} message
+ */
+
+/**
+ * @typedef {object} FakeCheckRun
+ * @property {string} [name]
+ * @property {string} status queued, in_progress or completed
+ * @property {string | null} [conclusion] success, failure, etc
+ * @property {string} [html_url]
+ */
+
+/**
+ * @typedef {object} FakeCommitStatus
+ * @property {string} [context]
+ * @property {string} state pending, success, failure or error
+ * @property {string} [target_url]
+ */
+
+/**
+ * @typedef {object} FakeReview
+ * @property {string} login reviewer
+ * @property {string} state APPROVED, CHANGES_REQUESTED, COMMENTED or DISMISSED
+ */
+
+/**
+ * @typedef {object} FakeRequest
+ * @property {string} method
+ * @property {string} url
+ * @property {Object<string,string>} headers lower case header names
+ * @property {Buffer} [body]
+ */
+
+/**
+ * @typedef {object} FakeAppInstallation
+ * @property {string | number} appId
+ * @property {string} publicKey PEM public key for the app's private key
+ * @property {number} installationId
+ * @property {string[]} [repos] `owner/repo` names the app is installed on.  Default is all repos.
+ * @property {number} [tokenLifetime] Seconds installation tokens last.  Default 3600.
+ */
+
+/**
+ * @typedef {object} FakeResponse
+ * @property {number} status
+ * @property {Object<string,string>} headers
+ * @property {Buffer} [body]
+ */
+
+/** Error that becomes an API error response */
+class FakeHttpError extends Error {
+  /**
+   * @param {number} status
+   * @param {string} message
+   */
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Returns the git object type for a tree entry mode
+ *
+ * @param {string} mode
+ */
+const typeFromMode = mode =>
+  mode === treeMode ? "tree" : mode === "160000" ? "commit" : "blob";
+
+/**
+ * Git sorts tree entries by name, as if sub-tree names ended in a "/"
+ *
+ * @param {FakeTreeEntry} a
+ * @param {FakeTreeEntry} b
+ */
+const gitTreeSort = (a, b) =>
+  Buffer.compare(
+    Buffer.from(a.mode === treeMode ? `${a.name}/` : a.name),
+    Buffer.from(b.mode === treeMode ? `${b.name}/` : b.name)
+  );
+
+/**
+ * Formats a person for a git commit object (`Name <email> 1600000000 +0000`)
+ *
+ * @param {FakePerson} person
+ */
+const gitPerson = person => {
+  const date = person.date || new Date().toISOString();
+  const seconds = Math.floor(Date.parse(date) / 1000);
+  const offset = /([+-])(\d\d):?(\d\d)$/.exec(date);
+  const zone = offset ? `${offset[1]}${offset[2]}${offset[3]}` : "+0000";
+
+  return `${person.name} <${person.email}> ${seconds} ${zone}`;
+};
+
+/**
+ * Formats a commit the way git stores it
+ *
+ * @param {FakeCommit} commit
+ * @param {boolean} withSignature `false` for the payload that a signature covers
+ */
+const commitText = (commit, withSignature) => {
+  const lines = [`tree ${commit.tree}`];
+  commit.parents.forEach(p => lines.push(`parent ${p}`));
+  lines.push(`author ${commit.author}`, `committer ${commit.committer}`);
+  if (withSignature && commit.gpgsig) {
+    lines.push(`gpgsig ${commit.gpgsig.split("\n").join("\n ")}`);
+  }
+
+  return `${lines.join("\n")}\n\n${commit.message}`;
+};
+
+/**
+ * Returns each reviewer's latest review that counts towards merging
+ *
+ * @param {FakeReview[]} reviews
+ */
+const latestReviews = reviews => {
+  /** @type {Map<string,FakeReview>} */
+  const latest = new Map();
+  reviews
+    .filter(x => x.state !== "COMMENTED")
+    .forEach(x => latest.set(x.login, x));
+  return [...latest.values()];
+};
+
+/**
+ * Turns a git commit object person back into API json
+ *
+ * @param {string} line
+ * @returns {FakePerson}
+ */
+const parsePerson = line => {
+  const match = /^(.*) <(.*)> (\d+) ([+-]\d{4})$/.exec(line);
+  if (!match) {
+    return { name: line, email: "" };
+  }
+  return {
+    name: match[1],
+    email: match[2],
+    date: new Date(Number(match[3]) * 1000).toISOString().replace(".000Z", "Z")
+  };
+};
+
+/**
+ * The identity used when one isn't specified
+ *
+ * @returns {FakePerson}
+ */
+const defaultPerson = () => ({
+  name: "Fake User",
+  email: "fake-user@github.local"
+});
+
+/**
+ * Builds a JSON API response, with conditional request support
+ *
+ * @param {FakeRequest} request
+ * @param {string} method
+ * @param {number} status
+ * @param {*} json
+ * @returns {FakeResponse}
+ */
+const jsonResponse = (request, method, status, json) => {
+  if (status === 204 || json === undefined) {
+    return { status, headers: {} };
+  }
+
+  const body = Buffer.from(JSON.stringify(json), "utf8");
+  const etag = `"${crypto.createHash("sha1").update(body).digest("hex")}"`;
+
+  if (
+    method === "GET" &&
+    status === 200 &&
+    request.headers["if-none-match"] === etag
+  ) {
+    return { status: 304, headers: { etag } };
+  }
+
+  return {
+    status,
+    headers: {
+      "content-type": "application/json; charset=utf-8",
+      "x-ratelimit-remaining": "4999",
+      etag
+    },
+    body: method === "HEAD" ? undefined : body
+  };
+};
+
+/**
+ * Builds a Git LFS API response
+ *
+ * @param {number} status
+ * @param {*} json
+ * @returns {FakeResponse}
+ */
+const lfsResponse = (status, json) => ({
+  status,
+  headers: { "content-type": "application/vnd.git-lfs+json" },
+  body: Buffer.from(JSON.stringify(json), "utf8")
+});
+
+/**
+ * One repository in the fake, with its own object store, refs and pull requests
+ */
+class FakeRepository {
+  /**
+   * @param {string} owner
+   * @param {string} name
+   * @param {string} defaultBranch
+   * @param {FakeGitHubOptions} options
+   */
+  constructor(owner, name, defaultBranch, options) {
+    this.owner = owner;
+    this.name = name;
+    this.defaultBranch = defaultBranch;
+    this.options = options;
+    this.htmlUrl = `${options.htmlBaseUrl}/${owner}/${name}`;
+
+    /** @type {Map<string,{type:string,data:Buffer}>} */
+    this.objects = new Map();
+
+    /**
+     * Branch name to commit sha
+     *
+     * @type {Map<string,string>}
+     */
+    this.branches = new Map();
+
+    /** @type {*[]} */
+    this.pulls = [];
+
+    /**
+     * Check runs by commit sha
+     *
+     * @type {Map<string,FakeCheckRun[]>}
+     */
+    this.checkRuns = new Map();
+
+    /**
+     * Check runs reported for commits that don't have their own
+     *
+     * @type {FakeCheckRun[]}
+     */
+    this.defaultCheckRuns = [];
+
+    /**
+     * Commit statuses by commit sha
+     *
+     * @type {Map<string,FakeCommitStatus[]>}
+     */
+    this.statuses = new Map();
+
+    /**
+     * Commit statuses reported for commits that don't have their own
+     *
+     * @type {FakeCommitStatus[]}
+     */
+    this.defaultStatuses = [];
+
+    /** Approving reviews needed before a pull request can be merged */
+    this.requiredApprovals = 0;
+
+    /** `true` to delete pull request branches when they are merged */
+    this.deleteBranchOnMerge = false;
+
+    /**
+     * Git LFS object content by oid (sha256)
+     *
+     * @type {Map<string,Buffer>}
+     */
+    this.lfsObjects = new Map();
+  }
+
+  /**
+   * Stores a git object and returns its sha
+   *
+   * @param {string} type blob, tree or commit
+   * @param {Buffer} data
+   */
+  writeObject(type, data) {
+    const sha = crypto
+      .createHash("sha1")
+      .update(`${type} ${data.length}\0`)
+      .update(data)
+      .digest("hex");
+
+    this.objects.set(sha, { type, data });
+
+    return sha;
+  }
+
+  /**
+   * @param {string} sha
+   * @param {string} [type] expected type
+   */
+  readObject(sha, type) {
+    const object = this.objects.get(sha);
+    if (!object || (type && object.type !== type)) {
+      throw new FakeHttpError(404, "Not Found");
+    }
+    return object;
+  }
+
+  /**
+   * @param {string} sha
+   * @returns {FakeTreeEntry[]}
+   */
+  readTree(sha) {
+    const data = this.readObject(sha, "tree").data;
+    /** @type {FakeTreeEntry[]} */
+    const entries = [];
+
+    let index = 0;
+    while (index < data.length) {
+      const space = data.indexOf(0x20, index);
+      const nul = data.indexOf(0, space);
+      entries.push({
+        mode: data.toString("utf8", index, space),
+        name: data.toString("utf8", space + 1, nul),
+        sha: data.toString("hex", nul + 1, nul + 21)
+      });
+      index = nul + 21;
+    }
+
+    return entries;
+  }
+
+  /**
+   * @param {FakeTreeEntry[]} entries
+   */
+  writeTree(entries) {
+    return this.writeObject(
+      "tree",
+      Buffer.concat(
+        [...entries]
+          .sort(gitTreeSort)
+          .map(e =>
+            Buffer.concat([
+              Buffer.from(`${e.mode} ${e.name}\0`),
+              Buffer.from(e.sha, "hex")
+            ])
+          )
+      )
+    );
+  }
+
+  /**
+   * @param {string} sha
+   * @returns {FakeCommit}
+   */
+  readCommit(sha) {
+    const text = this.readObject(sha, "commit").data.toString("utf8");
+    const split = text.indexOf("\n\n");
+    const headerLines = text.slice(0, split).split("\n");
+
+    /** @type {FakeCommit} */
+    const commit = {
+      tree: "",
+      parents: [],
+      author: "",
+      committer: "",
+      message: text.slice(split + 2)
+    };
+
+    for (let i = 0; i < headerLines.length; i++) {
+      const line = headerLines[i];
+      const key = line.slice(0, line.indexOf(" "));
+      const value = line.slice(key.length + 1);
+
+      if (key === "parent") {
+        commit.parents.push(value);
+      } else if (key === "gpgsig") {
+        const signature = [value];
+        while (headerLines[i + 1]?.startsWith(" ")) {
+          signature.push(headerLines[++i].slice(1));
+        }
+        commit.gpgsig = signature.join("\n");
+      } else if (key === "tree") {
+        commit.tree = value;
+      } else if (key === "author") {
+        commit.author = value;
+      } else if (key === "committer") {
+        commit.committer = value;
+      }
+    }
+
+    return commit;
+  }
+
+  /**
+   * @param {FakeCommit} commit
+   */
+  writeCommit(commit) {
+    return this.writeObject(
+      "commit",
+      Buffer.from(commitText(commit, true), "utf8")
+    );
+  }
+
+  /**
+   * Finds the commit sha for a branch name, sha or short sha
+   *
+   * @param {string} ref
+   */
+  resolveCommit(ref) {
+    const branch = ref.replace(/^(refs\/)?heads\//, "");
+    if (this.branches.has(branch)) {
+      return /** @type {string} */ (this.branches.get(branch));
+    }
+    if (this.objects.get(ref)?.type === "commit") {
+      return ref;
+    }
+    if (/^[0-9a-f]{4,39}$/.test(ref)) {
+      const matches = [...this.objects]
+        .filter(
+          ([sha, object]) => object.type === "commit" && sha.startsWith(ref)
+        )
+        .map(([sha]) => sha);
+      if (matches.length === 1) {
+        return matches[0];
+      }
+    }
+    throw new FakeHttpError(404, `No commit found for the ref ${ref}`);
+  }
+
+  /**
+   * Finds the tree sha for a branch name, commit sha or tree sha
+   *
+   * @param {string} treeish
+   */
+  resolveTree(treeish) {
+    if (this.objects.get(treeish)?.type === "tree") {
+      return treeish;
+    }
+    return this.readCommit(this.resolveCommit(treeish)).tree;
+  }
+
+  /**
+   * Lists a tree in the same form as the "get a tree" API
+   *
+   * @param {string} treeSha
+   * @param {boolean} recursive
+   * @param {string} [prefix]
+   * @returns {{path:string,mode:string,type:string,sha:string,size?:number}[]}
+   */
+  listTree(treeSha, recursive, prefix = "") {
+    return this.readTree(treeSha).flatMap(entry => {
+      const type = typeFromMode(entry.mode);
+      const row = {
+        path: `${prefix}${entry.name}`,
+        mode: entry.mode === treeMode ? "040000" : entry.mode,
+        type,
+        sha: entry.sha,
+        ...(type === "blob"
+          ? { size: this.readObject(entry.sha).data.length }
+          : {})
+      };
+
+      return recursive && type === "tree"
+        ? [row, ...this.listTree(entry.sha, true, `${row.path}/`)]
+        : [row];
+    });
+  }
+
+  /**
+   * Returns every non-tree entry under a tree, keyed by path
+   *
+   * @param {string} treeSha
+   */
+  flatFiles(treeSha) {
+    return new Map(
+      this.listTree(treeSha, true)
+        .filter(x => x.type !== "tree")
+        .map(x => [x.path, x])
+    );
+  }
+
+  /**
+   * Finds the entry at a path in a tree
+   *
+   * @param {string} treeSha
+   * @param {string} path
+   * @returns {FakeTreeEntry | undefined}
+   */
+  findEntry(treeSha, path) {
+    /** @type {FakeTreeEntry | undefined} */
+    let entry = { mode: treeMode, name: "", sha: treeSha };
+    for (const part of path.split("/").filter(x => x)) {
+      if (entry?.mode !== treeMode) {
+        return undefined;
+      }
+      entry = this.readTree(entry.sha).find(x => x.name === part);
+    }
+    return entry;
+  }
+
+  /**
+   * Applies path edits to a tree, returning the new tree sha (or `null` if the tree is now empty)
+   *
+   * @param {string | null} treeSha
+   * @param {FakeTreeEdit[]} edits
+   * @returns {string | null}
+   */
+  editTree(treeSha, edits) {
+    const entries = new Map(
+      (treeSha ? this.readTree(treeSha) : []).map(e => [e.name, e])
+    );
+
+    /** @type {Map<string,FakeTreeEdit[]>} */
+    const groups = new Map();
+    edits.forEach(edit => {
+      const group = groups.get(edit.parts[0]) || [];
+      group.push(edit);
+      groups.set(edit.parts[0], group);
+    });
+
+    for (const [name, group] of groups) {
+      /** @type {FakeTreeEdit[]} */
+      let pending = [];
+      const flush = () => {
+        if (pending.length) {
+          const existing = entries.get(name);
+          const subTree = this.editTree(
+            existing?.mode === treeMode ? existing.sha : null,
+            pending.map(x => ({ ...x, parts: x.parts.slice(1) }))
+          );
+          if (subTree) {
+            entries.set(name, { mode: treeMode, name, sha: subTree });
+          } else {
+            entries.delete(name);
+          }
+          pending = [];
+        }
+      };
+
+      for (const edit of group) {
+        if (edit.parts.length > 1) {
+          pending.push(edit);
+        } else {
+          flush();
+          if (edit.entry) {
+            entries.set(name, { ...edit.entry, name });
+          } else {
+            entries.delete(name);
+          }
+        }
+      }
+      flush();
+    }
+
+    return entries.size ? this.writeTree([...entries.values()]) : null;
+  }
+
+  /**
+   * All the commits reachable from a commit (including itself)
+   *
+   * @param {string} sha
+   */
+  ancestors(sha) {
+    const found = new Set();
+    const queue = [sha];
+    while (queue.length) {
+      const next = /** @type {string} */ (queue.shift());
+      if (!found.has(next)) {
+        found.add(next);
+        queue.push(...this.readCommit(next).parents);
+      }
+    }
+    return found;
+  }
+
+  /**
+   * @param {string | null} treeSha
+   * @param {Object<string,string | Buffer | null>} files
+   */
+  editFiles(treeSha, files) {
+    return (
+      this.editTree(
+        treeSha,
+        Object.entries(files).map(([path, content]) => ({
+          parts: path.split("/"),
+          entry:
+            content === null
+              ? null
+              : {
+                  mode: "100644",
+                  sha: this.writeObject(
+                    "blob",
+                    Buffer.isBuffer(content)
+                      ? content
+                      : Buffer.from(content, "utf8")
+                  )
+                }
+        }))
+      ) || this.writeTree([])
+    );
+  }
+
+  /**
+   * @param {string} path
+   * @param {URL} url
+   */
+  getContents(path, url) {
+    const ref = url.searchParams.get("ref") || this.defaultBranch;
+    const treeSha = this.resolveTree(ref);
+    const cleanPath = path.replace(/\/+$/, "");
+    const entry = this.findEntry(treeSha, cleanPath);
+
+    if (!entry) {
+      throw new FakeHttpError(404, "Not Found");
+    }
+
+    /**
+     * @param {FakeTreeEntry} e
+     * @param {string} entryPath
+     */
+    const describe = (e, entryPath) => {
+      const type = typeFromMode(e.mode);
+      return {
+        type:
+          type === "tree"
+            ? "dir"
+            : type === "commit"
+            ? "submodule"
+            : e.mode === "120000"
+            ? "symlink"
+            : "file",
+        name: e.name,
+        path: entryPath,
+        sha: e.sha,
+        size: type === "blob" ? this.readObject(e.sha).data.length : 0
+      };
+    };
+
+    if (entry.mode === treeMode) {
+      return {
+        status: 200,
+        json: this.readTree(entry.sha).map(e =>
+          describe(e, cleanPath ? `${cleanPath}/${e.name}` : e.name)
+        )
+      };
+    }
+
+    const data = this.readObject(entry.sha).data;
+    const tooLarge = data.length > 1000000; //GitHub only returns content for files up to 1MB
+
+    return {
+      status: 200,
+      json: {
+        ...describe(
+          { ...entry, name: cleanPath.split("/").slice(-1)[0] },
+          cleanPath
+        ),
+        encoding: tooLarge ? "none" : "base64",
+        content: tooLarge ? "" : data.toString("base64")
+      }
+    };
+  }
+
+  /**
+   * @param {string} sha
+   */
+  getBlob(sha) {
+    const data = this.readObject(sha, "blob").data;
+    return {
+      status: 200,
+      json: {
+        sha,
+        size: data.length,
+        encoding: "base64",
+        content: data.toString("base64")
+      }
+    };
+  }
+
+  /**
+   * @param {{content:string,encoding?:string}} json
+   */
+  createBlob(json) {
+    if (typeof json.content !== "string") {
+      throw new FakeHttpError(422, "Invalid request. content is required.");
+    }
+    const sha = this.writeObject(
+      "blob",
+      json.encoding === "base64"
+        ? Buffer.from(json.content, "base64")
+        : Buffer.from(json.content, "utf8")
+    );
+    return { status: 201, json: { sha, url: `/git/blobs/${sha}` } };
+  }
+
+  /**
+   * @param {string} treeish
+   * @param {URL} url
+   */
+  getTree(treeish, url) {
+    const sha = this.resolveTree(treeish);
+    const recursive = !!url.searchParams.get("recursive");
+    let tree = this.listTree(sha, recursive);
+    const limit = this.options.treeEntryLimit;
+    const truncated = !!limit && tree.length > limit;
+    if (truncated) {
+      tree = tree.slice(0, limit);
+    }
+
+    return { status: 200, json: { sha, tree, truncated } };
+  }
+
+  /**
+   * @param {{tree:{path:string,mode:string,type:string,sha?:string | null,content?:string}[],base_tree?:string}} json
+   */
+  createTree(json) {
+    if (!Array.isArray(json.tree)) {
+      throw new FakeHttpError(422, "Invalid request. tree is required.");
+    }
+
+    const edits = json.tree.map(row => {
+      if (!row.path || row.path.startsWith("/") || row.path.endsWith("/")) {
+        throw new FakeHttpError(422, `tree.path ${row.path} is not valid`);
+      }
+
+      /** @type {{mode:string,sha:string} | null} */
+      let entry = null;
+      const mode = row.mode === "040000" ? treeMode : row.mode;
+
+      if (typeof row.content === "string") {
+        entry = {
+          mode,
+          sha: this.writeObject("blob", Buffer.from(row.content, "utf8"))
+        };
+      } else if (row.sha) {
+        if (
+          row.type !== "commit" &&
+          this.objects.get(row.sha)?.type !== row.type
+        ) {
+          throw new FakeHttpError(
+            422,
+            `tree.sha ${row.sha} is not a valid ${row.type}`
+          );
+        }
+        entry = { mode, sha: row.sha };
+      }
+
+      return { parts: row.path.split("/"), entry };
+    });
+
+    const base = json.base_tree ? this.resolveTree(json.base_tree) : null;
+    const sha = this.editTree(base, edits) || this.writeTree([]);
+
+    return {
+      status: 201,
+      json: { sha, tree: this.listTree(sha, false), truncated: false }
+    };
+  }
+
+  /**
+   * @param {string} sha
+   */
+  commitJson(sha) {
+    const commit = this.readCommit(sha);
+    const htmlUrl = this.htmlUrl;
+    return {
+      sha,
+      html_url: `${htmlUrl}/commit/${sha}`,
+      message: commit.message,
+      tree: { sha: commit.tree },
+      parents: commit.parents.map(p => ({
+        sha: p,
+        html_url: `${htmlUrl}/commit/${p}`
+      })),
+      author: parsePerson(commit.author),
+      committer: parsePerson(commit.committer),
+      //signatures aren't checked, the fake has no registered keys
+      verification: commit.gpgsig
+        ? {
+            verified: false,
+            reason: "unknown_key",
+            signature: commit.gpgsig,
+            payload: commitText(commit, false)
+          }
+        : {
+            verified: false,
+            reason: "unsigned",
+            signature: null,
+            payload: null
+          }
+    };
+  }
+
+  /**
+   * @param {{tree:string,parents?:string[],message:string,author?:FakePerson,committer?:FakePerson,signature?:string}} json
+   */
+  createCommit(json) {
+    if (typeof json.message !== "string" || !json.tree) {
+      throw new FakeHttpError(
+        422,
+        "Invalid request. message and tree are required."
+      );
+    }
+    this.readObject(json.tree, "tree");
+    (json.parents || []).forEach(p => this.readObject(p, "commit"));
+
+    const author = json.author || defaultPerson();
+    const sha = this.writeCommit({
+      tree: json.tree,
+      parents: json.parents || [],
+      author: gitPerson(author),
+      committer: gitPerson(json.committer || author),
+      gpgsig: json.signature,
+      message: json.message
+    });
+
+    return { status: 201, json: this.commitJson(sha) };
+  }
+
+  /**
+   * @param {string} branch
+   */
+  refJson(branch) {
+    const sha = this.branches.get(branch);
+    if (!sha) {
+      throw new FakeHttpError(404, "Not Found");
+    }
+    return {
+      ref: `refs/heads/${branch}`,
+      object: { sha, type: "commit" }
+    };
+  }
+
+  /**
+   * @param {string} branch
+   */
+  getRef(branch) {
+    if (!this.branches.has(branch)) {
+      //Like GitHub, a missing ref lists the refs that start with it
+      const matches = [...this.branches.keys()]
+        .filter(x => x.startsWith(`${branch}/`))
+        .map(x => this.refJson(x));
+      if (matches.length) {
+        return { status: 200, json: matches };
+      }
+    }
+    return { status: 200, json: this.refJson(branch) };
+  }
+
+  /**
+   * @param {{ref:string,sha:string}} json
+   */
+  createRef(json) {
+    const branch = (json.ref || "").replace(/^refs\/heads\//, "");
+    if (!branch || branch === json.ref) {
+      throw new FakeHttpError(
+        422,
+        "Reference name must start with refs/heads/"
+      );
+    }
+    if (this.branches.has(branch)) {
+      throw new FakeHttpError(422, "Reference already exists");
+    }
+    this.readObject(json.sha, "commit");
+    this.branches.set(branch, json.sha);
+
+    return { status: 201, json: this.refJson(branch) };
+  }
+
+  /**
+   * @param {string} branch
+   * @param {{sha:string,force?:boolean}} json
+   */
+  updateRef(branch, json) {
+    const current = this.branches.get(branch);
+    if (!current) {
+      throw new FakeHttpError(422, "Reference does not exist");
+    }
+    this.readObject(json.sha, "commit");
+    if (!json.force && !this.ancestors(json.sha).has(current)) {
+      throw new FakeHttpError(422, "Update is not a fast forward");
+    }
+    this.branches.set(branch, json.sha);
+
+    return { status: 200, json: this.refJson(branch) };
+  }
+
+  /**
+   * @param {string} branch
+   */
+  deleteRef(branch) {
+    if (!this.branches.delete(branch)) {
+      throw new FakeHttpError(422, "Reference does not exist");
+    }
+    return { status: 204 };
+  }
+
+  /**
+   * @param {string} base
+   * @param {string} head
+   */
+  compare(base, head) {
+    const baseSha = this.resolveCommit(base);
+    const headSha = this.resolveCommit(head);
+    const baseAncestors = this.ancestors(baseSha);
+    const headAncestors = this.ancestors(headSha);
+
+    //ancestors are breadth first, so the first shared one is the merge base
+    const mergeBase = [...headAncestors].find(x => baseAncestors.has(x));
+    const commits = [...headAncestors]
+      .filter(x => !baseAncestors.has(x))
+      .reverse()
+      .map(sha => {
+        const json = this.commitJson(sha);
+        return {
+          sha,
+          html_url: json.html_url,
+          parents: json.parents,
+          commit: {
+            message: json.message,
+            tree: json.tree,
+            author: json.author,
+            committer: json.committer
+          }
+        };
+      });
+    const behindBy = [...baseAncestors].filter(
+      x => !headAncestors.has(x)
+    ).length;
+
+    const before = mergeBase
+      ? this.flatFiles(this.readCommit(mergeBase).tree)
+      : new Map();
+    const after = this.flatFiles(this.readCommit(headSha).tree);
+
+    /** @type {{filename:string,status:string,sha:string | null}[]} */
+    const files = [];
+    for (const [path, row] of after) {
+      const old = before.get(path);
+      if (!old) {
+        files.push({ filename: path, status: "added", sha: row.sha });
+      } else if (old.sha !== row.sha || old.mode !== row.mode) {
+        files.push({ filename: path, status: "modified", sha: row.sha });
+      }
+    }
+    for (const [path] of before) {
+      if (!after.has(path)) {
+        files.push({ filename: path, status: "removed", sha: null });
+      }
+    }
+
+    return {
+      status: 200,
+      json: {
+        status:
+          commits.length && behindBy
+            ? "diverged"
+            : commits.length
+            ? "ahead"
+            : behindBy
+            ? "behind"
+            : "identical",
+        ahead_by: commits.length,
+        behind_by: behindBy,
+        total_commits: commits.length,
+        merge_base_commit: mergeBase ? { sha: mergeBase } : null,
+        commits,
+        files
+      }
+    };
+  }
+
+  /**
+   * @param {*} json
+   */
+  createPull(json) {
+    if (!json.title && !json.issue) {
+      throw new FakeHttpError(422, "Invalid request. title is required.");
+    }
+    const headSha = this.branches.get(json.head);
+    const baseSha = this.branches.get(json.base);
+    if (!headSha || !baseSha) {
+      throw new FakeHttpError(
+        422,
+        "Validation Failed - head or base not found"
+      );
+    }
+    if (this.ancestors(baseSha).has(headSha)) {
+      throw new FakeHttpError(
+        422,
+        `No commits between ${json.base} and ${json.head}`
+      );
+    }
+    if (
+      this.pulls.some(
+        x =>
+          x.state === "open" &&
+          x.head.ref === json.head &&
+          x.base.ref === json.base
+      )
+    ) {
+      throw new FakeHttpError(
+        422,
+        `A pull request already exists for ${this.owner}:${json.head}.`
+      );
+    }
+
+    const number = this.pulls.length + 1;
+    const pull = {
+      number,
+      title: json.title || `Issue #${json.issue}`,
+      body: json.body || null,
+      draft: !!json.draft,
+      maintainer_can_modify: !!json.maintainer_can_modify,
+      state: "open",
+      merged: false,
+      merge_commit_sha: null,
+      head: { ref: json.head, sha: headSha },
+      base: { ref: json.base },
+      labels: [],
+      assignees: [],
+      milestone: null,
+      requested_reviewers: [],
+      requested_teams: [],
+      reviews: [],
+      reads: 0
+    };
+    this.pulls.push(pull);
+
+    return { status: 201, json: this.pullJson(pull) };
+  }
+
+  /**
+   * Commit json in the format of the commits API (not the git database API)
+   *
+   * @param {string} ref
+   */
+  getCommit(ref) {
+    const json = this.commitJson(this.resolveCommit(ref));
+    return {
+      status: 200,
+      json: {
+        sha: json.sha,
+        html_url: json.html_url,
+        parents: json.parents,
+        commit: {
+          message: json.message,
+          tree: json.tree,
+          author: json.author,
+          committer: json.committer
+        }
+      }
+    };
+  }
+
+  /**
+   * @param {URL} url
+   */
+  listPulls(url) {
+    const state = url.searchParams.get("state") || "open";
+    const head = url.searchParams.get("head");
+    const base = url.searchParams.get("base");
+    const perPage = Math.min(
+      Number(url.searchParams.get("per_page")) || 30,
+      100
+    );
+    const page = Number(url.searchParams.get("page")) || 1;
+    return {
+      status: 200,
+      json: this.pulls
+        .filter(
+          x =>
+            (state === "all" || x.state === state) &&
+            (!head || `${this.owner}:${x.head.ref}` === head) &&
+            (!base || x.base.ref === base)
+        )
+        .slice((page - 1) * perPage, page * perPage)
+        .map(x => this.pullJson(x))
+    };
+  }
+
+  /**
+   * @param {number} number
+   * @param {{title?:string,body?:string,state?:string}} json
+   */
+  updatePull(number, json) {
+    const pull = this.findPull(number);
+    if (json.title !== undefined) {
+      pull.title = json.title;
+    }
+    if (json.body !== undefined) {
+      pull.body = json.body;
+    }
+    if (json.state === "closed" || json.state === "open") {
+      pull.state = json.state;
+    }
+    return { status: 200, json: this.pullJson(pull) };
+  }
+
+  /**
+   * @param {number} number
+   */
+  findPull(number) {
+    const pull = this.pulls.find(x => x.number === number);
+    if (!pull) {
+      throw new FakeHttpError(404, "Not Found");
+    }
+    return pull;
+  }
+
+  /**
+   * Works out the mergeable state of a pull request
+   *
+   * @param {*} pull
+   */
+  mergeableState(pull) {
+    if (pull.state !== "open") {
+      return "unknown";
+    }
+    if (pull.reads <= (this.options.mergeabilityDelay || 0)) {
+      return "unknown";
+    }
+    const headSha = this.branches.get(pull.head.ref) || pull.head.sha;
+    const runs = this.checkRuns.get(headSha) || this.defaultCheckRuns;
+    const statuses = this.statuses.get(headSha) || this.defaultStatuses;
+    if (
+      runs.some(x => x.status !== "completed" || x.conclusion === "failure") ||
+      statuses.some(x => x.state !== "success")
+    ) {
+      return "blocked";
+    }
+
+    const reviews = latestReviews(pull.reviews);
+    if (
+      reviews.some(x => x.state === "CHANGES_REQUESTED") ||
+      reviews.filter(x => x.state === "APPROVED").length <
+        this.requiredApprovals
+    ) {
+      return "blocked";
+    }
+    return pull.draft ? "draft" : "clean";
+  }
+
+  /**
+   * @param {*} pull
+   */
+  pullJson(pull) {
+    const mergeable_state = this.mergeableState(pull);
+    //reads and reviews are the fake's own bookkeeping, not part of the API
+    const json = { ...pull };
+    delete json.reads;
+    delete json.reviews;
+    return {
+      ...json,
+      head: {
+        ...pull.head,
+        sha: this.branches.get(pull.head.ref) || pull.head.sha
+      },
+      html_url: `${this.htmlUrl}/pull/${pull.number}`,
+      mergeable: mergeable_state === "unknown" ? null : true,
+      mergeable_state
+    };
+  }
+
+  /**
+   * @param {number} number
+   */
+  getPull(number) {
+    const pull = this.findPull(number);
+    pull.reads++;
+    return { status: 200, json: this.pullJson(pull) };
+  }
+
+  /**
+   * @param {number} number
+   * @param {{merge_method?:string,commit_title?:string,commit_message?:string,sha?:string}} json
+   */
+  mergePull(number, json) {
+    const pull = this.findPull(number);
+    if (pull.state !== "open") {
+      throw new FakeHttpError(405, "Pull Request is not mergeable");
+    }
+    if (this.mergeableState(pull) === "blocked") {
+      throw new FakeHttpError(405, "Required status check is failing.");
+    }
+
+    const headSha = this.resolveCommit(pull.head.ref);
+    const baseSha = this.resolveCommit(pull.base.ref);
+    if (json.sha && json.sha !== headSha) {
+      throw new FakeHttpError(409, "Head branch was modified.");
+    }
+    if (!this.ancestors(headSha).has(baseSha)) {
+      throw new FakeHttpError(
+        405,
+        "Base branch was modified. Review and try the merge again."
+      );
+    }
+
+    const person = gitPerson(defaultPerson());
+    const method = json.merge_method || "merge";
+    const headCommit = this.readCommit(headSha);
+    let mergeSha = "";
+
+    if (method === "squash") {
+      const title = json.commit_title || `${pull.title} (#${number})`;
+      mergeSha = this.writeCommit({
+        tree: headCommit.tree,
+        parents: [baseSha],
+        author: person,
+        committer: person,
+        message: json.commit_message
+          ? `${title}\n\n${json.commit_message}`
+          : title
+      });
+    } else if (method === "rebase") {
+      const commits = [...this.ancestors(headSha)]
+        .filter(x => !this.ancestors(baseSha).has(x))
+        .reverse();
+      mergeSha = baseSha;
+      for (const sha of commits) {
+        const commit = this.readCommit(sha);
+        mergeSha = this.writeCommit({
+          ...commit,
+          gpgsig: undefined,
+          parents: [mergeSha],
+          committer: person
+        });
+      }
+    } else if (method === "merge") {
+      const title =
+        json.commit_title ||
+        `Merge pull request #${number} from ${this.owner}/${pull.head.ref}`;
+      mergeSha = this.writeCommit({
+        tree: headCommit.tree,
+        parents: [baseSha, headSha],
+        author: person,
+        committer: person,
+        message: `${title}\n\n${json.commit_message ?? pull.title}`
+      });
+    } else {
+      throw new FakeHttpError(422, `Invalid merge_method ${method}`);
+    }
+
+    this.branches.set(pull.base.ref, mergeSha);
+    pull.head.sha = headSha;
+    pull.state = "closed";
+    pull.merged = true;
+    pull.merge_commit_sha = mergeSha;
+
+    if (this.deleteBranchOnMerge) {
+      this.branches.delete(pull.head.ref);
+    }
+
+    return {
+      status: 200,
+      json: {
+        sha: mergeSha,
+        merged: true,
+        message: "Pull Request successfully merged"
+      }
+    };
+  }
+
+  /**
+   * @param {number} number
+   * @param {{reviewers?:string[],team_reviewers?:string[]}} json
+   */
+  requestReviewers(number, json) {
+    const pull = this.findPull(number);
+    pull.requested_reviewers.push(
+      ...(json.reviewers || []).map(login => ({ login }))
+    );
+    pull.requested_teams.push(
+      ...(json.team_reviewers || []).map(slug => ({ slug }))
+    );
+    return { status: 201, json: this.pullJson(pull) };
+  }
+
+  /**
+   * @param {number} number
+   * @param {{labels?:string[],assignees?:string[],milestone?:number}} json
+   */
+  updateIssue(number, json) {
+    const pull = this.findPull(number);
+    if (json.labels) {
+      pull.labels = json.labels.map(name => ({ name }));
+    }
+    if (json.assignees) {
+      pull.assignees = json.assignees.map(login => ({ login }));
+    }
+    if (json.milestone !== undefined) {
+      pull.milestone =
+        json.milestone === null ? null : { number: json.milestone };
+    }
+    return { status: 200, json: this.pullJson(pull) };
+  }
+
+  /**
+   * @param {string} ref
+   */
+  getCombinedStatus(ref) {
+    const sha = this.resolveCommit(ref);
+    const statuses = this.statuses.get(sha) || this.defaultStatuses;
+    const states = statuses.map(x => x.state);
+    return {
+      status: 200,
+      json: {
+        sha,
+        state: states.includes("error")
+          ? "error"
+          : states.includes("failure")
+          ? "failure"
+          : !states.length || states.includes("pending")
+          ? "pending"
+          : "success",
+        total_count: statuses.length,
+        statuses: statuses.map(x => ({
+          context: "default",
+          target_url: null,
+          ...x
+        }))
+      }
+    };
+  }
+
+  /**
+   * @param {number} number
+   */
+  getReviews(number) {
+    const pull = this.findPull(number);
+    return {
+      status: 200,
+      json: pull.reviews.map(
+        (/** @type {FakeReview} */ x, /** @type {number} */ i) => ({
+          id: i + 1,
+          user: { login: x.login },
+          state: x.state
+        })
+      )
+    };
+  }
+
+  /**
+   * @param {string} ref
+   */
+  getCheckRuns(ref) {
+    const runs =
+      this.checkRuns.get(this.resolveCommit(ref)) || this.defaultCheckRuns;
+    return {
+      status: 200,
+      json: {
+        total_count: runs.length,
+        check_runs: runs.map(run => ({ conclusion: null, ...run }))
+      }
+    };
+  }
+}
+
+/**
+ * In-memory fake GitHub server.  Use `fetch` as the `fetch` option for GitHubTreePush, or `listen()` and use the URL as `apiBaseUrl`.
+ */
+class FakeGitHub {
+  /**
+   * @param {FakeGitHubOptions} [options]
+   */
+  constructor(options) {
+    this.options = {
+      htmlBaseUrl: "https://github.local",
+      ...options
+    };
+
+    /** @type {Map<string,FakeRepository>} */
+    this.repos = new Map();
+
+    /**
+     * Every request received, in order
+     *
+     * @type {{method:string,path:string}[]}
+     */
+    this.requests = [];
+
+    /**
+     * Static content served for non-API URLs (downloads)
+     *
+     * @type {Map<string,FakeResponse>}
+     */
+    this.urls = new Map();
+
+    /**
+     * Rate limit responses sent instead of handling the next API requests
+     *
+     * @type {FakeResponse[]}
+     */
+    this.rateLimitedResponses = [];
+
+    /** @type {FakeAppInstallation[]} */
+    this.appInstallations = [];
+
+    /**
+     * Installation access tokens issued, and when they expire (ms)
+     *
+     * @type {Map<string,number>}
+     */
+    this.installationTokens = new Map();
+
+    /**
+     * Tokens handed out by LFS batch responses for uploads
+     *
+     * @type {Set<string>}
+     */
+    this.lfsUploadTokens = new Set();
+
+    /** @type {http.Server | undefined} */
+    this.server = undefined;
+
+    this.fetch = this.fetch.bind(this);
+  }
+
+  /**
+   * Creates a repository with an initial commit
+   *
+   * @param {string} owner
+   * @param {string} repo
+   * @param {{branch?:string,files?:Object<string,string | Buffer>}} [options]
+   */
+  createRepo(owner, repo, options) {
+    const branch = options?.branch || "main";
+    const repository = new FakeRepository(owner, repo, branch, this.options);
+    this.repos.set(`${owner}/${repo}`, repository);
+
+    const tree = repository.editFiles(null, options?.files || {});
+    repository.branches.set(
+      branch,
+      repository.writeCommit({
+        tree,
+        parents: [],
+        author: gitPerson(defaultPerson()),
+        committer: gitPerson(defaultPerson()),
+        message: "Initial commit"
+      })
+    );
+
+    return repository;
+  }
+
+  /**
+   * @param {string} owner
+   * @param {string} repo
+   */
+  repo(owner, repo) {
+    const repository = this.repos.get(`${owner}/${repo}`);
+    if (!repository) {
+      throw new FakeHttpError(404, "Not Found");
+    }
+    return repository;
+  }
+
+  /**
+   * Commits file changes directly to a branch, like another user would.  `null` content removes a file.
+   *
+   * @param {string} owner
+   * @param {string} repo
+   * @param {string} branch
+   * @param {Object<string,string | Buffer | null>} files
+   * @param {string} [message]
+   * @returns {string} the new commit sha
+   */
+  commitFiles(owner, repo, branch, files, message) {
+    const repository = this.repo(owner, repo);
+    const parent = repository.branches.get(branch);
+    const tree = repository.editFiles(
+      parent ? repository.readCommit(parent).tree : null,
+      files
+    );
+    const sha = repository.writeCommit({
+      tree,
+      parents: parent ? [parent] : [],
+      author: gitPerson(defaultPerson()),
+      committer: gitPerson(defaultPerson()),
+      message: message || "External commit"
+    });
+    repository.branches.set(branch, sha);
+    return sha;
+  }
+
+  /**
+   * Returns the text content of every file at a ref, keyed by path (relative to `path` if supplied)
+   *
+   * @param {string} owner
+   * @param {string} repo
+   * @param {string} ref branch name or commit sha
+   * @param {string} [path]
+   * @returns {Object<string,string>}
+   */
+  readFiles(owner, repo, ref, path) {
+    const repository = this.repo(owner, repo);
+    let treeSha = repository.resolveTree(ref);
+    if (path) {
+      const entry = repository.findEntry(treeSha, path);
+      if (entry?.mode !== treeMode) {
+        return {};
+      }
+      treeSha = entry.sha;
+    }
+
+    /** @type {Object<string,string>} */
+    const result = {};
+    for (const [filePath, row] of repository.flatFiles(treeSha)) {
+      if (row.type === "blob") {
+        result[filePath] = repository.readObject(row.sha).data.toString("utf8");
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Sets the check runs reported for a commit
+   *
+   * @param {string} owner
+   * @param {string} repo
+   * @param {string} sha
+   * @param {FakeCheckRun[]} runs
+   */
+  setCheckRuns(owner, repo, sha, runs) {
+    this.repo(owner, repo).checkRuns.set(sha, runs);
+  }
+
+  /**
+   * Sets the commit statuses reported for a commit
+   *
+   * @param {string} owner
+   * @param {string} repo
+   * @param {string} sha
+   * @param {FakeCommitStatus[]} statuses
+   */
+  setStatuses(owner, repo, sha, statuses) {
+    this.repo(owner, repo).statuses.set(sha, statuses);
+  }
+
+  /**
+   * Adds a review to a pull request
+   *
+   * @param {string} owner
+   * @param {string} repo
+   * @param {number} number pull request number
+   * @param {FakeReview} review
+   */
+  addReview(owner, repo, number, review) {
+    this.repo(owner, repo).findPull(number).reviews.push(review);
+  }
+
+  /**
+   * Serves static content at a URL (for downloads).  Conditional requests get a 304 when they match the `etag` or `last-modified` header.
+   *
+   * @param {string} url
+   * @param {string | Buffer} body
+   * @param {{status?:number,headers?:Object<string,string>}} [options]
+   */
+  serveUrl(url, body, options) {
+    this.urls.set(url, {
+      status: options?.status || 200,
+      headers: options?.headers || {},
+      body: Buffer.isBuffer(body) ? body : Buffer.from(body)
+    });
+  }
+
+  /**
+   * Installs a GitHub App, so it can get installation access tokens
+   *
+   * @param {FakeAppInstallation} installation
+   */
+  installApp(installation) {
+    this.appInstallations.push(installation);
+  }
+
+  /**
+   * Makes all the installation access tokens issued so far invalid
+   */
+  revokeInstallationTokens() {
+    this.installationTokens.clear();
+  }
+
+  /**
+   * Makes the next API requests fail with a rate limit response
+   *
+   * @param {number} count Number of requests to reject
+   * @param {Object<string,string>} headers Limit headers, like `{ "retry-after": "1" }`
+   * @param {number} [status] Default 403
+   */
+  rateLimitNextRequests(count, headers, status) {
+    for (let i = 0; i < count; i++) {
+      this.rateLimitedResponses.push({
+        status: status || 403,
+        headers: {
+          "content-type": "application/json; charset=utf-8",
+          ...headers
+        },
+        body: Buffer.from(
+          JSON.stringify({ message: "You have exceeded a rate limit." })
+        )
+      });
+    }
+  }
+
+  /**
+   * A node-fetch compatible fetch that talks to this fake
+   *
+   * @param {string} url
+   * @param {{method?:string,headers?:Object<string,string>,body?:*}} [init]
+   */
+  async fetch(url, init) {
+    /** @type {Object<string,string>} */
+    const headers = {};
+    Object.entries(init?.headers || {}).forEach(([key, value]) => {
+      headers[key.toLowerCase()] = String(value);
+    });
+
+    const result = await this.handle({
+      method: init?.method || "GET",
+      url,
+      headers,
+      body: await readBody(init?.body)
+    });
+
+    return new Response(result.body?.length ? result.body : null, {
+      url,
+      status: result.status,
+      statusText: http.STATUS_CODES[result.status],
+      headers: result.headers
+    });
+  }
+
+  /**
+   * Starts a real HTTP server for this fake.  Returns the base URL to use as `apiBaseUrl`.
+   *
+   * @param {number} [port] Default is any free port.
+   * @returns {Promise<string>}
+   */
+  listen(port) {
+    this.server = http.createServer(async (req, res) => {
+      /** @type {Buffer[]} */
+      const chunks = [];
+      for await (const chunk of req) {
+        chunks.push(chunk);
+      }
+
+      /** @type {Object<string,string>} */
+      const headers = {};
+      Object.entries(req.headers).forEach(([key, value]) => {
+        headers[key] = String(value);
+      });
+
+      const result = await this.handle({
+        method: req.method || "GET",
+        url: `http://${req.headers.host}${req.url}`,
+        headers,
+        body: Buffer.concat(chunks)
+      });
+
+      res.writeHead(result.status, result.headers);
+      res.end(result.body);
+    });
+
+    const server = this.server;
+    return new Promise(resolve => {
+      server.listen(port || 0, "127.0.0.1", () => {
+        const address = /** @type {*} */ (server.address());
+        resolve(`http://127.0.0.1:${address.port}`);
+      });
+    });
+  }
+
+  /**
+   * Stops the HTTP server started with `listen()`
+   *
+   * @returns {Promise<void>}
+   */
+  close() {
+    const server = this.server;
+    this.server = undefined;
+    return new Promise((resolve, reject) => {
+      if (!server) {
+        resolve();
+      } else {
+        server.close(err => (err ? reject(err) : resolve()));
+      }
+    });
+  }
+
+  /**
+   * Processes a request and returns a response
+   *
+   * @param {FakeRequest} request
+   * @returns {Promise<FakeResponse>}
+   */
+  async handle(request) {
+    const url = new URL(request.url);
+    const method = request.method.toUpperCase();
+    this.requests.push({ method, path: `${url.pathname}${url.search}` });
+
+    const served = this.urls.get(request.url);
+    if (served) {
+      const { etag, "last-modified": lastModified } = served.headers;
+      const notModified =
+        (etag && request.headers["if-none-match"] === etag) ||
+        (lastModified && request.headers["if-modified-since"] === lastModified);
+
+      return notModified
+        ? { status: 304, headers: { ...served.headers } }
+        : served;
+    }
+
+    try {
+      const lfsResult = this.__routeLfs(method, url, request);
+      if (lfsResult) {
+        return lfsResult;
+      }
+
+      const appResult = this.__routeApp(method, url, request.headers);
+      if (appResult) {
+        return jsonResponse(request, method, appResult.status, appResult.json);
+      }
+
+      if (!this.__authorized(request.headers.authorization)) {
+        throw new FakeHttpError(401, "Bad credentials");
+      }
+
+      const rateLimited = this.rateLimitedResponses.shift();
+      if (rateLimited) {
+        return rateLimited;
+      }
+
+      const json = request.body?.length
+        ? JSON.parse(request.body.toString("utf8"))
+        : {};
+
+      const result = this.__route(method, url, json);
+
+      return jsonResponse(request, method, result.status, result.json);
+    } catch (error) {
+      if (error instanceof FakeHttpError) {
+        return jsonResponse(request, method, error.status, {
+          message: error.message
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * `true` if the Authorization header has a token that is allowed
+   *
+   * @param {string} [authorization]
+   */
+  __authorized(authorization) {
+    if (!this.options.token && !this.appInstallations.length) {
+      return true; //No auth required
+    }
+
+    const token = (authorization || "").replace(/^Bearer /, "");
+    const expiresAt = this.installationTokens.get(token);
+
+    return (
+      (!!this.options.token && token === this.options.token) ||
+      (expiresAt !== undefined && expiresAt > Date.now())
+    );
+  }
+
+  /**
+   * Returns the installation for an app JWT, or throws if the JWT isn't valid
+   *
+   * @param {string} [authorization]
+   */
+  __appFromJwt(authorization) {
+    const [header, payload, signature] = (authorization || "")
+      .replace(/^Bearer /, "")
+      .split(".");
+
+    const claims = payload
+      ? JSON.parse(Buffer.from(payload, "base64url").toString("utf8"))
+      : {};
+    const now = Math.floor(Date.now() / 1000);
+
+    const installations = this.appInstallations.filter(
+      x => String(x.appId) === String(claims.iss)
+    );
+
+    if (
+      !installations.length ||
+      !signature ||
+      !crypto.verify(
+        "RSA-SHA256",
+        Buffer.from(`${header}.${payload}`),
+        installations[0].publicKey,
+        Buffer.from(signature, "base64url")
+      ) ||
+      !(claims.exp > now) ||
+      !(claims.iat <= now + 60) ||
+      claims.exp - claims.iat > 600
+    ) {
+      throw new FakeHttpError(
+        401,
+        "A JSON web token could not be decoded or is invalid"
+      );
+    }
+
+    return installations;
+  }
+
+  /**
+   * Handles requests made as a GitHub App.  Returns `null` for other requests.
+   *
+   * @param {string} method
+   * @param {URL} url
+   * @param {Object<string,string>} headers
+   * @returns {{status:number,json:*} | null}
+   */
+  __routeApp(method, url, headers) {
+    const tokenMatch = /\/app\/installations\/(\d+)\/access_tokens$/.exec(
+      url.pathname
+    );
+    if (method === "POST" && tokenMatch) {
+      const installation = this.__appFromJwt(headers.authorization).find(
+        x => x.installationId === Number(tokenMatch[1])
+      );
+      if (!installation) {
+        throw new FakeHttpError(404, "Not Found");
+      }
+
+      const token = `ghs_${crypto.randomBytes(18).toString("hex")}`;
+      const expiresAt =
+        Date.now() + (installation.tokenLifetime ?? 3600) * 1000;
+      this.installationTokens.set(token, expiresAt);
+
+      return {
+        status: 201,
+        json: { token, expires_at: new Date(expiresAt).toISOString() }
+      };
+    }
+
+    const installationMatch = /\/repos\/([^/]+)\/([^/]+)\/installation$/.exec(
+      url.pathname
+    );
+    if (method === "GET" && installationMatch) {
+      const key = `${installationMatch[1]}/${installationMatch[2]}`;
+      const installation = this.__appFromJwt(headers.authorization).find(
+        x => !x.repos || x.repos.includes(key)
+      );
+      if (!installation) {
+        throw new FakeHttpError(404, "Not Found");
+      }
+
+      return { status: 200, json: { id: installation.installationId } };
+    }
+
+    return null;
+  }
+
+  /**
+   * Handles Git LFS batch, upload and verify requests (`/[owner]/[repo].git/info/lfs/...`).  Returns `null` for other requests.
+   *
+   * @param {string} method
+   * @param {URL} url
+   * @param {FakeRequest} request
+   * @returns {FakeResponse | null}
+   */
+  __routeLfs(method, url, request) {
+    const lfsMatch =
+      /^\/([^/]+)\/([^/]+)\.git\/info\/lfs\/objects\/(batch|verify|[0-9a-f]{64})$/.exec(
+        url.pathname
+      );
+    if (!lfsMatch) {
+      return null;
+    }
+
+    const repository = this.repo(
+      decodeURIComponent(lfsMatch[1]),
+      decodeURIComponent(lfsMatch[2])
+    );
+    const objectsUrl = `${url.origin}/${lfsMatch[1]}/${lfsMatch[2]}.git/info/lfs/objects`;
+    const body = request.body || Buffer.alloc(0);
+
+    if (lfsMatch[3] === "batch") {
+      if (!this.__authorized(request.headers.authorization)) {
+        return lfsResponse(401, { message: "Credentials needed" });
+      }
+
+      /** @type {{operation:string,objects:{oid:string,size:number}[]}} */
+      const json = JSON.parse(body.toString("utf8"));
+      if (method !== "POST" || json.operation !== "upload") {
+        return lfsResponse(422, { message: "Only uploads are supported" });
+      }
+
+      const token = crypto.randomBytes(16).toString("hex");
+      this.lfsUploadTokens.add(token);
+      const header = { Authorization: `RemoteAuth ${token}` };
+
+      return lfsResponse(200, {
+        transfer: "basic",
+        objects: json.objects.map(({ oid, size }) => {
+          if (!/^[0-9a-f]{64}$/.test(oid) || !(size >= 0)) {
+            return {
+              oid,
+              size,
+              error: { code: 422, message: "Invalid object" }
+            };
+          }
+          if (repository.lfsObjects.has(oid)) {
+            return { oid, size };
+          }
+          return {
+            oid,
+            size,
+            authenticated: true,
+            actions: {
+              upload: { href: `${objectsUrl}/${oid}`, header },
+              verify: { href: `${objectsUrl}/verify`, header }
+            }
+          };
+        })
+      });
+    }
+
+    const token = (request.headers.authorization || "").replace(
+      /^RemoteAuth /,
+      ""
+    );
+    if (!this.lfsUploadTokens.has(token)) {
+      return lfsResponse(401, { message: "Credentials needed" });
+    }
+
+    if (lfsMatch[3] === "verify" && method === "POST") {
+      const { oid, size } = JSON.parse(body.toString("utf8"));
+      return repository.lfsObjects.get(oid)?.length === size
+        ? lfsResponse(200, {})
+        : lfsResponse(404, { message: "Object not found" });
+    }
+
+    if (method === "PUT") {
+      const oid = lfsMatch[3];
+      if (crypto.createHash("sha256").update(body).digest("hex") !== oid) {
+        return lfsResponse(422, { message: "Content does not match the oid" });
+      }
+
+      repository.lfsObjects.set(oid, body);
+      return { status: 200, headers: {} };
+    }
+
+    return lfsResponse(404, { message: "Not Found" });
+  }
+
+  /**
+   * Sends an API request to its handler
+   *
+   * @param {string} method
+   * @param {URL} url
+   * @param {*} json request body
+   * @returns {{status:number,json?:*}}
+   */
+  __route(method, url, json) {
+    const repoMatch = /\/repos\/([^/]+)\/([^/]+)(\/.*)?$/.exec(url.pathname);
+    if (!repoMatch) {
+      throw new FakeHttpError(404, "Not Found");
+    }
+
+    const repository = this.repo(
+      decodeURIComponent(repoMatch[1]),
+      decodeURIComponent(repoMatch[2])
+    );
+    const path = repoMatch[3] || "";
+    const read = method === "GET" || method === "HEAD";
+
+    /** @type {[boolean, RegExp, function(string[]):*][]} */
+    const routes = [
+      [read, /^\/contents\/?(.*)$/, m => repository.getContents(m[1], url)],
+      [read, /^\/git\/blobs\/([0-9a-f]{40})$/, m => repository.getBlob(m[1])],
+      [method === "POST", /^\/git\/blobs$/, () => repository.createBlob(json)],
+      [read, /^\/git\/trees\/(.+)$/, m => repository.getTree(m[1], url)],
+      [method === "POST", /^\/git\/trees$/, () => repository.createTree(json)],
+      [
+        read,
+        /^\/git\/commits\/([0-9a-f]{40})$/,
+        m => ({ status: 200, json: repository.commitJson(m[1]) })
+      ],
+      [
+        method === "POST",
+        /^\/git\/commits$/,
+        () => repository.createCommit(json)
+      ],
+      [read, /^\/git\/refs?\/heads\/(.+)$/, m => repository.getRef(m[1])],
+      [method === "POST", /^\/git\/refs$/, () => repository.createRef(json)],
+      [
+        method === "PATCH",
+        /^\/git\/refs\/heads\/(.+)$/,
+        m => repository.updateRef(m[1], json)
+      ],
+      [
+        method === "DELETE",
+        /^\/git\/refs\/heads\/(.+)$/,
+        m => repository.deleteRef(m[1])
+      ],
+      [
+        read,
+        /^\/compare\/(.+)\.\.\.(.+)$/,
+        m => repository.compare(m[1], m[2])
+      ],
+      [method === "POST", /^\/pulls$/, () => repository.createPull(json)],
+      [read, /^\/pulls$/, () => repository.listPulls(url)],
+      [read, /^\/commits\/([^/]+)$/, m => repository.getCommit(m[1])],
+      [read, /^\/pulls\/(\d+)$/, m => repository.getPull(Number(m[1]))],
+      [
+        method === "PATCH",
+        /^\/pulls\/(\d+)$/,
+        m => repository.updatePull(Number(m[1]), json)
+      ],
+      [
+        method === "PUT",
+        /^\/pulls\/(\d+)\/merge$/,
+        m => repository.mergePull(Number(m[1]), json)
+      ],
+      [
+        method === "POST",
+        /^\/pulls\/(\d+)\/requested_reviewers$/,
+        m => repository.requestReviewers(Number(m[1]), json)
+      ],
+      [
+        method === "PATCH",
+        /^\/issues\/(\d+)$/,
+        m => repository.updateIssue(Number(m[1]), json)
+      ],
+      [
+        read,
+        /^\/pulls\/(\d+)\/reviews$/,
+        m => repository.getReviews(Number(m[1]))
+      ],
+      [
+        read,
+        /^\/commits\/([^/]+)\/check-runs$/,
+        m => repository.getCheckRuns(m[1])
+      ],
+      [
+        read,
+        /^\/commits\/([^/]+)\/status$/,
+        m => repository.getCombinedStatus(m[1])
+      ]
+    ];
+
+    for (const [methodMatch, regex, handler] of routes) {
+      const match = methodMatch && regex.exec(path);
+      if (match) {
+        return handler(match.map(x => (x ? decodeURIComponent(x) : x)));
+      }
+    }
+
+    throw new FakeHttpError(404, "Not Found");
+  }
+}
+
+/**
+ * Reads a fetch body (string, Buffer or stream) into a Buffer
+ *
+ * @param {*} body
+ * @returns {Promise<Buffer | undefined>}
+ */
+const readBody = async body => {
+  if (body === undefined || body === null) {
+    return undefined;
+  }
+  if (typeof body === "string" || Buffer.isBuffer(body)) {
+    return Buffer.from(body);
+  }
+
+  /** @type {Buffer[]} */
+  const chunks = [];
+  for await (const chunk of body) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+module.exports = { FakeGitHub, FakeRepository };
@@ -0,0 +1,168 @@
+//@ts-check
+const fs = require("fs");
+const crypto = require("crypto");
+
+/*
+ * Git LFS pointer files and `.gitattributes` entries.
+ *
+ * See https://github.com/git-lfs/git-lfs/blob/main/docs/spec.md
+ */
+
+/** First line of every pointer file */
+const pointerVersion = "version https://git-lfs.github.com/spec/v1";
+
+/** Attributes that send a file through LFS */
+const lfsAttributes = "filter=lfs diff=lfs merge=lfs -text";
+
+/** Marks the start of the `.gitattributes` lines kept up to date by this module */
+const blockStart = "# Git LFS files (managed by github-tree-push)";
+
+/** Marks the end of the managed lines */
+const blockEnd = "# End of Git LFS files";
+
+/**
+ * Returns the content of a pointer file
+ *
+ * @param {string} oid sha256 of the content
+ * @param {number} size bytes
+ */
+const lfsPointer = (oid, size) =>
+  `${pointerVersion}\noid sha256:${oid}\nsize ${size}\n`;
+
+/**
+ * Returns the LFS object id (sha256) for some content
+ *
+ * @param {Buffer} buffer
+ */
+const lfsOid = buffer =>
+  crypto.createHash("sha256").update(buffer).digest("hex");
+
+/**
+ * Returns the LFS object id (sha256) and size of a file on disk, reading it as a stream
+ *
+ * @param {string} filePath
+ * @returns {Promise<{oid:string,size:number}>}
+ */
+const lfsOidFromFile = async filePath => {
+  const { size } = await fs.promises.stat(filePath);
+  const hash = crypto.createHash("sha256");
+
+  let bytesRead = 0;
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+    bytesRead += chunk.length;
+  }
+
+  if (bytesRead !== size) {
+    throw new Error(`File changed while reading - ${filePath}`);
+  }
+
+  return { oid: hash.digest("hex"), size };
+};
+
+/**
+ * Returns the default LFS server for a repo, based on the API location
+ *
+ * @param {string} apiBaseUrl
+ * @param {string} owner
+ * @param {string} repo
+ */
+const lfsEndpoint = (apiBaseUrl, owner, repo) => {
+  const server =
+    apiBaseUrl === "https://api.github.com"
+      ? "https://github.com"
+      : apiBaseUrl.replace(/\/api\/v3$/, ""); //GitHub Enterprise Server
+
+  return `${server}/${owner}/${repo}.git/info/lfs`;
+};
+
+/**
+ * Returns a `.gitattributes` pattern that only matches one path (relative to the `.gitattributes` folder)
+ *
+ * @param {string} path
+ */
+const attributePattern = path =>
+  `/${path.replace(/[\\*?[]/g, "\\$&").replace(/ /g, "[[:space:]]")}`;
+
+/**
+ * Returns the path matched by a pattern made with `attributePattern`
+ *
+ * @param {string} pattern
+ */
+const patternPath = pattern =>
+  pattern
+    .replace(/^\//, "")
+    .replace(/\[\[:space:\]\]/g, " ")
+    .replace(/\\(.)/g, "$1");
+
+/**
+ * Splits `.gitattributes` content into the managed LFS paths and the other lines
+ *
+ * @param {string} content
+ * @returns {{paths:string[],lines:string[]}}
+ */
+const readGitattributes = content => {
+  /** @type {string[]} */
+  const paths = [];
+  /** @type {string[]} */
+  const lines = [];
+  let inBlock = false;
+
+  content
+    .split(/\r?\n/)
+    .filter((line, index, all) => line || index < all.length - 1)
+    .forEach(line => {
+      if (line === blockStart) {
+        inBlock = true;
+      } else if (line === blockEnd) {
+        inBlock = false;
+      } else if (inBlock) {
+        const pattern = line.slice(0, -lfsAttributes.length - 1);
+        if (line.endsWith(` ${lfsAttributes}`) && pattern) {
+          paths.push(patternPath(pattern));
+        }
+      } else {
+        lines.push(line);
+      }
+    });
+
+  return { paths, lines };
+};
+
+/**
+ * Returns `.gitattributes` content with the managed LFS lines replaced.  Other lines are kept.
+ *
+ * @param {string} content Existing content.  Empty for a new file.
+ * @param {string[]} paths Paths (relative to the `.gitattributes` folder) stored in LFS.
+ */
+const writeGitattributes = (content, paths) => {
+  const { lines } = readGitattributes(content);
+
+  //The managed lines go at the end, so they win over other patterns
+  while (lines.length && !lines[lines.length - 1]) {
+    lines.pop();
+  }
+  if (paths.length) {
+    if (lines.length) {
+      lines.push("");
+    }
+    lines.push(
+      blockStart,
+      ...[...new Set(paths)]
+        .sort()
+        .map(path => `${attributePattern(path)} ${lfsAttributes}`),
+      blockEnd
+    );
+  }
+
+  return lines.length ? `${lines.join("\n")}\n` : "";
+};
+
+module.exports = {
+  lfsPointer,
+  lfsOid,
+  lfsOidFromFile,
+  lfsEndpoint,
+  readGitattributes,
+  writeGitattributes
+};
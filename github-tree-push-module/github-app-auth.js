@@ -0,0 +1,239 @@
+//@ts-check
+const crypto = require("crypto");
+const nodeFetch = require("node-fetch/lib");
+
+/*
+ * Authenticates as a GitHub App installation.
+ *
+ * see https://docs.github.com/en/apps/creating-github-apps/authenticating-with-a-github-app/authenticating-as-a-github-app-installation
+ */
+
+/** Default GitHub REST API location */
+const defaultApiBaseUrl = "https://api.github.com";
+
+/** Default value for refreshBeforeExpiry (5 minutes) */
+const default_refreshBeforeExpiry = 300000;
+
+/**
+ * @typedef {object} GitHubAppAuthOptions
+ * @property {string | number} appId **Required.** The GitHub App's id.
+ * @property {string} privateKey **Required.** The GitHub App's private key (PEM).
+ * @property {number} [installationId] Installation to get tokens for.  Default is the installation for the repo being pushed to.
+ * @property {string} [apiBaseUrl] GitHub REST API location.  Default `https://api.github.com`.
+ * @property {function(string,*):Promise<*>} [fetch] Fetch implementation (node-fetch compatible).  Default is the pushing tree's transport (its `fetch`, `agent` and `headers`), or `node-fetch`.
+ * @property {number} [refreshBeforeExpiry] MS before a token expires to get a new one.  Default 300000 (5 minutes).
+ */
+
+/**
+ * @typedef {object} GitHubAppTarget
+ * @property {string} owner
+ * @property {string} repo
+ * @property {function(string,*):Promise<*>} [fetch] The pushing tree's transport, used when the `fetch` option isn't set.
+ */
+
+/**
+ * @typedef {object} GitHubAppInstallationToken
+ * @property {string} token
+ * @property {number} expiresAt Time (ms) the token expires
+ */
+
+/**
+ * @typedef {object} GitHubAppCachedToken
+ * @property {Promise<GitHubAppInstallationToken>} promise The token, or the request for it
+ * @property {number} [expiresAt] Time (ms) the token expires, once it has been received
+ */
+
+/**
+ * Encodes JSON for a JWT
+ *
+ * @param {*} json
+ */
+const base64url = json =>
+  Buffer.from(JSON.stringify(json)).toString("base64url");
+
+/**
+ * Gets and caches installation access tokens for a GitHub App
+ */
+class GitHubAppAuth {
+  /**
+   * @param {GitHubAppAuthOptions} options
+   */
+  constructor(options) {
+    if (!options?.appId || !options.privateKey) {
+      throw new Error("GitHub App auth requires appId and privateKey");
+    }
+
+    this.options = {
+      ...options,
+      apiBaseUrl: (options.apiBaseUrl || defaultApiBaseUrl).replace(/\/+$/, ""),
+      refreshBeforeExpiry:
+        options.refreshBeforeExpiry ?? default_refreshBeforeExpiry
+    };
+
+    /**
+     * (private) Tokens (or token requests in progress) by installation id
+     *
+     * @type {Map<number,GitHubAppCachedToken>}
+     */
+    this.__tokens = new Map();
+
+    /**
+     * (private) Installation ids by `owner/repo`
+     *
+     * @type {Map<string,Promise<number>>}
+     */
+    this.__installations = new Map();
+  }
+
+  /**
+   * Returns a signed JWT for the app, good for 10 minutes
+   */
+  createJwt() {
+    const now = Math.floor(Date.now() / 1000);
+    const unsigned = `${base64url({ alg: "RS256", typ: "JWT" })}.${base64url({
+      iat: now - 60, //allow for clock drift
+      exp: now + 540,
+      iss: String(this.options.appId)
+    })}`;
+
+    const signature = crypto
+      .sign("RSA-SHA256", Buffer.from(unsigned), this.options.privateKey)
+      .toString("base64url");
+
+    return `${unsigned}.${signature}`;
+  }
+
+  /**
+   * Returns an installation access token, getting a new one if the cached one is about to expire
+   *
+   * @param {GitHubAppTarget} target repo the token is for
+   * @returns {Promise<string>}
+   */
+  async getToken(target) {
+    const installationId =
+      this.options.installationId ?? (await this.__installationId(target));
+
+    //The cache is checked and updated without waiting, so concurrent callers share one refresh
+    let cached = this.__tokens.get(installationId);
+    if (
+      !cached ||
+      (cached.expiresAt !== undefined &&
+        cached.expiresAt - Date.now() <=
+          (this.options.refreshBeforeExpiry || 0))
+    ) {
+      cached = this.__requestToken(installationId, target.fetch);
+    }
+
+    return (await cached.promise).token;
+  }
+
+  /**
+   * Starts getting a new token, and caches the request so other callers wait for it
+   *
+   * @param {number} installationId
+   * @param {function(string,*):Promise<*>} [fetch] transport to use, when the `fetch` option isn't set
+   * @returns {GitHubAppCachedToken}
+   */
+  __requestToken(installationId, fetch) {
+    /** @type {GitHubAppCachedToken} */
+    const cached = { promise: this.__createToken(installationId, fetch) };
+    this.__tokens.set(installationId, cached);
+
+    cached.promise.then(
+      token => {
+        cached.expiresAt = token.expiresAt;
+      },
+      () => {
+        //Failed requests aren't cached, so the next caller tries again
+        if (this.__tokens.get(installationId) === cached) {
+          this.__tokens.delete(installationId);
+        }
+      }
+    );
+
+    return cached;
+  }
+
+  /**
+   * Forgets cached tokens, so the next request gets a new one
+   */
+  invalidate() {
+    this.__tokens.clear();
+  }
+
+  /**
+   * Looks up the installation id for a repo
+   *
+   * @param {GitHubAppTarget} target
+   * @returns {Promise<number>}
+   */
+  __installationId(target) {
+    const key = `${target.owner}/${target.repo}`;
+
+    let installation = this.__installations.get(key);
+    if (!installation) {
+      //https://docs.github.com/en/rest/apps/apps#get-a-repository-installation-for-the-authenticated-app
+      installation = this.__appRequest(
+        `/repos/${key}/installation`,
+        "GET",
+        target.fetch
+      ).then(json => json.id);
+      this.__installations.set(key, installation);
+      installation.catch(() => this.__installations.delete(key));
+    }
+
+    return installation;
+  }
+
+  /**
+   * Gets a new installation access token
+   *
+   * @param {number} installationId
+   * @param {function(string,*):Promise<*>} [fetch] transport to use, when the `fetch` option isn't set
+   * @returns {Promise<GitHubAppInstallationToken>}
+   */
+  async __createToken(installationId, fetch) {
+    //https://docs.github.com/en/rest/apps/apps#create-an-installation-access-token-for-an-app
+    /** @type {{token:string,expires_at:string}} */
+    const json = await this.__appRequest(
+      `/app/installations/${installationId}/access_tokens`,
+      "POST",
+      fetch
+    );
+
+    return { token: json.token, expiresAt: Date.parse(json.expires_at) };
+  }
+
+  /**
+   * Makes a request authenticated as the app
+   *
+   * @param {string} path
+   * @param {string} [method]
+   * @param {function(string,*):Promise<*>} [fetch] transport to use, when the `fetch` option isn't set
+   */
+  async __appRequest(path, method, fetch) {
+    const response = await (this.options.fetch || fetch || nodeFetch)(
+      `${this.options.apiBaseUrl}${path}`,
+      {
+        method: method || "GET",
+        headers: {
+          Accept: "application/vnd.github.v3+json",
+          "User-Agent": "cagov-github-tree-push",
+          Authorization: `Bearer ${this.createJwt()}`
+        }
+      }
+    );
+
+    if (!response.ok) {
+      throw new Error(
+        `GitHub App auth failed - ${response.status} - ${
+          response.statusText
+        } - ${response.url} - ${await response.text()}`
+      );
+    }
+
+    return response.json();
+  }
+}
+
+module.exports = { GitHubAppAuth };
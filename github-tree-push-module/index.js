@@ -1,15 +1,118 @@
 //@ts-check
-const fetch = require("fetch-retry")(require("node-fetch/lib"), {
-  retries: 3,
-  retryDelay: 2000
-});
+const fs = require("fs");
+const os = require("os");
+const nodePath = require("path");
+const crypto = require("crypto");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const { EventEmitter } = require("events");
+const { createTwoFilesPatch } = require("diff");
+const fetchRetry = require("fetch-retry");
+const nodeFetch = require("node-fetch/lib");
+const { walkDirectory } = require("./walk-directory");
+const { RequestScheduler } = require("./request-scheduler");
+const { GitHubAppAuth } = require("./github-app-auth");
+const { FileCacheStore } = require("./cache-store");
+const { signCommit, checkSigningOptions } = require("./commit-signer");
+const contentTransforms = require("./content-transforms");
+const {
+  cacheFiles,
+  readCacheEntry,
+  writeCacheEntry
+} = require("./download-cache");
+const {
+  lfsPointer,
+  lfsOid,
+  lfsOidFromFile,
+  lfsEndpoint,
+  readGitattributes,
+  writeGitattributes
+} = require("./git-lfs");
+const picomatch = require("picomatch");
+
+/** Default GitHub REST API location.  GitHub Enterprise Server uses `https://[hostname]/api/v3` */
+const defaultApiBaseUrl = "https://api.github.com";
 
 /** Default title used when one isn't specified for a Pull Request */
 const defaultPullRequestTitle = "Tree Push Pull Request";
 
+/** Git modes for tree rows */
+const gitModes = {
+  file: "100644",
+  executable: "100755",
+  symlink: "120000",
+  submodule: "160000"
+};
+
 /** Default value for contentToBlobBytes */
 const default_contentToBlobBytes = 50000;
 
+/** Number of sub-trees read at once when a tree is too big to read in one request */
+const treeReadConcurrency = 5;
+
+/** Log levels, from most to least verbose */
+const logLevels = ["debug", "info", "warn", "error", "silent"];
+
+/** Default value for logLevel */
+const default_logLevel = "info";
+
+/** Default value for maxDiffBytes */
+const default_maxDiffBytes = 100000;
+
+/** Number of local files hashed at once by syncDirectory */
+const fileHashConcurrency = 5;
+
+/** Largest blob GitHub accepts (100MB) */
+const maxBlobBytes = 100 * 1024 * 1024;
+
+/** Bytes of content base64 encoded at a time when uploading a blob.  A multiple of 3, so the parts join up. */
+const blobChunkBytes = 3 * 256 * 1024;
+
+/** Downloads allowed in flight at once */
+const default_downloadConcurrency = 5;
+
+/** Longest MS a download can take */
+const default_downloadTimeout = 300000;
+
+/** What to do when a download fails */
+const downloadErrorPolicies = ["fail", "skip", "keep"];
+
+/** Number of objects sent in each LFS batch request */
+const lfsBatchSize = 100;
+
+/** Headers for LFS batch API requests */
+const lfsHeaders = {
+  Accept: "application/vnd.git-lfs+json",
+  "Content-Type": "application/vnd.git-lfs+json"
+};
+
+/** Default value for conflictRetries */
+const default_conflictRetries = 3;
+
+/** Merge methods allowed by GitHub */
+const mergeMethods = ["merge", "squash", "rebase"];
+
+/** Default merge method for automatic merges */
+const default_mergeMethod = "squash";
+
+/** Default values for merge_wait_options */
+const default_mergeWait = {
+  timeout: 100000,
+  poll_interval: 1000,
+  backoff: 1,
+  max_poll_interval: 30000
+};
+
+/** Check run conclusions that stop an automatic merge */
+const failedCheckConclusions = ["failure", "timed_out", "cancelled"];
+
+/**
+ * `true` for a full commit or tree sha (which never changes what it points to), not a branch name
+ *
+ * @param {string} ref
+ */
+const isObjectSha = ref => /^([0-9a-f]{40}|[0-9a-f]{64})$/.test(ref);
+
 const sha1 = require("sha1");
 /*
  * see https://git-scm.com/book/en/v2/Git-Internals-Git-Objects
@@ -32,6 +135,274 @@ const gitHubBlobPredictSha = content =>
     ])
   );
 
+/**
+ * Returns a Github equivalent sha hash for a file on disk, reading it as a stream
+ *
+ * @param {string} filePath file to hash
+ * @returns {Promise<string>} SHA Hash that would be used on Github for the file
+ */
+const gitHubBlobPredictShaFromFile = async filePath => {
+  const { size } = await fs.promises.stat(filePath);
+  const hash = crypto.createHash("sha1").update(`blob ${size}\0`);
+
+  let bytesRead = 0;
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+    bytesRead += chunk.length;
+  }
+
+  if (bytesRead !== size) {
+    throw new Error(`File changed while reading - ${filePath}`);
+  }
+
+  return hash.digest("hex");
+};
+
+/**
+ * `true` if the content looks like text.  Uses the same test as git (no null bytes near the start).
+ *
+ * @param {Buffer} buffer
+ */
+const isTextContent = buffer => !buffer.subarray(0, 8000).includes(0);
+
+/**
+ * Returns the size of the content for a file being synced, or `null` if there isn't any
+ *
+ * @param {TreeFileOperationSync} [sync]
+ */
+const syncContentSize = async sync => {
+  if (sync?.buffer) {
+    return sync.buffer.length;
+  } else if (sync?.content !== undefined) {
+    return Buffer.byteLength(sync.content);
+  } else if (sync?.filePath) {
+    return (await fs.promises.stat(sync.filePath)).size;
+  }
+  return null;
+};
+
+/**
+ * Returns the content for a file being synced, or `null` if there isn't any
+ *
+ * @param {TreeFileOperationSync} [sync]
+ */
+const syncContentBuffer = async sync => {
+  if (sync?.buffer) {
+    return sync.buffer;
+  } else if (sync?.content !== undefined) {
+    return Buffer.from(sync.content);
+  } else if (sync?.filePath) {
+    return fs.promises.readFile(sync.filePath);
+  }
+  return null;
+};
+
+/**
+ * Returns a stream of the JSON body for creating a blob.  The content is base64 encoded a part at a time, so it is never all in memory.
+ *
+ * @param {TreeFileOperationSync} sync buffer or file to upload
+ * @returns {Readable}
+ */
+const blobRequestBody = sync => {
+  const buffer = sync.buffer;
+  const source = buffer
+    ? Array.from(
+        { length: Math.ceil(buffer.length / blobChunkBytes) },
+        (x, i) => buffer.subarray(i * blobChunkBytes, (i + 1) * blobChunkBytes)
+      )
+    : fs.createReadStream(sync.filePath || "", {
+        highWaterMark: blobChunkBytes
+      });
+
+  return Readable.from(
+    (async function* () {
+      yield Buffer.from('{"encoding":"base64","content":"');
+
+      //Stream chunks can be any size, so bytes are held back until there are 3 to encode
+      let rest = Buffer.alloc(0);
+      for await (const chunk of source) {
+        const data = rest.length ? Buffer.concat([rest, chunk]) : chunk;
+        const whole = data.length - (data.length % 3);
+        yield Buffer.from(data.subarray(0, whole).toString("base64"));
+        rest = data.subarray(whole);
+      }
+
+      yield Buffer.from(`${rest.toString("base64")}"}`);
+    })()
+  );
+};
+
+/**
+ * Returns a stream of an LFS object's content for uploading.  The sha256 is worked out as the content is read, and given to `onEnd`.
+ *
+ * @param {TreeFileOperationLfs} object buffer or file to upload
+ * @param {function(string):void} onEnd called with the sha256 of what was sent
+ * @returns {Readable}
+ */
+const lfsUploadBody = (object, onEnd) => {
+  const source = object.buffer
+    ? [object.buffer]
+    : fs.createReadStream(object.filePath || "");
+
+  return Readable.from(
+    (async function* () {
+      const hash = crypto.createHash("sha256");
+      for await (const chunk of source) {
+        hash.update(chunk);
+        yield chunk;
+      }
+      onEnd(hash.digest("hex"));
+    })()
+  );
+};
+
+/**
+ * Returns the number of bytes in a blob request body made by `blobRequestBody`
+ *
+ * @param {number} size content bytes
+ */
+const blobRequestBodyLength = size =>
+  '{"encoding":"base64","content":""}'.length + Math.ceil(size / 3) * 4;
+
+/**
+ * Returns a commit person in the format GitHub expects, or throws if it isn't valid
+ *
+ * @param {TreePushCommitPerson} person
+ * @param {string} role option name, for errors
+ */
+const commitPerson = (person, role) => {
+  if (!person.name || !person.email) {
+    throw new Error(`${role} needs a name and email`);
+  }
+
+  /** @type {{name:string,email:string,date?:string}} */
+  const result = { name: person.name, email: person.email };
+  if (person.date) {
+    const date = new Date(person.date);
+    if (isNaN(date.getTime())) {
+      throw new Error(`${role} has an invalid date - ${person.date}`);
+    }
+    result.date =
+      person.date instanceof Date ? date.toISOString() : person.date;
+  }
+  return result;
+};
+
+/**
+ * Adds trailers to the end of a commit message, separated by a blank line like git does
+ *
+ * @param {string} message
+ * @param {TreePushCommitTrailer[]} [trailers]
+ */
+const messageWithTrailers = (message, trailers) => {
+  if (!trailers?.length) {
+    return message;
+  }
+
+  const lines = trailers.map(trailer => {
+    if (!/^[A-Za-z0-9-]+$/.test(trailer.key) || /[\r\n]/.test(trailer.value)) {
+      throw new Error(`Invalid commit trailer - ${trailer.key}`);
+    }
+    return `${trailer.key}: ${trailer.value}`;
+  });
+
+  return message.trim()
+    ? `${message.trimEnd()}\n\n${lines.join("\n")}`
+    : lines.join("\n");
+};
+
+/**
+ * Like `Promise.all(items.map(fn))`, but with no more than `limit` calls running at once
+ *
+ * @param {*[]} items
+ * @param {number} limit
+ * @param {function(*):Promise<*>} fn
+ * @returns {Promise<*[]>}
+ */
+const mapWithLimit = async (items, limit, fn) => {
+  /** @type {*[]} */
+  const results = [];
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index]);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+
+  return results;
+};
+
+/**
+ * Checks download options, so a bad option doesn't fail half way through a push
+ *
+ * @param {TreePushDownloadOptions} [options]
+ */
+const checkDownloadOptions = options => {
+  if (options?.onError && !downloadErrorPolicies.includes(options.onError)) {
+    throw new Error(`Invalid download onError "${options.onError}"`);
+  }
+};
+
+/**
+ * Throws if a download is larger than allowed
+ *
+ * @param {string} url
+ * @param {number} size bytes
+ * @param {number} maxBytes
+ */
+const checkDownloadSize = (url, size, maxBytes) => {
+  if (size > maxBytes) {
+    throw new Error(`Download is larger than ${maxBytes} bytes - ${url}`);
+  }
+};
+
+/**
+ * Throws if a download's content type isn't one of the `contentType` option's
+ *
+ * @param {string} url
+ * @param {TreePushDownloadOptions} options
+ * @param {string} contentType `Content-Type` of the download
+ */
+const checkDownloadType = (url, options, contentType) => {
+  const expectedTypes = [options.contentType || []].flat();
+  if (
+    expectedTypes.length &&
+    !expectedTypes.some(x =>
+      contentType.toLowerCase().startsWith(x.toLowerCase())
+    )
+  ) {
+    throw new Error(`Unexpected content type "${contentType}" - ${url}`);
+  }
+};
+
+/**
+ * Throws if downloaded content doesn't have the expected sha256
+ *
+ * @param {string} url
+ * @param {TreePushDownloadOptions} options
+ * @param {string} sha256 sha256 (hex) of the downloaded content
+ */
+const checkDownloadSha = (url, options, sha256) => {
+  if (options.sha256 && options.sha256.toLowerCase() !== sha256) {
+    throw new Error(
+      `Download sha256 mismatch (expected ${options.sha256}, got ${sha256}) - ${url}`
+    );
+  }
+};
+
+/**
+ * Returns what a tree row points to, to compare versions of a file
+ *
+ * @param {GithubTreeRow} [row]
+ */
+const treeRowVersion = row => (row ? `${row.mode} ${row.sha}` : "");
+
 /**
  * Halts processing for a set time
  *
@@ -44,22 +415,165 @@ const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
  * @property {string} owner **Required.** GitHub _owner_ path.
  * @property {string} repo **Required.** GitHub _repo_ path.
  * @property {string} base **Required.** The name of the base branch that the head will be merged into (main/etc).
+ * @property {string} [base_create_from] Branch, tag or commit sha to create the base branch from, if it doesn't exist.
+ * @property {boolean} [orphan] `true` to commit with no parent, replacing the base branch's history with a single commit (like `gh-pages` deployments).  Creates the branch if it doesn't exist.
  * @property {string} [path] Starting path in the repo for changes to start from. Defaults to root.
  * @property {boolean} [removeOtherFiles] `true` to remove other files in the path when pushing.
  * @property {boolean} [recursive] `true` to compare sub-folders too.  Default `true`.
+ * @property {TreePushPathOptions[]} [paths] Several starting paths to manage in one commit, instead of `path`.  File paths are then relative to the repo root.
  * @property {number} [contentToBlobBytes] Content bytes allowed in content tree before turning it into a separate blob upload. Default 50000.
  * @property {string} [commit_message] Name to identify the Commit.
+ * @property {TreePushCommitPerson} [commit_author] Author of the commits.  Default is the token's user.
+ * @property {TreePushCommitPerson} [commit_committer] Committer of the commits.  Default is the author.
+ * @property {TreePushCommitTrailer[]} [commit_trailers] Trailers added to the end of the commit message, like `Co-authored-by`.
+ * @property {TreePushCommitSigning} [commit_signing] Key (OpenPGP or SSH) to sign commits with.  Needs `commit_author`.
+ * @property {TreePushLfsOptions} [lfs] Stores matching or large files in Git LFS, committing pointer files instead.
+ * @property {TreePushDownloadOptions} [downloadOptions] Defaults for every `syncDownload`.
+ * @property {number} [downloadConcurrency] Downloads allowed in flight at once.  Default 5.
+ * @property {string} [downloadCacheFolder] Folder to keep downloads in between runs.  Unchanged downloads are requested conditionally (ETag / Last-Modified) and not downloaded again.
  * @property {boolean} [pull_request] `true` to use a Pull Request.
  * @property {TreePushCommitPullRequestOptions} [pull_request_options] Options if using a Pull Request. See https://docs.github.com/en/rest/reference/pulls#create-a-pull-request
+ * @property {string} [apiBaseUrl] GitHub REST API location.  Default `https://api.github.com`.  For GitHub Enterprise Server use `https://[hostname]/api/v3`.
+ * @property {function(string,*):Promise<*>} [fetch] Fetch implementation to use for all requests (node-fetch compatible).  Default `node-fetch`.
+ * @property {Object<string,string>} [headers] Extra headers sent with every API request.
+ * @property {*} [agent] http(s) agent (or function returning one) used for all requests, e.g. for a proxy.
+ * @property {number} [conflictRetries] Times to re-read and re-apply the changes when the base branch moves during a push.  Default 3.
+ * @property {TreePushLogger} [logger] Where log messages are written.  Default `console`.
+ * @property {string} [logLevel] Lowest level logged.  'debug', 'info', 'warn', 'error' or 'silent'.  Default 'info'.
+ * @property {number} [maxConcurrentRequests] API requests allowed in flight at once.  Default 10.
+ * @property {number} [mutatingRequestSpacing] Minimum MS between API requests that create or change content (POST/PATCH/PUT/DELETE).  Default 1000.
+ * @property {number} [rateLimitRetries] Times to wait and retry a request that was rate limited.  Default 3.
+ * @property {number} [maxRateLimitWait] Longest MS to wait for a rate limit to reset before failing.  Default 900000 (15 minutes).
+ * @property {TreePushAuthProvider} [auth] Gets the token for each request, instead of a static token.  See `GitHubAppAuth`.
+ * @property {string | TreePushCacheStore} [cache] Keeps remote trees and known blob shas between runs.  A folder (for a `FileCacheStore`), or any store.
+ */
+
+/**
+ * @typedef {object} TreePushCacheStore
+ * @property {function(string):Promise<*>} get Returns the value saved for a key, or `undefined`.
+ * @property {function(string,*):Promise<void>} set Saves a JSON value for a key.
+ */
+
+/**
+ * @typedef {object} TreePushAuthProvider
+ * @property {function(TreePushAuthTarget):Promise<string>} getToken Returns a token for the repo.  Called before every request, so it should cache.
+ * @property {function():void} [invalidate] Forgets cached tokens.  Called when a request is rejected as unauthorized, before retrying it once.
+ */
+
+/**
+ * @typedef {object} TreePushAuthTarget
+ * @property {string} owner
+ * @property {string} repo
+ * @property {function(string,*):Promise<*>} [fetch] Sends a request with the tree's transport (`fetch`, `agent` and `headers`), for getting tokens.
+ */
+
+/**
+ * @typedef {object} TreePushLogger
+ * @property {function(string):void} [debug]
+ * @property {function(string):void} [info]
+ * @property {function(string):void} [warn]
+ * @property {function(string):void} [error]
+ * @property {function(string):void} [log] Used for any level that doesn't have its own function.  Messages for a level with neither are skipped.
+ */
+
+/**
+ * @typedef {object} TreePushCommitPerson
+ * @property {string} name **Required.**
+ * @property {string} email **Required.**
+ * @property {string | Date} [date] When the commit was authored/committed.  ISO 8601 string or Date.  Default is now.
+ */
+
+/**
+ * @typedef {object} TreePushCommitTrailer
+ * @property {string} key Trailer name, like `Co-authored-by` or `Signed-off-by`.
+ * @property {string} value Trailer value, like `Name <email@example.com>`.
+ */
+
+/**
+ * @typedef {object} TreePushCommitSigning
+ * @property {string} [privateKey] Armored OpenPGP private key, or SSH private key (OpenSSH or PEM format).
+ * @property {string} [passphrase] Passphrase for an encrypted private key.
+ * @property {string} [format] `openpgp` or `ssh`.  Default is detected from the private key.
+ * @property {function(string):Promise<string>} [sign] Custom signer.  Gets the commit payload and returns an armored signature.  Use instead of `privateKey`.
+ */
+
+/**
+ * @typedef {object} TreePushLfsOptions
+ * @property {string | string[]} [include] Glob patterns (matched against the publishing path) of files to store in LFS.
+ * @property {number} [minBytes] Files this size or larger are stored in LFS.
+ * @property {string} [endpoint] LFS server URL.  Default is the repo's GitHub LFS server, like `https://github.com/[owner]/[repo].git/info/lfs`.
+ * @property {Object<string,string>} [headers] Extra headers for LFS batch requests, like a different `Authorization`.
+ * @property {boolean} [gitattributes] `false` to leave `.gitattributes` alone.  Default `true` keeps a list of the LFS files in `.gitattributes`.
+ */
+
+/**
+ * @typedef {object} TreePushDownloadOptions
+ * @property {Object<string,string>} [headers] Extra headers for the download request, like `Authorization`.
+ * @property {number} [timeout] Longest MS the download can take.  Default 300000 (5 minutes).  `0` for no limit.
+ * @property {number} [maxBytes] Largest download allowed.
+ * @property {string | string[]} [contentType] Expected `Content-Type`s.  A response matches if its type starts with one of them, like `image/`.
+ * @property {string} [sha256] Expected sha256 (hex) of the downloaded content.
+ * @property {string} [onError] What to do if the download fails.  `fail` stops the push (default), `skip` leaves the file out, `keep` keeps the file that is in the repo now.
+ */
+
+/**
+ * @typedef {object} TreePushPathOptions
+ * @property {string} path Starting path in the repo.  Empty for the root.
+ * @property {boolean} [removeOtherFiles] `true` to remove other files in the path when pushing.
+ * @property {boolean} [recursive] `true` to compare sub-folders too.  Default `true`.
+ */
+
+/**
+ * Where to push with `treePushTargets`.  Any other `TreePushTreeOptions` (like `pull_request` or `commit_message`) can be set too.
+ *
+ * @typedef {object} TreePushTarget
+ * @property {string} [owner] GitHub _owner_ path.  Default is the tree's `owner`.
+ * @property {string} [repo] GitHub _repo_ path.  Default is the tree's `repo`.
+ * @property {string} [base] Branch to push to.  Default is the tree's `base`.
+ * @property {string} [path] Starting path in the repo.  Default is the tree's `path`.
+ * @property {TreePushPathOptions[]} [paths] Several starting paths, instead of `path`.
+ * @property {boolean} [pull_request] `true` to use a Pull Request.
+ * @property {string} [commit_message] Name to identify the Commit.
+ */
+
+/**
+ * A file in the repo, from `listFiles`
+ *
+ * @typedef {object} TreePushRemoteFile
+ * @property {string} path Path relative to the starting `path` (or the repo root, with `paths`).
+ * @property {string} sha Blob sha.  The commit sha for submodules.
+ * @property {string} mode usually '100644'.  '100755' for executables, '120000' for symlinks, '160000' for submodules
+ * @property {string} type 'blob', or 'commit' for submodules
+ * @property {number} [size] Bytes.  Not set for submodules.
+ */
+
+/**
+ * Options for `revertCommit` and `restoreToCommit`.  Any other `TreePushTreeOptions` (like `pull_request` or `path`) can be set too.
+ *
+ * @typedef {object} TreePushHistoryOptions
+ * @property {boolean} [dryRun] `true` to return a report of the changes (like `treePushDryRunReport`) without committing.
+ * @property {string} [commit_message] Name to identify the Commit.  Default is like `Revert "..."` or `Restore ... to ...`.
+ * @property {boolean} [pull_request] `true` to use a Pull Request.
+ */
+
+/**
+ * @typedef {object} TreePushTargetResult
+ * @property {string} owner
+ * @property {string} repo
+ * @property {string} base
+ * @property {string} [path]
+ * @property {TreeFileRunStats} stats Stats for this target's push.
+ * @property {Error} [error] Why the push to this target failed.
  */
 
 /**
  * @typedef {object} GithubTreeRow
  * @property {string} path
- * @property {string} mode usually '100644'
- * @property {string} type usually 'blob'
+ * @property {string} mode usually '100644'.  '100755' for executables, '120000' for symlinks, '160000' for submodules
+ * @property {string} type usually 'blob'.  'commit' for submodules
  * @property {string | null} [sha]
  * @property {string} [content]
+ * @property {number} [size] Blob size, when read from GitHub
  */
 
 /**
@@ -68,6 +582,22 @@ const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
  * @property {string} html_url
  * @property {string} message
  * @property {{sha:string}[]} [parents]
+ * @property {{sha:string}} [tree]
+ * @property {{verified:boolean,reason:string}} [verification]
+ */
+
+/**
+ * @typedef {object} GithubBaseBranch
+ * @property {string | null} sha Commit the base branch points to, or the commit it will be created from.  `null` for a new orphan branch.
+ * @property {boolean} exists `false` if the base branch needs to be created
+ */
+
+/**
+ * @typedef {object} GithubPullRequest
+ * @property {number} number
+ * @property {string} html_url
+ * @property {{ref:string}} head
+ * @property {string | null} [body]
  */
 
 /**
@@ -112,12 +642,34 @@ const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
  * @property {TreePushCommitPullRequestIssueOptions} [issue_options] Options for issue.
  * @property {boolean} [automatic_merge] `true` to merge the PR after creating it. Will wait for status checks to pass.
  * @property {number} [automatic_merge_delay] MS to delay after creating before attempting to merge.
+ * @property {TreePushCommitPullRequestMergeOptions} [merge_options] How to merge when using `automatic_merge`.
+ * @property {TreePushCommitPullRequestMergeWaitOptions} [merge_wait_options] What to wait for, and for how long, before an automatic merge.
+ * @property {string} [head_branch] Branch name to reuse for every push.  The branch is force-updated to the new commit, an open pull request from it is updated instead of opening a new one, and it is closed when there are no changes.
+ */
+
+/**
+ * From https://docs.github.com/en/rest/reference/pulls#merge-a-pull-request
+ *
+ * @typedef {object} TreePushCommitPullRequestMergeOptions
+ * @property {string} [merge_method] `merge`, `squash` or `rebase`.  Default `squash`.
+ * @property {string} [commit_title] Title for the merge commit.
+ * @property {string} [commit_message] Extra detail to append to the merge commit message.
+ */
+
+/**
+ * @typedef {object} TreePushCommitPullRequestMergeWaitOptions
+ * @property {number} [timeout] Longest MS to wait for checks, statuses and approvals.  Default 100000.
+ * @property {number} [poll_interval] MS to wait before checking again.  Default 1000.
+ * @property {number} [backoff] Multiplier applied to the poll interval after each check.  Default 1 (no backoff).
+ * @property {number} [max_poll_interval] Longest MS between checks when backing off.  Default 30000.
+ * @property {number} [required_approvals] Approving reviews to wait for.  Default 0.
  */
 
 /**
  * @typedef {object} TreeFileOperation
  * @property {TreeFileOperationSync} [sync]
  * @property {boolean} [remove]
+ * @property {{from:string}} [copy] Reuse the blob of another file in the remote tree
  */
 
 /**
@@ -125,6 +677,31 @@ const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
  * @property {string} sha
  * @property {string} [content]
  * @property {Buffer} [buffer]
+ * @property {string} [filePath] Local file to read when uploading the blob.
+ * @property {string} [mode] Git mode for the file.
+ * @property {string} [type] 'blob' (default) or 'commit' for submodules
+ * @property {TreeFileOperationLfs} [lfs] The LFS object, when the content is an LFS pointer file.
+ */
+
+/**
+ * @typedef {object} TreeFileOperationLfs
+ * @property {string} oid sha256 of the content
+ * @property {number} size
+ * @property {Buffer} [buffer] Content to upload
+ * @property {string} [filePath] Local file to read when uploading the content
+ */
+
+/**
+ * @typedef {object} TreeFileSyncOptions
+ * @property {string} [mode] Git mode for the file.  '100644' or '100755' for executables.  Default is to keep the existing mode, or '100644' for new files.
+ */
+
+/**
+ * @typedef {object} TreeDirectorySyncOptions
+ * @property {string | string[]} [include] Glob patterns (relative to the folder) of files to include.  Default is all files.
+ * @property {string | string[]} [exclude] Glob patterns (relative to the folder) of files to skip.
+ * @property {boolean} [respectGitignore] `true` to skip files matched by `.gitignore` files in the folder.
+ * @property {boolean} [followSymlinks] `true` to push the files that symlinks point to.  Default is to push the links.
  */
 
 /**
@@ -133,20 +710,60 @@ const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
  * @property {number} [Tree_Operations] Number of CRUD operations in the new tree.
  * @property {number} [Content_Converted_To_Blobs] Text content that will be uploaded separately (because of dupes or size).
  * @property {number} [Blobs_Uploaded] Number of blobs uploaded to GitHub just now.
+ * @property {number} [LFS_Objects_Uploaded] Number of files uploaded to the LFS server just now.
+ * @property {number} [Downloads_Not_Modified] Downloads reused from `downloadCacheFolder` because they had not changed.
+ * @property {number} [Downloads_Failed] Downloads that failed and were skipped or kept (see `onError`).
  * @property {number} [Text_Content_Uploaded] Number of text content strings that were uploaded together in the tree.
  * @property {number} [Target_Tree_Size] The original tree size.
+ * @property {number} [Trees_From_Cache] Remote trees read from the `cache` instead of GitHub.
  * @property {number} [Files_Deleted] Files deleted from GitHub in this tree.
  * @property {number} [Files_Referenced] Files where a SHA reference to a blob was added/moved.
+ * @property {number} [Files_Renamed] Files moved from another path (counted in Files_Referenced and Files_Deleted too).
+ * @property {number} [Files_Copied] Files copied from another path (counted in Files_Referenced too).
  * @property {string} [Commit_URL] The GitHub URL for the commit details.
  * @property {string} [Pull_Request_URL] The GitHub URL for the pull request details.
+ * @property {number} [Pull_Requests_Closed] Pull requests closed because they were superseded or had no changes left.
  * @property {number} [GitHub_Rate_Limit_Remaining] How many more requests are allowed this hour.
  * @property {number} [GitHub_Rate_Limit_Retry_After] How long to wait before trying again.
+ * @property {number} [Rate_Limit_Wait_MS] Time all requests were paused because of GitHub rate limits.
+ * @property {number} [Throttle_Wait_MS] Total time requests waited to space out content creating requests.
+ * @property {number} [Base_Moved_Retries] Times the changes were re-applied because the base branch moved during the push.
+ */
+
+/**
+ * @typedef {object} TreePushDryRunReportOptions
+ * @property {boolean} [diff] `true` to include unified diffs for changed text files.  Remote content is downloaded to compare.
+ * @property {number} [maxDiffBytes] Files larger than this (on either side) are not diffed.  Default 100000.
+ */
+
+/**
+ * @typedef {object} TreePushDryRunFile
+ * @property {string} path Path in the repo.
+ * @property {string} operation 'add', 'update', 'delete', 'rename' or 'copy'.
+ * @property {string} [from] Source path for renames and copies.
+ * @property {string | null} oldSha Sha in the repo now, or `null` for new files.
+ * @property {string | null} newSha Sha after the push, or `null` for deletes.
+ * @property {string | null} oldMode
+ * @property {string | null} newMode
+ * @property {number | null} oldSize Bytes in the repo now, when known.
+ * @property {number | null} newSize Bytes after the push, when known.
+ * @property {string} [diff] Unified diff, for text files when `diff` is requested.
+ */
+
+/**
+ * @typedef {object} TreePushDryRunReport
+ * @property {TreePushDryRunFile[]} files Every file that will change.
+ * @property {TreeFileRunStats} stats Stats for the dry run.
  */
 
 /**
  * @typedef {object} FetchOptions
  * @property {string} [method]
  * @property {FetchOptionsHeaders} [headers]
+ * @property {*} [body] Request body, or a function that returns a new body for each attempt (for streams).
+ * @property {*} [agent]
+ * @property {*} [signal] AbortSignal to cancel the request.
+ * @property {function(number,Error|null,*):boolean} [retryOn] Decides if a failed request is retried.
  */
 
 /**
@@ -156,17 +773,45 @@ const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
  * @property {string} [User-Agent]
  * @property {string} [Accept]
  * @property {string} [If-None-Match]
+ * @property {string} [If-Modified-Since]
+ * @property {string} [Content-Length]
  */
 
 /**
  * Manage a tree for syncing with GitHub
+ *
+ * Events emitted (each with a single data object)
+ * - `tree-read` {path, sha, size, truncated, cached} the remote tree was read (`cached` if it came from the `cache`)
+ * - `blobs-syncing` {count} blobs are being checked/uploaded
+ * - `blob-found` / `blob-uploaded` {sha, paths} a blob was already in the repo / was uploaded
+ * - `lfs-objects-syncing` {count} LFS objects are being checked/uploaded
+ * - `lfs-object-found` / `lfs-object-uploaded` {oid, size, paths} an LFS object was already on the server / was uploaded
+ * - `downloads-started` {urls} / `downloads-complete` {count}
+ * - `download-not-modified` {url, paths} a download in `downloadCacheFolder` had not changed
+ * - `download-failed` {url, paths, error, onError} a download failed, and the file was skipped or kept
+ * - `tree-part-created` {sha, rows, totalRows} part of a (possibly split) tree was created
+ * - `commit-created` {sha, html_url, message}
+ * - `no-changes` {name} there was nothing to commit
+ * - `rate-limited` {waitMs} GitHub rate limits were hit, requests are paused
+ * - `base-moved` {attempt} the base branch moved during the push, and the changes will be re-applied
+ * - `ref-updated` {ref, sha} the base branch was moved to the new commit
+ * - `pr-created` {number, html_url, head}
+ * - `pr-updated` {number, html_url, head} the open `head_branch` pull request was updated
+ * - `pr-closed` {number, html_url, reason} a superseded pull request, or one with no changes left, was closed
+ * - `merge-waiting` {number, checks, pending_checks, pending_statuses, approvals, mergeable, mergeable_state} automatic merge is waiting for checks, statuses or approvals
+ * - `merged` {number, html_url}
+ * - `target-failed` {owner, repo, base, path, stats, error} a `treePushTargets` target failed
+ *
+ * Events from `treePushTargets` pushes also include the `target` {owner, repo, base}.
  */
-class GitHubTreePush {
+class GitHubTreePush extends EventEmitter {
   /**
-   * @param {string} token authentication token
+   * @param {string | null} token authentication token.  Can be empty when using the `auth` option.
    * @param {TreePushTreeOptions} options describes the target in GitHub
    */
   constructor(token, options) {
+    super();
+
     /**
      * (private) All registered files for the tree operation
      *
@@ -209,33 +854,264 @@ class GitHubTreePush {
      */
     this.__knownBlobShas = new Set();
 
+    /**
+     * (private) Known blob shas for each repo pushed to by `treePushTargets`
+     *
+     * @type {Map<string,Set<string>>}
+     */
+    this.__knownBlobShasByRepo = new Map();
+
+    /**
+     * (private) Where remote trees and known blob shas are kept between runs
+     *
+     * @type {TreePushCacheStore | undefined}
+     */
+    this.__cache =
+      typeof options.cache === "string"
+        ? new FileCacheStore(options.cache)
+        : options.cache;
+
+    /**
+     * (private) The last remote tree read by `listFiles`, `readFile` or `exists`
+     *
+     * @type {{sha:string | null,rows:Map<string,GithubTreeRow>} | undefined}
+     */
+    this.__remoteFiles = undefined;
+
     /**
      * Hiding the token unless explicitly asked for
      *
      * @type {function():string}
      */
-    this.__token = () => token;
+    this.__token = () => token || "";
 
     /**
-     * @type {{path:string,url:string}[]}
+     * @type {{path:string,url:string,options?:TreePushDownloadOptions}[]}
      */
     this.__downloads = [];
 
+    /**
+     * (private) Full paths of copied/moved files from the last delta, mapped to the full path they came from
+     *
+     * @type {Map<string,string>}
+     */
+    this.__copySources = new Map();
+
+    /**
+     * (private) Content transforms, in the order they were added
+     *
+     * @type {{matches:function(string):boolean,transform:function(*,string):*}[]}
+     */
+    this.__transforms = [];
+
+    /**
+     * (private) LFS object ids known to be on the LFS server
+     *
+     * @type {Set<string>}
+     */
+    this.__knownLfsOids = new Set();
+
+    /**
+     * (private) The `.gitattributes` operations registered before LFS lines were added to them
+     *
+     * @type {Map<string,TreeFileOperation | undefined>}
+     */
+    this.__gitattributesOperations = new Map();
+
+    /**
+     * (private) `true` for paths that match the `lfs` include patterns
+     *
+     * @type {function(string):boolean}
+     */
+    this.__lfsIncluded = this.options.lfs?.include
+      ? picomatch(this.options.lfs.include, { dot: true })
+      : () => false;
+
+    /**
+     * (private) Temporary folder that downloads are saved in
+     *
+     * @type {string | undefined}
+     */
+    this.__downloadFolder = undefined;
+
+    const baseFetch = this.options.fetch || nodeFetch;
+    /**
+     * (private) The fetch used for all requests, with retries for common connection errors
+     *
+     * @type {function(string,*):Promise<*>}
+     */
+    this.__fetch = fetchRetry(
+      //Streamed bodies can only be read once, so each attempt (including retries) gets a new one
+      (/** @type {string} */ url, /** @type {FetchOptions} */ init) =>
+        baseFetch(
+          url,
+          typeof init?.body === "function"
+            ? { ...init, body: init.body() }
+            : init
+        ),
+      {
+        retries: 3,
+        retryDelay: 2000
+      }
+    );
+
+    /**
+     * (private) Controls when API requests run, to stay within GitHub rate limits
+     *
+     * @type {RequestScheduler}
+     */
+    this.__scheduler = new RequestScheduler({
+      maxConcurrentRequests: this.options.maxConcurrentRequests,
+      mutatingRequestSpacing: this.options.mutatingRequestSpacing,
+      rateLimitRetries: this.options.rateLimitRetries,
+      maxRateLimitWait: this.options.maxRateLimitWait
+    });
+
+    this.options.apiBaseUrl = (
+      this.options.apiBaseUrl || defaultApiBaseUrl
+    ).replace(/\/+$/, ""); //no trailing slash
+
     this.options.recursive = this.options.recursive ?? true; //default to true
 
+    if (this.options.orphan) {
+      if (this.options.base_create_from) {
+        throw new Error("Use either base_create_from or orphan, not both");
+      }
+      if (this.options.pull_request) {
+        throw new Error("orphan can't be used with pull_request");
+      }
+    }
+
+    if (this.options.paths) {
+      if (this.options.path) {
+        throw new Error("Use either path or paths, not both");
+      }
+      if (!this.options.paths.length) {
+        throw new Error("paths needs at least one path");
+      }
+
+      this.options.paths = this.options.paths.map(x => ({
+        ...x,
+        path: (x.path || "").replace(/^\/+|\/+$/g, ""), //no leading or trailing slashes
+        recursive: x.recursive ?? true
+      }));
+    }
+
     this.options.contentToBlobBytes =
       this.options.contentToBlobBytes ?? default_contentToBlobBytes; //default size
-  }
+
+    this.options.conflictRetries =
+      this.options.conflictRetries ?? default_conflictRetries;
+
+    //Check the commit details early, so a bad option doesn't fail half way through a push
+    this.__commitDetails();
+
+    const merge_method =
+      this.options.pull_request_options?.merge_options?.merge_method;
+    if (merge_method && !mergeMethods.includes(merge_method)) {
+      throw new Error(`Invalid merge_method "${merge_method}"`);
+    }
+
+    if (
+      this.options.lfs &&
+      !this.options.lfs.include &&
+      this.options.lfs.minBytes === undefined
+    ) {
+      throw new Error("lfs needs include or minBytes");
+    }
+
+    checkDownloadOptions(this.options.downloadOptions);
+
+    this.options.logLevel = this.options.logLevel || default_logLevel;
+    if (!logLevels.includes(this.options.logLevel)) {
+      throw new Error(`Invalid logLevel "${this.options.logLevel}"`);
+    }
+  }
+
+  /**
+   * Writes a message to the logger, if the level is enabled
+   *
+   * @param {string} level 'debug', 'info', 'warn' or 'error'
+   * @param {string} message
+   */
+  __log(level, message) {
+    if (
+      logLevels.indexOf(level) <
+      logLevels.indexOf(this.options.logLevel || default_logLevel)
+    ) {
+      return;
+    }
+
+    /** @type {*} */
+    const logger = this.options.logger || console;
+    const write = logger[level] || logger.log;
+    //A logger without a function for this level skips the message
+    if (typeof write === "function") {
+      write.call(logger, message);
+    }
+  }
+
+  /**
+   * Records time spent waiting by the request scheduler
+   *
+   * @param {string} reason 'rate-limit' or 'throttle'
+   * @param {number} ms
+   */
+  __recordWait(reason, ms) {
+    if (reason === "rate-limit") {
+      this.lastRunStats.Rate_Limit_Wait_MS =
+        (this.lastRunStats.Rate_Limit_Wait_MS || 0) + ms;
+
+      this.__notify(
+        "rate-limited",
+        { waitMs: ms },
+        "warn",
+        `GitHub rate limit reached.  Waiting ${Math.ceil(ms / 1000)}s...`
+      );
+    } else {
+      this.lastRunStats.Throttle_Wait_MS =
+        (this.lastRunStats.Throttle_Wait_MS || 0) + ms;
+    }
+  }
+
+  /**
+   * Emits an event, and logs a message for it
+   *
+   * @param {string} eventName
+   * @param {*} data event details
+   * @param {string} level log level for the message
+   * @param {string} message
+   */
+  __notify(eventName, data, level, message) {
+    this.emit(eventName, data);
+    this.__log(level, message);
+  }
 
   __gitAuthheader() {
     return {
-      Authorization: `Bearer ${this.__token()}`,
       "Content-Type": "application/json",
       "User-Agent": "cagov-github-tree-push",
-      Accept: "application/vnd.github.v3+json" //https://docs.github.com/en/rest/overview/resources-in-the-rest-api#current-version
+      Accept: "application/vnd.github.v3+json", //https://docs.github.com/en/rest/overview/resources-in-the-rest-api#current-version
+      ...this.options.headers,
+      //With an auth provider, the token is added as each request is sent
+      ...(this.options.auth
+        ? {}
+        : { Authorization: `Bearer ${this.__token()}` })
     };
   }
 
+  /**
+   * Adds the transport settings (agent/proxy) to a set of fetch options
+   *
+   * @param {FetchOptions} [options]
+   * @returns {FetchOptions}
+   */
+  __transportOptions(options) {
+    return this.options.agent
+      ? { ...options, agent: this.options.agent }
+      : { ...options };
+  }
+
   /**
    *
    * @param {FetchOptions} [options] Options to override the defaults
@@ -303,13 +1179,15 @@ class GitHubTreePush {
   async __fetchResponse(path, options, okStatusCodes) {
     const apiURL = path.startsWith("http")
       ? path
-      : `https://api.github.com/repos/${this.options.owner}/${this.options.repo}${path}`;
+      : `${this.options.apiBaseUrl}/repos/${this.options.owner}/${this.options.repo}${path}`;
 
     //All these request have required auth
-    if (!options?.headers?.Authorization) {
+    if (!options?.headers?.Authorization && !this.options.auth) {
       throw new Error("Authorization Header Required");
     }
-    return fetch(apiURL, options).then(async response => {
+    const fetchOptions = this.__transportOptions(options);
+
+    return this.__send(apiURL, fetchOptions).then(async response => {
       this.lastFetchResponse = response;
       this.lastRunStats.GitHub_Rate_Limit_Remaining = Number(
         this.lastFetchResponse.headers.get("x-ratelimit-remaining")
@@ -332,6 +1210,72 @@ class GitHubTreePush {
     });
   }
 
+  /**
+   * Sends an API request through the scheduler, with a fresh token when using an auth provider
+   *
+   * @param {string} apiURL
+   * @param {FetchOptions} fetchOptions
+   */
+  async __send(apiURL, fetchOptions) {
+    //Requests that already have an Authorization header (like lfs.headers) keep it
+    const auth = fetchOptions.headers?.Authorization
+      ? undefined
+      : this.options.auth;
+    const mutating = !["GET", "HEAD"].includes(fetchOptions.method || "GET");
+
+    //Waits are recorded on the tree (or target) making the request, since targets share the scheduler
+    const send = () =>
+      this.__scheduler.run(
+        mutating,
+        async () => {
+          if (!auth) {
+            return this.__fetch(apiURL, fetchOptions);
+          }
+
+          const token = await auth.getToken({
+            owner: this.options.owner,
+            repo: this.options.repo,
+            fetch: (url, init) => this.__authFetch(url, init)
+          });
+
+          return this.__fetch(apiURL, {
+            ...fetchOptions,
+            headers: {
+              ...fetchOptions.headers,
+              Authorization: `Bearer ${token}`
+            }
+          });
+        },
+        (reason, ms) => this.__recordWait(reason, ms)
+      );
+
+    const response = await send();
+
+    //The token may have been revoked, or expired early
+    if (response.status === 401 && auth?.invalidate) {
+      auth.invalidate();
+      return send();
+    }
+
+    return response;
+  }
+
+  /**
+   * Sends a request for an auth provider (like minting an app token), with this tree's agent and extra headers
+   *
+   * @param {string} url
+   * @param {FetchOptions} [init]
+   */
+  __authFetch(url, init) {
+    return this.__fetch(
+      url,
+      this.__transportOptions({
+        ...init,
+        headers: { ...this.options.headers, ...init?.headers }
+      })
+    );
+  }
+
   /**
    * fetch a url and return json
    *
@@ -360,15 +1304,189 @@ class GitHubTreePush {
     return json;
   }
 
+  /**
+   * Returns the sha of the commit the base branch points to
+   */
+  async __getBaseSha() {
+    //https://docs.github.com/en/rest/reference/git#get-a-reference
+    /** @type {{object:{sha:string}}} */
+    const refResult = await this.__getSomeJson(
+      `/git/refs/heads/${this.options.base}`
+    );
+
+    return refResult.object.sha;
+  }
+
+  /**
+   * Finds where the base branch is, or where it will be created from if it doesn't exist
+   *
+   * @returns {Promise<GithubBaseBranch>}
+   */
+  async __getBaseBranch() {
+    //https://docs.github.com/en/rest/reference/git#get-a-reference
+    /** @type {{object:{sha:string}} | {object:{sha:string}}[]} */
+    const refResult = await this.__getSomeJson(
+      `/git/refs/heads/${this.options.base}`,
+      undefined,
+      [404]
+    );
+
+    //A missing branch returns the branches that start with the name, if there are any
+    if (this.lastFetchResponse?.status !== 404 && !Array.isArray(refResult)) {
+      return { sha: refResult.object.sha, exists: true };
+    }
+
+    if (this.options.orphan) {
+      return { sha: null, exists: false };
+    }
+
+    const from = this.options.base_create_from;
+    if (!from) {
+      throw new Error(
+        `404 - Branch ${this.options.base} not found - use base_create_from or orphan to create it`
+      );
+    }
+
+    //https://docs.github.com/en/rest/commits/commits#get-a-commit
+    /** @type {{sha:string}} */
+    const fromCommit = await this.__getSomeJson(
+      `/commits/${encodeURIComponent(from)}`
+    );
+
+    return { sha: fromCommit.sha, exists: false };
+  }
+
+  /**
+   * The starting paths being managed, with their settings
+   *
+   * @returns {TreePushPathOptions[]}
+   */
+  __pathRoots() {
+    return (
+      this.options.paths || [
+        {
+          path: this.options.path || "",
+          recursive: this.options.recursive,
+          removeOtherFiles: this.options.removeOtherFiles
+        }
+      ]
+    );
+  }
+
+  /**
+   * The starting path a file belongs to.  With several paths, the deepest one the file is in.
+   *
+   * @param {string} path path relative to the tree
+   * @returns {TreePushPathOptions | undefined}
+   */
+  __pathRootOf(path) {
+    if (!this.options.paths) {
+      return this.__pathRoots()[0];
+    }
+
+    return this.options.paths
+      .filter(x => !x.path || path.startsWith(`${x.path}/`))
+      .sort((a, b) => b.path.length - a.path.length)[0];
+  }
+
+  /**
+   * `true` if files that weren't synced should be removed from this path
+   *
+   * @param {string} path path relative to the tree
+   */
+  __removesOtherFiles(path) {
+    return !!this.__pathRootOf(path)?.removeOtherFiles;
+  }
+
   /**
    * Get the tree from the remote repository
+   *
+   * @param {string | null} [ref] Commit sha (or branch name) to read the tree from.  `null` for a branch with nothing in it yet.  Defaults to the base branch.
+   */
+  async __readTree(ref) {
+    /** @type {Map<string,GithubTreeRow>} */
+    const rows = new Map();
+
+    for (const root of this.__pathRoots()) {
+      const treeResult =
+        ref === null
+          ? null
+          : await this.__readPathTree(ref, root.path, !!root.recursive);
+
+      if (treeResult) {
+        this.__notify(
+          "tree-read",
+          {
+            path: root.path,
+            sha: treeResult.sha,
+            size: treeResult.rows.length,
+            truncated: treeResult.truncated,
+            cached: treeResult.cached
+          },
+          "debug",
+          `Read tree ${treeResult.sha}${
+            treeResult.cached ? " (cached)" : ""
+          } - ${treeResult.rows.length} items`
+        );
+
+        //With several paths, rows are relative to the repo root
+        const prefix = this.options.paths && root.path ? `${root.path}/` : "";
+        treeResult.rows.forEach(row => {
+          rows.set(prefix + row.path, { ...row, path: prefix + row.path });
+        });
+      }
+    }
+
+    const referenceTree = [...rows.values()];
+
+    this.lastRunStats.Target_Tree_Size = referenceTree.length;
+
+    //Add all the known shas to a list
+    referenceTree
+      .filter(x => x.type === "blob")
+      .map(x => x.sha)
+      .forEach(x => {
+        if (x) {
+          this.__knownBlobShas.add(x);
+        }
+      });
+
+    //Blobs pushed in earlier runs are known too, while the branch is still at the commit they were saved for
+    if (ref && isObjectSha(ref)) {
+      /** @type {{commit:string,shas:string[]} | undefined} */
+      const cachedBlobs = await this.__cacheGet(
+        this.__cacheKey("blobs", this.options.base)
+      );
+      if (cachedBlobs?.commit === ref) {
+        cachedBlobs.shas.forEach(x => this.__knownBlobShas.add(x));
+      }
+    }
+
+    return referenceTree;
+  }
+
+  /**
+   * Get the files under one path from the remote repository, or `null` if the path doesn't exist
+   *
+   * @param {string | undefined} ref Commit sha (or branch name) to read the tree from.  Defaults to the base branch.
+   * @param {string} outputPath Path in the repo.  Empty for the root.
+   * @param {boolean} recursive `true` to include sub-folders.
+   * @returns {Promise<{sha:string,truncated:boolean,rows:GithubTreeRow[],cached?:boolean} | null>}
    */
-  async __readTree() {
-    const outputPath = this.options.path;
-    const masterBranch = this.options.base;
+  async __readPathTree(ref, outputPath, recursive) {
+    const masterBranch = ref || this.options.base;
+
+    //What a commit has at a path never changes, so it can be cached
+    const pathKey = isObjectSha(masterBranch)
+      ? this.__cacheKey("path", masterBranch, outputPath)
+      : undefined;
+    /** @type {{sha:string | null} | undefined} */
+    const cachedPath = pathKey ? await this.__cacheGet(pathKey) : undefined;
 
     let treeUrl = "";
-    if (outputPath) {
+    if (cachedPath) {
+      treeUrl = cachedPath.sha || "";
+    } else if (outputPath) {
       //Path Tree
 
       const pathRootTree = outputPath.split("/").slice(0, -1).join("/"); //gets the parent folder to the output path
@@ -388,7 +1506,17 @@ class GitHubTreePush {
     }
 
     if (treeUrl) {
-      const recursiveOption = this.options.recursive ? "?recursive=true" : "";
+      /** @type {{sha:string,truncated:boolean,rows:GithubTreeRow[]} | undefined} */
+      const cachedTree = await this.__cacheGet(
+        this.__cacheKey("tree", treeUrl, recursive)
+      );
+      if (cachedTree) {
+        this.lastRunStats.Trees_From_Cache =
+          (this.lastRunStats.Trees_From_Cache || 0) + 1;
+        return { ...cachedTree, cached: true };
+      }
+
+      const recursiveOption = recursive ? "?recursive=true" : "";
 
       //https://docs.github.com/en/rest/reference/git#get-a-tree
       //update the referenceTree to match the remote tree
@@ -397,27 +1525,202 @@ class GitHubTreePush {
       const treeResult = await this.__getSomeJson(
         `/git/trees/${treeUrl}${recursiveOption}`
       );
-      if (treeResult.truncated) {
-        throw new Error("Tree is too big to compare.  Use a sub-folder.");
-      }
-      const referenceTree = treeResult.tree.filter(x => x.type === "blob");
-
-      this.lastRunStats.Target_Tree_Size = referenceTree.length;
+      const fullTree = treeResult.truncated
+        ? await this.__readTreeByLevel(treeResult.sha) //Too big for one request
+        : treeResult.tree;
+
+      const result = {
+        sha: treeResult.sha,
+        truncated: !!treeResult.truncated,
+        rows: fullTree.filter(x => x.type !== "tree") //Files, symlinks and submodules
+      };
 
-      //Add all the known shas to a list
-      referenceTree
-        .map(x => x.sha)
-        .forEach(x => {
-          if (x) {
-            this.__knownBlobShas.add(x);
-          }
+      if (this.__cache) {
+        await this.__cacheSet(this.__cacheKey("tree", result.sha, recursive), {
+          ...result,
+          rows: result.rows.map(({ path, mode, type, sha, size }) => ({
+            path,
+            mode,
+            type,
+            sha,
+            size
+          }))
         });
+        if (pathKey) {
+          await this.__cacheSet(pathKey, { sha: result.sha });
+        }
+      }
 
-      return referenceTree;
+      return result;
     } else {
       //empty tree
-      return [];
+      if (pathKey) {
+        await this.__cacheSet(pathKey, { sha: null });
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Returns the cache key for something in this repo
+   *
+   * @param {...(string|boolean)} parts
+   */
+  __cacheKey(...parts) {
+    return [
+      `${this.options.apiBaseUrl || defaultApiBaseUrl}/repos/${
+        this.options.owner
+      }/${this.options.repo}`,
+      ...parts
+    ].join(":");
+  }
+
+  /**
+   * Returns a value from the cache, or `undefined`.  Cache errors are logged, and treated as a miss.
+   *
+   * @param {string} key
+   * @returns {Promise<*>}
+   */
+  async __cacheGet(key) {
+    if (!this.__cache) {
+      return undefined;
+    }
+
+    try {
+      return await this.__cache.get(key);
+    } catch (error) {
+      this.__log(
+        "warn",
+        `Cache read failed - ${key} - ${/** @type {Error} */ (error).message}`
+      );
+      return undefined;
+    }
+  }
+
+  /**
+   * Saves a value in the cache.  Cache errors are logged, and don't stop the push.
+   *
+   * @param {string} key
+   * @param {*} value
+   */
+  async __cacheSet(key, value) {
+    try {
+      await this.__cache?.set(key, value);
+    } catch (error) {
+      this.__log(
+        "warn",
+        `Cache write failed - ${key} - ${/** @type {Error} */ (error).message}`
+      );
+    }
+  }
+
+  /**
+   * Saves the blob shas known to be in the repo after a new commit on the base branch, so the next run can skip checking them.
+   * Only the latest commit's list is kept.  It is only used while the branch is at that commit, so a force push or someone else's commit starts the list over.
+   *
+   * @param {GithubCommit} commit The commit the base branch was moved to
+   * @param {GithubTreeRow[]} referenceTree The tree the changes were made on
+   * @param {GithubTreeRow[]} updatetree The changes
+   */
+  async __cacheKnownBlobs(commit, referenceTree, updatetree) {
+    if (!this.__cache) {
+      return;
+    }
+
+    /** @type {Set<string>} */
+    const shas = new Set();
+    //Orphan commits don't keep the parent's files
+    if (commit.parents?.length) {
+      referenceTree.forEach(x => {
+        if (x.type === "blob" && x.sha) {
+          shas.add(x.sha);
+        }
+      });
+    }
+    updatetree.forEach(x => {
+      if (x.type === "blob") {
+        if (x.sha) {
+          shas.add(x.sha);
+        } else if (x.content !== undefined) {
+          shas.add(gitHubBlobPredictSha(x.content));
+        }
+      }
+    });
+
+    //One key per branch, so the list is replaced instead of piling up
+    await this.__cacheSet(this.__cacheKey("blobs", this.options.base), {
+      commit: commit.sha,
+      shas: [...shas]
+    });
+  }
+
+  /**
+   * Reads a large tree one folder level at a time, returning all the rows with paths relative to the tree
+   *
+   * @param {string} treeSha
+   */
+  async __readTreeByLevel(treeSha) {
+    /** @type {GithubTreeRow[]} */
+    const rows = [];
+    let level = [{ sha: treeSha, prefix: "" }];
+
+    while (level.length) {
+      const levelRows = await mapWithLimit(
+        level,
+        treeReadConcurrency,
+        async folder => {
+          //https://docs.github.com/en/rest/reference/git#get-a-tree
+          /** @type {{truncated:boolean,tree:GithubTreeRow[]}} */
+          const treeResult = await this.__getSomeJson(
+            `/git/trees/${folder.sha}`
+          );
+          if (treeResult.truncated) {
+            throw new Error(
+              `Tree is too big to compare.  Too many items in one folder - ${
+                folder.prefix || "/"
+              }`
+            );
+          }
+
+          return treeResult.tree.map(row => ({
+            ...row,
+            path: `${folder.prefix}${row.path}`
+          }));
+        }
+      );
+
+      level = [];
+      levelRows.flat().forEach(row => {
+        rows.push(row);
+        if (row.type === "tree" && row.sha) {
+          level.push({ sha: row.sha, prefix: `${row.path}/` });
+        }
+      });
     }
+
+    return rows;
+  }
+
+  /**
+   * Returns the full paths of copy sources that are deleted in a delta tree (making the copies renames)
+   *
+   * @param {GithubTreeRow[]} tree
+   */
+  __renameSources(tree) {
+    const sources = new Set(this.__copySources.values());
+
+    return new Set(
+      tree.filter(x => x.sha === null && sources.has(x.path)).map(x => x.path)
+    );
+  }
+
+  /**
+   * Returns the path in the repo for a path relative to the starting `path`
+   *
+   * @param {string} path
+   */
+  __fullPath(path) {
+    return this.options.path ? `${this.options.path}/${path}` : path;
   }
 
   /**
@@ -426,37 +1729,53 @@ class GitHubTreePush {
    * @param {GithubTreeRow[]} existingFilesTree
    */
   __deltaTree(existingFilesTree) {
-    const outputPath = this.options.path;
-
-    //process auto deletes
-    if (this.options.removeOtherFiles) {
-      existingFilesTree
-        .map(f => f.path)
-        .filter(path => !this.__treeOperations.has(path))
-        .forEach(path => {
-          this.removeFile(path);
-        });
-    }
+    this.__copySources.clear();
+
+    //process auto deletes.  Submodules are only removed with removeFile
+    existingFilesTree
+      .filter(f => f.type !== "commit")
+      .map(f => f.path)
+      .filter(
+        path =>
+          !this.__treeOperations.has(path) && this.__removesOtherFiles(path)
+      )
+      .forEach(path => {
+        this.removeFile(path);
+      });
 
     /** @type {GithubTreeRow[]} */
     const targetTree = [];
 
     for (const [opPath, operation] of this.__treeOperations) {
+      if (!this.__pathRootOf(opPath)) {
+        throw new Error(`Path is not under any of the paths - ${opPath}`);
+      }
+
       let existingFile = existingFilesTree.find(x => x.path === opPath);
 
       //Tree parts...
       //https://docs.github.com/en/free-pro-team@latest/rest/reference/git#create-a-tree
       /** @type {GithubTreeRow} */
       let treeRow = {
-        path: outputPath ? `${outputPath}/${opPath}` : opPath,
-        mode: "100644", //code for tree blob,
-        type: "blob"
+        path: this.__fullPath(opPath),
+        mode: existingFile?.mode || gitModes.file,
+        type: existingFile?.type || "blob"
       };
 
       if (operation.sync) {
-        //Add / Update
+        //Files keep their executable bit unless a mode is specified
+        treeRow.mode =
+          operation.sync.mode ||
+          (existingFile?.mode === gitModes.executable
+            ? gitModes.executable
+            : gitModes.file);
+        treeRow.type = operation.sync.type || "blob";
 
-        if (existingFile?.sha !== operation.sync.sha) {
+        //Add / Update
+        if (
+          existingFile?.sha !== operation.sync.sha ||
+          existingFile?.mode !== treeRow.mode
+        ) {
           //Change detected (Add or Update)
 
           if (
@@ -468,6 +1787,27 @@ class GitHubTreePush {
             treeRow.sha = operation.sync.sha;
           }
 
+          targetTree.push(treeRow);
+        }
+      } else if (operation.copy) {
+        //Copy / Move using the blob already in the tree
+        const fromPath = operation.copy.from;
+        const source = existingFilesTree.find(x => x.path === fromPath);
+
+        if (!source?.sha) {
+          throw new Error(`File to copy not found - ${fromPath}`);
+        }
+
+        treeRow.mode = source.mode;
+        treeRow.type = source.type;
+
+        if (
+          existingFile?.sha !== source.sha ||
+          existingFile?.mode !== source.mode
+        ) {
+          treeRow.sha = source.sha;
+          this.__copySources.set(treeRow.path, this.__fullPath(fromPath));
+
           targetTree.push(treeRow);
         }
       } else if (existingFile && operation.remove) {
@@ -482,23 +1822,90 @@ class GitHubTreePush {
     return targetTree;
   }
 
+  /**
+   * The message, author and committer for a new commit
+   *
+   * @param {string} [commit_message]
+   */
+  __commitDetails(commit_message) {
+    /** @type {{message:string,author?:{name:string,email:string,date?:string},committer?:{name:string,email:string,date?:string}}} */
+    const details = {
+      message: messageWithTrailers(
+        commit_message || "",
+        this.options.commit_trailers
+      )
+    };
+
+    if (this.options.commit_author) {
+      details.author = commitPerson(
+        this.options.commit_author,
+        "commit_author"
+      );
+    }
+
+    if (this.options.commit_committer) {
+      details.committer = commitPerson(
+        this.options.commit_committer,
+        "commit_committer"
+      );
+    }
+
+    const signing = this.options.commit_signing;
+    if (signing) {
+      checkSigningOptions(signing);
+      if (!details.author) {
+        throw new Error("commit_signing needs commit_author");
+      }
+
+      //The signature covers the dates, so GitHub can't be left to fill them in
+      const now = new Date().toISOString().replace(/\.\d+Z$/, "Z");
+      details.author.date = details.author.date || now;
+      details.committer = details.committer || { ...details.author };
+      details.committer.date = details.committer.date || now;
+    }
+
+    return details;
+  }
+
+  /**
+   * Returns the commit request for a tree, signed if `commit_signing` is set
+   *
+   * @param {string | null} parentSha `null` for a commit with no parent
+   * @param {string} treeSha
+   * @param {string} [commit_message]
+   */
+  async __commitRequest(parentSha, treeSha, commit_message) {
+    /** @type {*} */
+    const commit = {
+      parents: parentSha && !this.options.orphan ? [parentSha] : [],
+      tree: treeSha,
+      ...this.__commitDetails(commit_message)
+    };
+
+    if (this.options.commit_signing) {
+      commit.signature = await signCommit(commit, this.options.commit_signing);
+    }
+
+    return commit;
+  }
+
   /**
    *  Return a commit with all the tree changes
    *
    * @param {GithubTreeRow[]} tree from createTreeFromFileMap
    * @param {string} [commit_message] optional commit message
+   * @param {string | null} [baseSha] Commit the tree was compared to.  Defaults to the current base branch commit.  `null` when there is no tree yet.
    */
-  async __createCommitFromTree(tree, commit_message) {
+  async __createCommitFromTree(tree, commit_message, baseSha) {
     if (!tree.length) {
       return null;
     }
 
-    const targetBranch = this.options.base;
-
     let treeParts = [tree];
     const totalRows = tree.length;
 
-    console.log(
+    this.__log(
+      "info",
       `Total tree size is ${Buffer.byteLength(JSON.stringify(tree))} bytes`
     );
 
@@ -516,34 +1923,59 @@ class GitHubTreePush {
     }
 
     //Grab the starting point for a fresh tree
-    /** @type {{object:{sha:string}}} */
-    const refResult = await this.__getSomeJson(
-      `/git/refs/heads/${targetBranch}`
-    );
-
-    const baseSha = refResult.object.sha;
+    const parentSha =
+      baseSha === undefined ? await this.__getBaseSha() : baseSha;
 
     //Loop through adding items to the tree
-    let createTreeResult = { sha: baseSha };
+    /** @type {{sha:string | null}} */
+    let createTreeResult = { sha: parentSha };
     let rowCount = 0;
     for (let treePart of treeParts) {
       rowCount += treePart.length;
-      console.log(`Creating tree - ${rowCount}/${totalRows} items`);
 
       createTreeResult = await this.__postSomeJson("/git/trees", {
         tree: treePart,
-        base_tree: createTreeResult.sha
+        base_tree: createTreeResult.sha || undefined
       });
+
+      this.__notify(
+        "tree-part-created",
+        { sha: createTreeResult.sha, rows: rowCount, totalRows },
+        "info",
+        `Creating tree - ${rowCount}/${totalRows} items`
+      );
     }
 
     //Create a commit the maps to all the tree changes
     /** @type {GithubCommit} */
-    const commitResult = await this.__postSomeJson("/git/commits", {
-      parents: [baseSha],
-      tree: createTreeResult.sha,
-      message: commit_message || ""
-    });
-    console.log(`${commitResult.message} - ${commitResult.html_url}`);
+    const commitResult = await this.__postSomeJson(
+      "/git/commits",
+      await this.__commitRequest(
+        parentSha,
+        /** @type {string} */ (createTreeResult.sha),
+        commit_message
+      )
+    );
+    this.__notify(
+      "commit-created",
+      {
+        sha: commitResult.sha,
+        html_url: commitResult.html_url,
+        message: commitResult.message
+      },
+      "info",
+      `${commitResult.message} - ${commitResult.html_url}`
+    );
+    if (
+      this.options.commit_signing &&
+      commitResult.verification &&
+      !commitResult.verification.verified
+    ) {
+      this.__log(
+        "warn",
+        `GitHub could not verify the commit signature - ${commitResult.verification.reason}`
+      );
+    }
 
     //Add all the new content shas to the list
     tree
@@ -572,6 +2004,16 @@ class GitHubTreePush {
           (this.lastRunStats.Files_Referenced || 0) + 1;
       });
 
+    const renames = this.__renameSources(tree);
+    tree
+      .filter(x => this.__copySources.has(x.path))
+      .forEach(x => {
+        const stat = renames.has(this.__copySources.get(x.path) || "")
+          ? "Files_Renamed"
+          : "Files_Copied";
+        this.lastRunStats[stat] = (this.lastRunStats[stat] || 0) + 1;
+      });
+
     this.lastRunStats.Commit_URL = commitResult.html_url;
 
     return commitResult;
@@ -615,25 +2057,189 @@ class GitHubTreePush {
    *
    * @param {string} path Path to use for publishing file
    * @param {*} content Content to use for the file.
+   * @param {TreeFileSyncOptions} [options] File options, like the mode.
    */
-  syncFile(path, content) {
+  syncFile(path, content, options) {
+    const mode = options?.mode;
+    if (mode && ![gitModes.file, gitModes.executable].includes(mode)) {
+      throw new Error(`Invalid file mode "${mode}" - ${path}`);
+    }
+
+    const transformed = this.__transformContent(path, content);
+
     /** @type {TreeFileOperationSync} */
-    let sync = { sha: "" };
+    let sync = { sha: "", mode };
 
-    if (Buffer.isBuffer(content)) {
-      sync.buffer = content;
+    if (Buffer.isBuffer(transformed)) {
+      sync.buffer = transformed;
+      this.__checkBlobSize(path, sync.buffer.length);
       sync.sha = gitHubBlobPredictSha(sync.buffer);
     } else {
       sync.content =
-        typeof content === "string"
-          ? content
-          : JSON.stringify(content, null, 2);
+        typeof transformed === "string"
+          ? transformed
+          : JSON.stringify(transformed, null, 2);
+      this.__checkBlobSize(path, Buffer.byteLength(sync.content));
       sync.sha = gitHubBlobPredictSha(sync.content);
     }
 
     this.__treeOperations.set(path, { sync });
   }
 
+  /**
+   * Sets a local file to the tree to be syncronized (updated or added).  The file is hashed by streaming it from disk, and is only read again if it needs uploading.
+   *
+   * @param {string} path Path to use for publishing file
+   * @param {string} filePath Local file to read.
+   * @param {TreeFileSyncOptions} [options] File options, like the mode.
+   */
+  async syncFileFromPath(path, filePath, options) {
+    const mode = options?.mode;
+    if (mode && ![gitModes.file, gitModes.executable].includes(mode)) {
+      throw new Error(`Invalid file mode "${mode}" - ${path}`);
+    }
+
+    //Transformed files are read into memory
+    if (this.__transforms.some(({ matches }) => matches(path))) {
+      this.syncFile(path, await fs.promises.readFile(filePath), options);
+      return;
+    }
+
+    this.__checkBlobSize(path, (await fs.promises.stat(filePath)).size);
+
+    this.__treeOperations.set(path, {
+      sync: {
+        sha: await gitHubBlobPredictShaFromFile(filePath),
+        filePath,
+        mode
+      }
+    });
+  }
+
+  /**
+   * Adds a transform for the content of matching files.  Transforms run in the order they were added, when a file is
+   * synced and before it is hashed, so formatting-only differences don't make commits.  Add transforms before syncing files.
+   *
+   * @param {string | string[]} pattern Glob patterns matched against the publishing path of each file.
+   * @param {function(*,string):*} transform Gets the content and path, and returns the new content.  A string, Buffer, or object to serialize as JSON.
+   */
+  addTransform(pattern, transform) {
+    if (typeof transform !== "function") {
+      throw new Error("transform must be a function");
+    }
+
+    this.__transforms.push({
+      matches: picomatch(pattern, { dot: true }),
+      transform
+    });
+  }
+
+  /**
+   * (private) Runs the transforms that match a path over its content
+   *
+   * @param {string} path Path used for publishing the file
+   * @param {*} content
+   * @returns {*} The transformed content
+   */
+  __transformContent(path, content) {
+    return this.__transforms.reduce((result, { matches, transform }) => {
+      if (!matches(path)) {
+        return result;
+      }
+
+      const transformed = transform(result, path);
+      if (transformed === undefined || transformed === null) {
+        throw new Error(`Transform returned no content - ${path}`);
+      }
+      return transformed;
+    }, content);
+  }
+
+  /**
+   * Sets a symbolic link to the tree to be syncronized (updated or added).
+   *
+   * @param {string} path Path to use for publishing the link
+   * @param {string} target Path the link points to.
+   */
+  syncSymlink(path, target) {
+    this.__treeOperations.set(path, {
+      sync: {
+        content: target,
+        sha: gitHubBlobPredictSha(target),
+        mode: gitModes.symlink
+      }
+    });
+  }
+
+  /**
+   * Sets a submodule to the tree to be syncronized (updated or added).
+   *
+   * @param {string} path Path to use for publishing the submodule
+   * @param {string} commitSha Commit sha the submodule points to.
+   */
+  syncSubmodule(path, commitSha) {
+    if (!/^[0-9a-f]{40}$/.test(commitSha)) {
+      throw new Error(`Invalid submodule commit sha "${commitSha}" - ${path}`);
+    }
+
+    this.__treeOperations.set(path, {
+      sync: {
+        sha: commitSha,
+        mode: gitModes.submodule,
+        type: "commit"
+      }
+    });
+  }
+
+  /**
+   * Moves (renames) a file that is already in the remote tree, without uploading it again.
+   *
+   * @param {string} from Path of the existing file.
+   * @param {string} to New path for the file.
+   */
+  moveFile(from, to) {
+    this.copyFile(from, to);
+    this.removeFile(from);
+  }
+
+  /**
+   * Copies a file that is already in the remote tree, without uploading it again.
+   *
+   * @param {string} from Path of the existing file.
+   * @param {string} to Path for the copy.
+   */
+  copyFile(from, to) {
+    this.__treeOperations.set(to, { copy: { from } });
+  }
+
+  /**
+   * Sets all the files in a local folder to the tree to be syncronized (updated or added).
+   * Files are hashed and uploaded from disk, and keep their executable bit.
+   *
+   * @param {string} localDir Local folder to read.
+   * @param {string} [targetSubPath] Path to publish the folder's files under.  Defaults to the tree path.
+   * @param {TreeDirectorySyncOptions} [options] Which files to include.
+   * @returns {Promise<string[]>} Paths of the files added.
+   */
+  async syncDirectory(localDir, targetSubPath, options) {
+    const prefix = (targetSubPath || "").replace(/^\/+|\/+$/g, "");
+    const entries = await walkDirectory(localDir, options);
+
+    return mapWithLimit(entries, fileHashConcurrency, async entry => {
+      const path = prefix ? `${prefix}/${entry.path}` : entry.path;
+
+      if (entry.linkTarget !== undefined) {
+        this.syncSymlink(path, entry.linkTarget);
+      } else {
+        await this.syncFileFromPath(path, entry.localPath, {
+          mode: entry.executable ? gitModes.executable : gitModes.file
+        });
+      }
+
+      return path;
+    });
+  }
+
   /**
    * Sets a file to not be removed when `removeOtherFiles:true`.
    *
@@ -657,9 +2263,11 @@ class GitHubTreePush {
    *
    * @param {string} path Path to use for publishing file
    * @param {string} url URL for the content to download.
+   * @param {TreePushDownloadOptions} [options] Overrides `downloadOptions` for this download.  When several paths use the same URL, the options from the first one are used.
    */
-  syncDownload(path, url) {
-    this.__downloads.push({ path, url });
+  syncDownload(path, url, options) {
+    checkDownloadOptions(options);
+    this.__downloads.push({ path, url, options });
   }
 
   /**
@@ -669,11 +2277,12 @@ class GitHubTreePush {
     //Turn duplicate content into buffers
     const fileMapValues = [...this.__treeOperations.values()];
 
-    const blobPromises = [];
+    /** @type {TreeFileOperationSync[]} */
+    const blobSyncs = [];
 
     //Push Buffers
     for (const value of fileMapValues) {
-      if (value.sync) {
+      if (value.sync && value.sync.type !== "commit") {
         if (!this.__knownBlobShas.has(value.sync.sha)) {
           if (value.sync.content) {
             //If the content is duplicate, or too large, use a buffer
@@ -691,57 +2300,429 @@ class GitHubTreePush {
             }
           }
 
-          //If buffer and the sha is not already confirmed uploaded, check it and upload.
-          if (value.sync.buffer) {
-            blobPromises.push(
-              this.__putBlobInRepo(value.sync.sha, value.sync.buffer)
-            );
+          //If buffer (or file) and the sha is not already confirmed uploaded, check it and upload.
+          if (value.sync.buffer || value.sync.filePath) {
+            blobSyncs.push(value.sync);
             this.__knownBlobShas.add(value.sync.sha);
           }
         }
       }
     }
 
-    if (blobPromises.length) {
-      console.log(`Syncing ${blobPromises.length} blobs`);
-      await Promise.all(blobPromises);
+    if (blobSyncs.length) {
+      this.__notify(
+        "blobs-syncing",
+        { count: blobSyncs.length },
+        "info",
+        `Syncing ${blobSyncs.length} blobs`
+      );
+
+      //Only start as many uploads as the scheduler will run, so files aren't read before they can be sent
+      await mapWithLimit(
+        blobSyncs,
+        this.__scheduler.options.maxConcurrentRequests || 1,
+        sync => this.__putBlobInRepo(sync)
+      );
     }
   }
 
   /**
    * Makes sure the blob is in the repo
    *
-   * @param {string} sha
-   * @param {Buffer} buffer
+   * @param {TreeFileOperationSync} sync buffer or file to upload
    */
-  async __putBlobInRepo(sha, buffer) {
+  async __putBlobInRepo(sync) {
+    const sha = sync.sha;
     return this.__fetchResponse(
       //https://docs.github.com/en/rest/reference/git#get-a-blob
       `/git/blobs/${sha}`,
       this.__gitDefaultOptions({ method: "HEAD" }),
       [404]
     ).then(async headResult => {
+      let eventName = "blob-found";
       let logNote = "Found...";
       if (headResult.status === 404) {
+        eventName = "blob-uploaded";
         logNote = "Uploading...";
 
+        //Files are only read when they need uploading, and are streamed
+        const size = /** @type {number} */ (await syncContentSize(sync));
+
         //https://docs.github.com/en/rest/reference/git#blobs
-        await this.__postSomeJson("/git/blobs", {
-          content: buffer.toString("base64"),
-          encoding: "base64"
+        /** @type {{sha:string}} */
+        const blob = await this.__fetchJSON("/git/blobs", {
+          ...this.__gitDefaultOptions({
+            method: "POST",
+            headers: { "Content-Length": String(blobRequestBodyLength(size)) }
+          }),
+          body: () => blobRequestBody(sync)
         });
 
+        if (blob.sha !== sha) {
+          throw new Error(
+            `File changed while pushing - ${sync.filePath || sha}`
+          );
+        }
+
         this.lastRunStats.Blobs_Uploaded =
           (this.lastRunStats.Blobs_Uploaded || 0) + 1;
       }
 
+      //The tree only needs the sha now, so the content can be freed
+      delete sync.buffer;
+
       //List all the files being uploaded/matched
-      [...this.__treeOperations]
+      const paths = [...this.__treeOperations]
         .filter(([, value]) => value.sync?.sha === sha)
-        .forEach(([key]) => console.log(logNote + key));
+        .map(([key]) => key);
+
+      this.__notify(
+        eventName,
+        { sha, paths },
+        "debug",
+        paths.map(key => logNote + key).join("\n")
+      );
     });
   }
 
+  /**
+   * Replaces the content of files that go to LFS with pointer files.  The content is kept for uploading.
+   */
+  async __lfsPointers() {
+    if (!this.options.lfs) {
+      return;
+    }
+
+    await mapWithLimit(
+      [...this.__treeOperations],
+      fileHashConcurrency,
+      async ([path, operation]) => {
+        const sync = operation.sync;
+        if (
+          !sync ||
+          sync.lfs ||
+          sync.type === "commit" ||
+          sync.mode === gitModes.symlink ||
+          !this.__isLfsFile(path, (await syncContentSize(sync)) ?? 0)
+        ) {
+          return;
+        }
+
+        /** @type {TreeFileOperationLfs} */
+        let object;
+        if (sync.filePath) {
+          object = {
+            ...(await lfsOidFromFile(sync.filePath)),
+            filePath: sync.filePath
+          };
+        } else {
+          const buffer = sync.buffer || Buffer.from(sync.content || "");
+          object = { oid: lfsOid(buffer), size: buffer.length, buffer };
+        }
+
+        const pointer = lfsPointer(object.oid, object.size);
+        this.__treeOperations.set(path, {
+          sync: {
+            sha: gitHubBlobPredictSha(pointer),
+            content: pointer,
+            mode: sync.mode,
+            lfs: object
+          }
+        });
+      }
+    );
+  }
+
+  /**
+   * `true` if a file is stored in LFS
+   *
+   * @param {string} path Path used for publishing the file
+   * @param {number} size bytes
+   */
+  __isLfsFile(path, size) {
+    const lfs = this.options.lfs;
+
+    return (
+      !!lfs &&
+      path.split("/").pop() !== ".gitattributes" &&
+      (this.__lfsIncluded(path) ||
+        (lfs.minBytes !== undefined && size >= lfs.minBytes))
+    );
+  }
+
+  /**
+   * Throws if a file is too big to be a GitHub blob, and isn't stored in LFS
+   *
+   * @param {string} path Path used for publishing the file
+   * @param {number} size bytes
+   */
+  __checkBlobSize(path, size) {
+    if (size > maxBlobBytes && !this.__isLfsFile(path, size)) {
+      throw new Error(
+        `File is too large for GitHub (${size} bytes, the limit is ${maxBlobBytes}) - ${path}.  Use the lfs option for large files.`
+      );
+    }
+  }
+
+  /**
+   * Keeps the LFS files listed in a `.gitattributes` file at each starting path, so git clients check them out
+   *
+   * @param {GithubTreeRow[]} referenceTree
+   */
+  async __lfsGitattributes(referenceTree) {
+    if (!this.options.lfs || this.options.lfs.gitattributes === false) {
+      return;
+    }
+
+    for (const root of this.__pathRoots()) {
+      const prefix = this.options.paths && root.path ? `${root.path}/` : "";
+      const attributesPath = `${prefix}.gitattributes`;
+
+      //Start from the file that was synced, or the one in the repo
+      if (!this.__gitattributesOperations.has(attributesPath)) {
+        this.__gitattributesOperations.set(
+          attributesPath,
+          this.__treeOperations.get(attributesPath)
+        );
+      }
+      const own = this.__gitattributesOperations.get(attributesPath);
+      const existing = referenceTree.find(x => x.path === attributesPath);
+
+      if (own && !own.sync) {
+        continue; //removed, copied or kept as is
+      }
+
+      let content = "";
+      if (own?.sync) {
+        content = String(await syncContentBuffer(own.sync));
+      } else if (existing?.sha) {
+        content = (await this.__readBlob(existing.sha)).toString("utf8");
+      }
+
+      /** @type {Set<string>} */
+      const listed = new Set(
+        readGitattributes(content).paths.map(x => prefix + x)
+      );
+      /** @type {string[]} */
+      const lfsPaths = [];
+
+      for (const [path, operation] of this.__treeOperations) {
+        if (
+          this.__pathRootOf(path)?.path === root.path &&
+          (operation.sync?.lfs ||
+            (operation.copy && listed.has(operation.copy.from)))
+        ) {
+          lfsPaths.push(path);
+        }
+      }
+
+      //Files from earlier pushes that are staying
+      listed.forEach(path => {
+        if (
+          !this.__treeOperations.has(path) &&
+          !this.__removesOtherFiles(path) &&
+          referenceTree.some(x => x.path === path)
+        ) {
+          lfsPaths.push(path);
+        }
+      });
+
+      const updated = writeGitattributes(
+        content,
+        lfsPaths.map(x => x.slice(prefix.length))
+      );
+
+      if (updated) {
+        this.__treeOperations.set(attributesPath, {
+          sync: {
+            sha: gitHubBlobPredictSha(updated),
+            content: updated,
+            mode: own?.sync?.mode
+          }
+        });
+      } else if (existing) {
+        this.removeFile(attributesPath);
+      } else {
+        this.__treeOperations.delete(attributesPath);
+      }
+    }
+  }
+
+  /**
+   * Uploads the content of changed LFS files, using the LFS batch API
+   *
+   * @param {GithubTreeRow[]} referenceTree
+   */
+  async __syncLfsObjects(referenceTree) {
+    /** @type {Map<string,TreeFileOperationLfs>} */
+    const objects = new Map();
+    for (const [path, operation] of this.__treeOperations) {
+      const object = operation.sync?.lfs;
+      if (
+        object &&
+        !this.__knownLfsOids.has(object.oid) &&
+        referenceTree.find(x => x.path === path)?.sha !== operation.sync?.sha
+      ) {
+        objects.set(object.oid, object);
+      }
+    }
+
+    if (!objects.size) {
+      return;
+    }
+
+    this.__notify(
+      "lfs-objects-syncing",
+      { count: objects.size },
+      "info",
+      `Syncing ${objects.size} LFS objects`
+    );
+
+    const endpoint = (
+      this.options.lfs?.endpoint ||
+      lfsEndpoint(
+        this.options.apiBaseUrl || defaultApiBaseUrl,
+        this.options.owner,
+        this.options.repo
+      )
+    ).replace(/\/+$/, "");
+
+    const list = [...objects.values()];
+    for (let i = 0; i < list.length; i += lfsBatchSize) {
+      //https://github.com/git-lfs/git-lfs/blob/main/docs/api/batch.md
+      const response = await this.__fetchResponse(
+        `${endpoint}/objects/batch`,
+        this.__gitPostOptions(
+          {
+            operation: "upload",
+            transfers: ["basic"],
+            ref: { name: `refs/heads/${this.options.base}` },
+            objects: list
+              .slice(i, i + lfsBatchSize)
+              .map(({ oid, size }) => ({ oid, size }))
+          },
+          { headers: { ...lfsHeaders, ...this.options.lfs?.headers } }
+        )
+      );
+
+      /** @type {{objects:*[]}} */
+      const batch = await response.json();
+
+      await mapWithLimit(
+        batch.objects,
+        this.__scheduler.options.maxConcurrentRequests || 1,
+        item =>
+          this.__putLfsObject(
+            /** @type {TreeFileOperationLfs} */ (objects.get(item.oid)),
+            item
+          )
+      );
+    }
+  }
+
+  /**
+   * Uploads an LFS object, if the batch response asks for it
+   *
+   * @param {TreeFileOperationLfs} object
+   * @param {*} item The object from the batch response
+   */
+  async __putLfsObject(object, item) {
+    if (item.error) {
+      throw new Error(
+        `LFS upload failed - ${item.oid} - ${item.error.code} - ${item.error.message}`
+      );
+    }
+
+    let eventName = "lfs-object-found";
+    let logNote = "Found LFS...";
+    const upload = item.actions?.upload;
+    if (upload) {
+      eventName = "lfs-object-uploaded";
+      logNote = "Uploading LFS...";
+
+      //Files are only read when they need uploading, and are streamed.  The sha256 is checked as the content is sent.
+      let sentOid = "";
+      try {
+        await this.__lfsTransfer(upload.href, {
+          method: "PUT",
+          headers: {
+            "Content-Type": "application/octet-stream",
+            "Content-Length": String(object.size),
+            ...upload.header
+          },
+          body: () =>
+            lfsUploadBody(object, oid => {
+              sentOid = oid;
+            })
+        });
+      } catch (error) {
+        //A changed file is reported as such, even when the server rejected it first
+        if (!sentOid || sentOid === object.oid) {
+          throw error;
+        }
+      }
+      if (sentOid !== object.oid) {
+        throw new Error(
+          `File changed while pushing - ${object.filePath || object.oid}`
+        );
+      }
+
+      const verify = item.actions.verify;
+      if (verify) {
+        await this.__lfsTransfer(verify.href, {
+          method: "POST",
+          headers: { ...lfsHeaders, ...verify.header },
+          body: JSON.stringify({ oid: object.oid, size: object.size })
+        });
+      }
+
+      this.lastRunStats.LFS_Objects_Uploaded =
+        (this.lastRunStats.LFS_Objects_Uploaded || 0) + 1;
+    }
+
+    this.__knownLfsOids.add(object.oid);
+
+    const syncs = [...this.__treeOperations].filter(
+      ([, value]) => value.sync?.lfs?.oid === object.oid
+    );
+
+    //The content isn't needed once the server has it
+    for (const [, value] of syncs) {
+      delete value.sync?.lfs?.buffer;
+    }
+
+    const paths = syncs.map(([key]) => key);
+
+    this.__notify(
+      eventName,
+      { oid: object.oid, size: object.size, paths },
+      "debug",
+      paths.map(key => logNote + key).join("\n")
+    );
+  }
+
+  /**
+   * Sends an LFS upload or verify request.  These go to the URLs (and use the headers) the LFS server gave, not the API.
+   *
+   * @param {string} href
+   * @param {*} options fetch options
+   */
+  async __lfsTransfer(href, options) {
+    const response = await this.__scheduler.run(
+      false,
+      () => this.__fetch(href, this.__transportOptions(options)),
+      (reason, ms) => this.__recordWait(reason, ms)
+    );
+
+    if (!response.ok) {
+      throw new Error(
+        `${response.status} - ${response.statusText} - ${
+          response.url
+        } - ${await response.text()}`
+      );
+    }
+  }
+
   /**
    * @typedef {object} PrStatus
    * @property {number} number
@@ -832,241 +2813,1597 @@ class GitHubTreePush {
   }
 
   /**
-   * async download of any requested urls
+   * @typedef {object} PrCommitStatus
+   * @property {{state:string,context:string,target_url:string}[]} statuses
+   * @property {string} etag
+   * @property {number} status
    */
-  async __getDownloads() {
-    if (this.__downloads.length) {
-      const urls = [...new Set(this.__downloads.map(dl => dl.url))];
-
-      console.log(`Downloading ${urls.length} file(s)...\n${urls.join("\n")}`);
-
-      const promises = urls.map(async url =>
-        fetch(url)
-          .then(fetchResponse => {
-            if (fetchResponse.ok) {
-              return fetchResponse.arrayBuffer();
-            } else {
-              throw new Error(
-                `${fetchResponse.status} - ${fetchResponse.statusText} - ${fetchResponse.url}`
-              );
-            }
-          })
-          .then(blob => ({ url, buffer: Buffer.from(blob) }))
-      );
-
-      /** @type {Map<string,Buffer>} */
-      const downloadResults = new Map();
-      (await Promise.all(promises)).forEach(promise =>
-        downloadResults.set(promise.url, promise.buffer)
-      );
-
-      console.log(`${urls.length} download(s) complete.`);
-
-      this.__downloads.forEach(dl => {
-        this.syncFile(dl.path, downloadResults.get(dl.url));
-      });
-    }
-  }
 
   /**
-   * Returns a list of paths that will be changed if this is run.
+   * Internal function used for polling the combined commit status (legacy status API)
+   *
+   * @param {string} commitsha
+   * @param {PrCommitStatus} [originalData]
    */
-  async treePushDryRun() {
-    this.lastRunStats = {
-      Name: `treePushDryRun - ${
-        this.options.commit_message || "(No commit message)"
-      }`
-    };
+  async __getCommitStatus(commitsha, originalData) {
+    const header = originalData?.etag
+      ? {
+          headers: { "If-None-Match": originalData.etag }
+        }
+      : undefined;
 
-    const referenceTree = await this.__readTree();
+    //https://docs.github.com/en/rest/commits/statuses#get-the-combined-status-for-a-specific-reference
+    /** @type {PrCommitStatus} */
+    const jsonResult = await this.__getSomeJson(
+      `/commits/${commitsha}/status`,
+      header,
+      [304]
+    );
 
-    const updatetree = this.__deltaTree(referenceTree);
+    const status = this.lastFetchResponse?.status;
+    const etag = this.lastFetchResponse?.headers.get("etag");
 
-    return updatetree.map(x => x.path);
+    return /** @type {PrCommitStatus} */ (
+      jsonResult
+        ? {
+            ...jsonResult,
+            status,
+            etag
+          }
+        : { ...originalData, status }
+    );
   }
 
   /**
-   * Push all the files added to the tree to the repository
+   * Returns the number of approving reviews on a pull request.  Throws if changes are requested.
+   *
+   * @param {number} prnumber
+   * @param {string} html_url for errors
    */
-  async treePush() {
-    this.lastRunStats = {
-      Name: `treePush - ${this.options.commit_message || "(No commit message)"}`
-    };
+  async __getPrApprovals(prnumber, html_url) {
+    //https://docs.github.com/en/rest/pulls/reviews#list-reviews-for-a-pull-request
+    /** @type {{user:{login:string},state:string}[]} */
+    const reviews = await this.__getSomeJson(
+      `/pulls/${prnumber}/reviews?per_page=100`
+    );
 
-    await this.__getDownloads();
+    //Only each reviewer's latest approval or change request counts
+    /** @type {Map<string,string>} */
+    const latest = new Map();
+    reviews
+      .filter(x => x.state !== "COMMENTED")
+      .forEach(x => latest.set(x.user.login, x.state));
 
-    const referenceTree = await this.__readTree();
+    if ([...latest.values()].includes("CHANGES_REQUESTED")) {
+      throw new Error(`Auto Merge changes requested - ${html_url}`);
+    }
 
-    await this.__syncBlobs();
+    return [...latest.values()].filter(x => x === "APPROVED").length;
+  }
 
-    const updatetree = this.__deltaTree(referenceTree);
+  /**
+   * Waits until a pull request can be merged.  Throws if a check fails or it waits too long.
+   *
+   * @param {GithubCommit} commit
+   * @param {{number:number,html_url:string}} pr
+   * @param {TreePushCommitPullRequestMergeWaitOptions} [merge_wait_options]
+   */
+  async __waitForMergeable(commit, pr, merge_wait_options) {
+    const timeout = merge_wait_options?.timeout ?? default_mergeWait.timeout;
+    const backoff = merge_wait_options?.backoff ?? default_mergeWait.backoff;
+    const max_poll_interval =
+      merge_wait_options?.max_poll_interval ??
+      default_mergeWait.max_poll_interval;
+    const required_approvals = merge_wait_options?.required_approvals || 0;
+    let poll_interval =
+      merge_wait_options?.poll_interval ?? default_mergeWait.poll_interval;
+
+    const started = Date.now();
+    let checkStatus = await this.__getPrCheckStatus(commit.sha);
+    let commitStatus = await this.__getCommitStatus(commit.sha);
+    let prStatus = await this.__getPrStatus(pr.number);
+    let approvals = required_approvals
+      ? await this.__getPrApprovals(pr.number, pr.html_url)
+      : 0;
+
+    for (;;) {
+      const failedCheck = checkStatus.check_runs.find(x =>
+        failedCheckConclusions.includes(x.conclusion)
+      );
+      if (failedCheck) {
+        throw new Error(
+          `Auto Merge Check run failed - ${failedCheck.html_url}`
+        );
+      }
 
-    const commit = await this.__createCommitFromTree(
-      updatetree,
-      this.options.commit_message
-    );
+      const failedStatus = commitStatus.statuses.find(x =>
+        ["failure", "error"].includes(x.state)
+      );
+      if (failedStatus) {
+        throw new Error(
+          `Auto Merge status failed - ${failedStatus.context} - ${failedStatus.target_url}`
+        );
+      }
 
-    if (!commit) {
-      console.log(`${this.lastRunStats.Name} - No Changes.`);
-    } else {
-      const compare = await this.__compareCommit(commit);
+      const pendingChecks = checkStatus.check_runs.filter(
+        x => x.status !== "completed"
+      ).length;
+      const pendingStatuses = commitStatus.statuses.filter(
+        x => x.state === "pending"
+      ).length;
+
+      // Unknown mergable state happens for a few seconds after the PR is created
+      if (
+        prStatus.mergeable_state !== "unknown" &&
+        !pendingChecks &&
+        !pendingStatuses &&
+        approvals >= required_approvals
+      ) {
+        break;
+      }
 
-      if (compare?.files.length) {
-        //Changes to apply
+      if (Date.now() - started + poll_interval > timeout) {
+        throw new Error(`Auto Merge waited too long - ${pr.html_url}`);
+      }
+
+      this.__notify(
+        "merge-waiting",
+        {
+          number: pr.number,
+          checks: checkStatus.check_runs.length,
+          pending_checks: pendingChecks,
+          pending_statuses: pendingStatuses,
+          approvals,
+          mergeable: prStatus.mergeable,
+          mergeable_state: prStatus.mergeable_state
+        },
+        "info",
+        `Waiting for merge, checks = ${checkStatus.check_runs.length}, pending checks = ${pendingChecks}, pending statuses = ${pendingStatuses}, approvals = ${approvals}/${required_approvals}. mergable = ${prStatus.mergeable}, prstatus = ${prStatus.status}, checkstatus = ${checkStatus.status}, mergeable_state = ${prStatus.mergeable_state}`
+      );
 
-        if (this.options.pull_request) {
-          //Pull Request Mode
-          const newBranchName = `${this.options.base}-${commit.sha}`;
+      await sleep(poll_interval);
+      poll_interval = Math.min(poll_interval * backoff, max_poll_interval);
 
-          const pull_request_options = { ...this.options.pull_request_options };
+      prStatus = await this.__getPrStatus(pr.number, prStatus);
+      checkStatus = await this.__getPrCheckStatus(commit.sha, checkStatus);
+      commitStatus = await this.__getCommitStatus(commit.sha, commitStatus);
+      if (required_approvals) {
+        approvals = await this.__getPrApprovals(pr.number, pr.html_url);
+      }
+    }
 
-          //https://docs.github.com/en/rest/reference/pulls#request-reviewers-for-a-pull-request
-          const review_options = pull_request_options.review_options;
-          delete pull_request_options.review_options;
+    this.__log(
+      "info",
+      `Done Waiting, checks = ${checkStatus.check_runs.length}, statuses = ${commitStatus.statuses.length}, approvals = ${approvals}. mergable = ${prStatus.mergeable}, prstatus = ${prStatus.status}, checkstatus = ${checkStatus.status}, mergeable_state = ${prStatus.mergeable_state}`
+    );
+  }
 
-          //https://docs.github.com/en/rest/reference/issues#update-an-issue
-          const issue_options = pull_request_options.issue_options;
-          delete pull_request_options.issue_options;
+  /**
+   * async download of any requested urls.  Downloads are saved to a temporary folder (or `downloadCacheFolder`), not held in memory.
+   */
+  async __getDownloads() {
+    await this.__removeDownloads();
 
-          const auto_merge = pull_request_options.automatic_merge;
-          delete pull_request_options.automatic_merge;
-          const auto_merge_delay = pull_request_options.automatic_merge_delay;
-          delete pull_request_options.automatic_merge_delay;
+    if (this.__downloads.length) {
+      const defaults = this.options.downloadOptions;
 
-          //https://docs.github.com/en/rest/reference/git#create-a-reference
-          await this.__postSomeJson("/git/refs", {
-            sha: commit.sha,
-            ref: `refs/heads/${newBranchName}`
+      /** @type {Map<string,TreePushDownloadOptions>} */
+      const urlOptions = new Map();
+      this.__downloads.forEach(dl => {
+        if (!urlOptions.has(dl.url)) {
+          urlOptions.set(dl.url, {
+            ...defaults,
+            ...dl.options,
+            headers: { ...defaults?.headers, ...dl.options?.headers }
           });
+        }
+      });
+      const urls = [...urlOptions.keys()];
 
-          const prOptions = {
-            head: newBranchName,
-            base: this.options.base,
-            ...pull_request_options
-          };
+      this.__notify(
+        "downloads-started",
+        { urls },
+        "info",
+        `Downloading ${urls.length} file(s)...\n${urls.join("\n")}`
+      );
 
-          if (!prOptions.title && !prOptions.issue) {
-            prOptions.title = defaultPullRequestTitle;
-          }
+      if (this.options.downloadCacheFolder) {
+        await fs.promises.mkdir(this.options.downloadCacheFolder, {
+          recursive: true
+        });
+      }
+      //Downloads that aren't kept in `downloadCacheFolder` go in a temporary folder
+      const folder = await fs.promises.mkdtemp(
+        nodePath.join(os.tmpdir(), "github-tree-push-")
+      );
+      this.__downloadFolder = folder;
 
-          //https://docs.github.com/en/rest/reference/pulls#create-a-pull-request
-          /** @type {{number:number,head:{ref:string},html_url:string}} */
-          const prResult = await this.__postSomeJson("/pulls", prOptions);
-
-          if (issue_options) {
-            //https://docs.github.com/en/rest/reference/issues#update-an-issue
-            await this.__postSomeJson(
-              `/issues/${prResult.number}`,
-              issue_options,
-              {
-                method: "PATCH"
-              }
+      /** @type {Map<string,string>} */
+      const downloadResults = new Map();
+      /** @type {Map<string,string>} */
+      const failedPolicies = new Map();
+      await mapWithLimit(
+        urls.map((url, index) => ({ url, index })),
+        this.options.downloadConcurrency || default_downloadConcurrency,
+        async ({ url, index }) => {
+          const options = urlOptions.get(url) || {};
+          const paths = this.__downloads
+            .filter(dl => dl.url === url)
+            .map(dl => dl.path);
+
+          try {
+            downloadResults.set(
+              url,
+              await this.__download(url, options, folder, index, paths)
             );
-          }
+          } catch (error) {
+            const onError = options.onError || "fail";
+            if (onError === "fail") {
+              throw error;
+            }
 
-          if (review_options) {
-            //https://docs.github.com/en/rest/reference/pulls#request-reviewers-for-a-pull-request
-            await this.__postSomeJson(
-              `/pulls/${prResult.number}/requested_reviewers`,
-              review_options
+            failedPolicies.set(url, onError);
+            this.lastRunStats.Downloads_Failed =
+              (this.lastRunStats.Downloads_Failed || 0) + 1;
+            this.__notify(
+              "download-failed",
+              { url, paths, error, onError },
+              "warn",
+              `Download failed, ${
+                onError === "keep" ? "keeping the file in the repo" : "skipping"
+              } - ${/** @type {Error} */ (error).message}`
             );
           }
+        }
+      );
 
-          if (auto_merge) {
-            if (auto_merge_delay) {
-              console.log(`Waiting ${auto_merge_delay}ms before merging PR...`);
-              await sleep(auto_merge_delay);
-            }
-            let checkStatus = await this.__getPrCheckStatus(commit.sha);
-            let prStatus = await this.__getPrStatus(prResult.number);
+      this.__notify(
+        "downloads-complete",
+        { count: downloadResults.size },
+        "info",
+        `${downloadResults.size} download(s) complete.`
+      );
 
-            let waitAttemps = 0;
+      for (const dl of this.__downloads) {
+        const filePath = downloadResults.get(dl.url);
+        if (filePath) {
+          await this.syncFileFromPath(dl.path, filePath);
+        } else if (failedPolicies.get(dl.url) === "keep") {
+          this.doNotRemoveFile(dl.path);
+        } else {
+          //Forget content from an earlier run
+          this.__treeOperations.delete(dl.path);
+        }
+      }
+    }
+  }
 
-            while (
-              prStatus.mergeable_state === "unknown" ||
-              (["blocked", "unstable"].includes(prStatus.mergeable_state) &&
-                checkStatus.check_runs.some(x => x.status !== "completed"))
-            ) {
-              // If the mergable state is unknown, or it is blocked with incomplete checks
-              // Unknown mergable state happens for a few seconds after the PR is created
-              // "unstable" is when there are no blocking checks, but checks are running.  "blocked" is when blocking checks are running.
-
-              console.log(
-                `Waiting for merge, checks = ${checkStatus.check_runs.length}. mergable = ${prStatus.mergeable}, prstatus = ${prStatus.status}, checkstatus = ${checkStatus.status}, mergeable_state = ${prStatus.mergeable_state}`
-              );
-
-              await sleep(1000);
-
-              prStatus = await this.__getPrStatus(prResult.number, prStatus);
-
-              checkStatus = await this.__getPrCheckStatus(
-                commit.sha,
-                checkStatus
-              );
-
-              const failedCheck = checkStatus.check_runs.find(
-                x => x.conclusion === "failure"
-              );
-
-              if (failedCheck) {
-                throw new Error(
-                  `Auto Merge Check run failed - ${failedCheck.html_url}`
-                );
-              }
-
-              waitAttemps++;
-              if (waitAttemps > 100) {
-                throw new Error(
-                  `Auto Merge waited too long - ${prResult.html_url}`
-                );
-              }
-            }
+  /**
+   * Downloads a URL to a file, checking it against the download options.  Returns where the file is.
+   *
+   * @param {string} url
+   * @param {TreePushDownloadOptions} options
+   * @param {string} folder Where to save the file, when it isn't kept in `downloadCacheFolder`
+   * @param {number} index Names the file, when it isn't kept in `downloadCacheFolder`
+   * @param {string[]} paths Publishing paths for the download
+   * @returns {Promise<string>}
+   */
+  async __download(url, options, folder, index, paths) {
+    const cacheFolder = this.options.downloadCacheFolder;
+    const cached = cacheFolder ? await readCacheEntry(cacheFolder, url) : null;
+
+    /** @type {Object<string,string>} */
+    const headers = { ...options.headers };
+    if (cached?.etag) {
+      headers["If-None-Match"] = cached.etag;
+    }
+    if (cached?.lastModified) {
+      headers["If-Modified-Since"] = cached.lastModified;
+    }
 
-            console.log(
-              `Done Waiting, checks = ${checkStatus.check_runs.length}. mergable = ${prStatus.mergeable}, prstatus = ${prStatus.status}, checkstatus = ${checkStatus.status}, mergeable_state = ${prStatus.mergeable_state}`
-            );
+    const timeout = options.timeout ?? default_downloadTimeout;
+    const controller = new AbortController();
+    const timer = timeout
+      ? setTimeout(() => controller.abort(), timeout)
+      : undefined;
 
-            //https://docs.github.com/en/rest/reference/pulls#merge-a-pull-request
-            await this.__postSomeJson(
-              `/pulls/${prResult.number}/merge`,
-              { merge_method: "squash" },
-              {
-                method: "PUT"
-              }
-            );
+    let filePath = nodePath.join(folder, String(index));
+    let partPath = filePath;
+
+    try {
+      const fetchResponse = await this.__fetch(
+        url,
+        this.__transportOptions({
+          headers,
+          signal: controller.signal,
+          //Retry network errors, but not timeouts
+          retryOn: (attempt, error) =>
+            !!error && attempt < 3 && !controller.signal.aborted
+        })
+      );
 
-            //Check before deleting (In case of auto-delete)
-            const headResult = await this.__fetchResponse(
-              `/git/refs/heads/${prResult.head.ref}`,
-              this.__gitDefaultOptions({ method: "HEAD" }),
-              [404]
-            );
+      if (fetchResponse.status === 304 && cached) {
+        //The options may have changed since the file was cached
+        checkDownloadType(url, options, cached.contentType || "");
+        checkDownloadSize(
+          url,
+          (await fs.promises.stat(cached.filePath)).size,
+          options.maxBytes ?? Infinity
+        );
+        checkDownloadSha(url, options, cached.sha256);
+
+        this.lastRunStats.Downloads_Not_Modified =
+          (this.lastRunStats.Downloads_Not_Modified || 0) + 1;
+        this.__notify(
+          "download-not-modified",
+          { url, paths },
+          "debug",
+          `Download not modified - ${url}`
+        );
+        return cached.filePath;
+      }
 
-            if (headResult.ok) {
-              //https://docs.github.com/en/rest/reference/git#delete-a-reference
-              await this.__fetchResponse(
-                `/git/refs/heads/${prResult.head.ref}`,
-                this.__gitDefaultOptions({ method: "DELETE" })
-              );
-            }
+      if (!fetchResponse.ok) {
+        throw new Error(
+          `${fetchResponse.status} - ${fetchResponse.statusText} - ${fetchResponse.url}`
+        );
+      }
+
+      const contentType = fetchResponse.headers.get("content-type") || "";
+      checkDownloadType(url, options, contentType);
+
+      const etag = fetchResponse.headers.get("etag") || undefined;
+      const lastModified =
+        fetchResponse.headers.get("last-modified") || undefined;
+      //Only responses that can be requested conditionally are kept
+      const cacheable = !!cacheFolder && !!(etag || lastModified);
+      if (cacheable) {
+        filePath = cacheFiles(cacheFolder, url).filePath;
+        //Cached content is only replaced once the new download is complete
+        partPath = `${filePath}.part`;
+      }
+
+      //Stop before downloading a file that is too large
+      const maxBytes = options.maxBytes ?? Infinity;
+      const length = Number(fetchResponse.headers.get("content-length"));
+      if (length) {
+        checkDownloadSize(url, length, maxBytes);
+        paths.forEach(path => this.__checkBlobSize(path, length));
+      }
+
+      const hash = crypto.createHash("sha256");
+      let bytes = 0;
+      //Some fetch implementations give a Buffer, not a stream
+      const body = fetchResponse.body;
+      await pipeline(
+        Readable.from(Buffer.isBuffer(body) ? [body] : body),
+        async function* (source) {
+          for await (const chunk of source) {
+            bytes += chunk.length;
+            checkDownloadSize(url, bytes, maxBytes);
+            hash.update(chunk);
+            yield chunk;
           }
-          this.lastRunStats.Pull_Request_URL = prResult.html_url;
-        } else {
-          //Just a simple commit on this branch
-          //https://docs.github.com/en/rest/reference/git#update-a-reference
-          await this.__postSomeJson(
-            `/git/refs/heads/${this.options.base}`,
-            {
-              sha: commit.sha
-            },
-            { method: "PATCH" }
-          );
+        },
+        fs.createWriteStream(partPath)
+      );
+
+      const sha256 = hash.digest("hex");
+      checkDownloadSha(url, options, sha256);
+      paths.forEach(path => this.__checkBlobSize(path, bytes));
+
+      if (partPath !== filePath) {
+        await fs.promises.rename(partPath, filePath);
+      }
+      if (cacheFolder) {
+        await writeCacheEntry(cacheFolder, {
+          url,
+          filePath,
+          sha256,
+          contentType,
+          etag,
+          lastModified
+        });
+      }
+
+      return filePath;
+    } catch (error) {
+      if (partPath !== filePath) {
+        await fs.promises.rm(partPath, { force: true });
+      }
+      if (controller.signal.aborted) {
+        throw new Error(`Download timed out after ${timeout}ms - ${url}`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Deletes the temporary folder of downloaded files
+   */
+  async __removeDownloads() {
+    if (this.__downloadFolder) {
+      await fs.promises.rm(this.__downloadFolder, {
+        recursive: true,
+        force: true
+      });
+      this.__downloadFolder = undefined;
+    }
+  }
+
+  /**
+   * Returns a list of paths that will be changed if this is run.
+   */
+  async treePushDryRun() {
+    try {
+      const { updatetree } = await this.__dryRunDelta("treePushDryRun");
+
+      //Renames are listed once, as "from -> to"
+      const renames = this.__renameSources(updatetree);
+
+      return updatetree
+        .filter(x => !(x.sha === null && renames.has(x.path)))
+        .map(x => {
+          const from = this.__copySources.get(x.path);
+          return from && renames.has(from) ? `${from} -> ${x.path}` : x.path;
+        });
+    } finally {
+      await this.__removeDownloads();
+    }
+  }
+
+  /**
+   * Returns a detailed report of each file that will be changed if this is run.
+   *
+   * @param {TreePushDryRunReportOptions} [options]
+   * @returns {Promise<TreePushDryRunReport>}
+   */
+  async treePushDryRunReport(options) {
+    try {
+      return await this.__treePushDryRunReport(options);
+    } finally {
+      await this.__removeDownloads();
+    }
+  }
+
+  /**
+   * Builds the report for `treePushDryRunReport`
+   *
+   * @param {TreePushDryRunReportOptions} [options]
+   * @returns {Promise<TreePushDryRunReport>}
+   */
+  async __treePushDryRunReport(options) {
+    const { referenceTree, updatetree } = await this.__dryRunDelta(
+      "treePushDryRunReport"
+    );
+
+    const existingRows = new Map(
+      referenceTree.map(x => [this.__fullPath(x.path), x])
+    );
+
+    /** @type {Map<string,TreeFileOperationSync>} */
+    const syncs = new Map();
+    for (const [opPath, operation] of this.__treeOperations) {
+      if (operation.sync) {
+        syncs.set(this.__fullPath(opPath), operation.sync);
+      }
+    }
+
+    //Renames are listed once, by the new path
+    const renames = this.__renameSources(updatetree);
+
+    /** @type {TreePushDryRunFile[]} */
+    const files = [];
+    for (const row of updatetree) {
+      if (row.sha === null && renames.has(row.path)) {
+        continue;
+      }
+
+      const from = this.__copySources.get(row.path);
+      const existing = existingRows.get(row.path);
+      const source = from ? existingRows.get(from) : undefined;
+      const sync = syncs.get(row.path);
+      const deleted = row.sha === null;
+
+      let operation = existing ? "update" : "add";
+      if (deleted) {
+        operation = "delete";
+      } else if (from) {
+        operation = renames.has(from) ? "rename" : "copy";
+      }
+
+      /** @type {TreePushDryRunFile} */
+      const file = {
+        path: row.path,
+        operation,
+        oldSha: existing?.sha || null,
+        newSha: null,
+        oldMode: existing?.mode || null,
+        newMode: null,
+        oldSize: existing?.size ?? null,
+        newSize: null
+      };
+
+      if (from) {
+        file.from = from;
+      }
+
+      if (!deleted) {
+        file.newSha =
+          row.content !== undefined
+            ? gitHubBlobPredictSha(row.content)
+            : row.sha || null;
+        file.newMode = row.mode;
+        file.newSize = source
+          ? source.size ?? null
+          : await syncContentSize(sync);
+      }
+
+      if (options?.diff && row.type !== "commit") {
+        const diff = await this.__dryRunDiff(file, sync, options);
+        if (diff !== null) {
+          file.diff = diff;
         }
       }
+
+      files.push(file);
+    }
+
+    return { files, stats: this.lastRunStats };
+  }
+
+  /**
+   * Prepares a dry run, returning the tree that was read and the changes to it
+   *
+   * @param {string} name Name for the stats
+   */
+  async __dryRunDelta(name) {
+    this.lastRunStats = {
+      Name: `${name} - ${this.options.commit_message || "(No commit message)"}`
+    };
+
+    await this.__getDownloads();
+    await this.__lfsPointers();
+
+    const referenceTree = await this.__readTree(
+      (
+        await this.__getBaseBranch()
+      ).sha
+    );
+
+    await this.__lfsGitattributes(referenceTree);
+
+    const updatetree = this.__deltaTree(referenceTree);
+
+    return { referenceTree, updatetree };
+  }
+
+  /**
+   * Returns the content of a blob in the repo
+   *
+   * @param {string} sha
+   * @returns {Promise<Buffer>}
+   */
+  async __readBlob(sha) {
+    //https://docs.github.com/en/rest/reference/git#get-a-blob
+    /** @type {{content:string,encoding:string}} */
+    const blob = await this.__getSomeJson(`/git/blobs/${sha}`);
+
+    return Buffer.from(
+      blob.content,
+      blob.encoding === "base64" ? "base64" : "utf8"
+    );
+  }
+
+  /**
+   * Returns a unified diff for a dry run file, or `null` if it can't be diffed (binary or too large)
+   *
+   * @param {TreePushDryRunFile} file
+   * @param {TreeFileOperationSync | undefined} sync
+   * @param {TreePushDryRunReportOptions} options
+   */
+  async __dryRunDiff(file, sync, options) {
+    const maxDiffBytes = options.maxDiffBytes ?? default_maxDiffBytes;
+    if (
+      (file.oldSize ?? 0) > maxDiffBytes ||
+      (file.newSize ?? 0) > maxDiffBytes
+    ) {
+      return null;
+    }
+
+    if (file.from && !file.oldSha) {
+      return null; //same content at a new path
+    }
+
+    /** @type {Buffer} */
+    const oldContent = file.oldSha
+      ? await this.__readBlob(file.oldSha)
+      : Buffer.alloc(0);
+
+    /** @type {Buffer} */
+    let newContent = Buffer.alloc(0);
+    if (file.newSha === file.oldSha) {
+      newContent = oldContent; //mode change
+    } else if (file.newSha) {
+      newContent =
+        (await syncContentBuffer(sync)) || (await this.__readBlob(file.newSha)); //copies and renames
+    }
+
+    if (
+      !isTextContent(oldContent) ||
+      !isTextContent(newContent) ||
+      Math.max(oldContent.length, newContent.length) > maxDiffBytes
+    ) {
+      return null;
+    }
+
+    return createTwoFilesPatch(
+      file.oldSha ? `a/${file.path}` : "/dev/null",
+      file.newSha ? `b/${file.path}` : "/dev/null",
+      oldContent.toString("utf8"),
+      newContent.toString("utf8")
+    );
+  }
+
+  /**
+   * Points a branch at a commit, creating the branch if needed
+   *
+   * @param {string} branch
+   * @param {string} sha
+   */
+  async __forceBranch(branch, sha) {
+    //https://docs.github.com/en/rest/reference/git#update-a-reference
+    await this.__postSomeJson(
+      `/git/refs/heads/${branch}`,
+      { sha, force: true },
+      { method: "PATCH" },
+      [422]
+    );
+
+    if (this.lastFetchResponse?.status === 422) {
+      //https://docs.github.com/en/rest/reference/git#create-a-reference
+      await this.__postSomeJson("/git/refs", {
+        sha,
+        ref: `refs/heads/${branch}`
+      });
+    }
+  }
+
+  /**
+   * Returns the open pull request from a branch into the base branch, if there is one
+   *
+   * @param {string} branch
+   * @returns {Promise<GithubPullRequest | null>}
+   */
+  async __findOpenPullRequest(branch) {
+    //https://docs.github.com/en/rest/reference/pulls#list-pull-requests
+    /** @type {GithubPullRequest[]} */
+    const pulls = await this.__getSomeJson(
+      `/pulls?state=open&base=${encodeURIComponent(
+        this.options.base
+      )}&head=${encodeURIComponent(`${this.options.owner}:${branch}`)}`
+    );
+
+    return pulls[0] || null;
+  }
+
+  /**
+   * Closes a pull request and deletes its branch
+   *
+   * @param {GithubPullRequest} pull
+   * @param {string} reason 'superseded' or 'no-changes'
+   */
+  async __closePullRequest(pull, reason) {
+    //https://docs.github.com/en/rest/reference/pulls#update-a-pull-request
+    await this.__postSomeJson(
+      `/pulls/${pull.number}`,
+      { state: "closed" },
+      { method: "PATCH" }
+    );
+
+    //https://docs.github.com/en/rest/reference/git#delete-a-reference
+    await this.__fetchResponse(
+      `/git/refs/heads/${pull.head.ref}`,
+      this.__gitDefaultOptions({ method: "DELETE" }),
+      [404, 422]
+    );
+
+    this.lastRunStats.Pull_Requests_Closed =
+      (this.lastRunStats.Pull_Requests_Closed || 0) + 1;
+
+    this.__notify(
+      "pr-closed",
+      { number: pull.number, html_url: pull.html_url, reason },
+      "info",
+      `Pull request closed (${reason}) - ${pull.html_url}`
+    );
+  }
+
+  /**
+   * A hidden line in the body of pull requests made by this tree, so they can be told apart from other jobs' pull requests
+   */
+  __pullRequestMarker() {
+    return `<!-- github-tree-push: ${this.__pathRoots()
+      .map(x => x.path || "/")
+      .join(", ")} -->`;
+  }
+
+  /**
+   * Closes open pull requests from the `base-commitsha` branches this tree makes when `head_branch` isn't used
+   */
+  async __closeSupersededPullRequests() {
+    const branchPattern = new RegExp(
+      `^${this.options.base.replace(
+        /[.*+?^${}()|[\]\\]/g,
+        "\\$&"
+      )}-[0-9a-f]{40}$`
+    );
+    const marker = this.__pullRequestMarker();
+
+    /** @type {GithubPullRequest[]} */
+    const superseded = [];
+    for (let page = 1; ; page++) {
+      //https://docs.github.com/en/rest/reference/pulls#list-pull-requests
+      /** @type {GithubPullRequest[]} */
+      const pulls = await this.__getSomeJson(
+        `/pulls?state=open&per_page=100&page=${page}&base=${encodeURIComponent(
+          this.options.base
+        )}`
+      );
+
+      superseded.push(
+        ...pulls.filter(
+          x => branchPattern.test(x.head.ref) && x.body?.includes(marker)
+        )
+      );
+
+      if (pulls.length < 100) {
+        break;
+      }
+    }
+
+    //Closed after listing, so the pages don't shift
+    for (const pull of superseded) {
+      await this.__closePullRequest(pull, "superseded");
+    }
+  }
+
+  /**
+   * When there is nothing left to change, closes the `head_branch` pull request (and superseded ones)
+   */
+  async __closeStandingPullRequest() {
+    const head_branch = this.options.pull_request_options?.head_branch;
+    if (!this.options.pull_request || !head_branch) {
+      return;
+    }
+
+    const pull = await this.__findOpenPullRequest(head_branch);
+    if (pull) {
+      await this.__closePullRequest(pull, "no-changes");
+    }
+    await this.__closeSupersededPullRequests();
+  }
+
+  /**
+   * Creates a pull request (and optionally merges it) from a commit
+   *
+   * @param {GithubCommit} commit
+   */
+  async __pullRequestFromCommit(commit) {
+    const pull_request_options = { ...this.options.pull_request_options };
+
+    const head_branch = pull_request_options.head_branch;
+    delete pull_request_options.head_branch;
+    const newBranchName = head_branch || `${this.options.base}-${commit.sha}`;
+
+    //https://docs.github.com/en/rest/reference/pulls#request-reviewers-for-a-pull-request
+    const review_options = pull_request_options.review_options;
+    delete pull_request_options.review_options;
+
+    //https://docs.github.com/en/rest/reference/issues#update-an-issue
+    const issue_options = pull_request_options.issue_options;
+    delete pull_request_options.issue_options;
+
+    const auto_merge = pull_request_options.automatic_merge;
+    delete pull_request_options.automatic_merge;
+    const auto_merge_delay = pull_request_options.automatic_merge_delay;
+    delete pull_request_options.automatic_merge_delay;
+    const merge_options = pull_request_options.merge_options;
+    delete pull_request_options.merge_options;
+    const merge_wait_options = pull_request_options.merge_wait_options;
+    delete pull_request_options.merge_wait_options;
+
+    if (head_branch) {
+      await this.__forceBranch(head_branch, commit.sha);
+    } else {
+      //https://docs.github.com/en/rest/reference/git#create-a-reference
+      await this.__postSomeJson("/git/refs", {
+        sha: commit.sha,
+        ref: `refs/heads/${newBranchName}`
+      });
+    }
+
+    const prOptions = {
+      head: newBranchName,
+      base: this.options.base,
+      ...pull_request_options
+    };
+
+    if (!prOptions.title && !prOptions.issue) {
+      prOptions.title = defaultPullRequestTitle;
+    }
+
+    const marker = this.__pullRequestMarker();
+    prOptions.body = prOptions.body ? `${prOptions.body}\n\n${marker}` : marker;
+
+    /** @type {GithubPullRequest | null} */
+    let prResult = head_branch
+      ? await this.__findOpenPullRequest(head_branch)
+      : null;
+
+    if (prResult) {
+      //https://docs.github.com/en/rest/reference/pulls#update-a-pull-request
+      prResult = /** @type {GithubPullRequest} */ (
+        await this.__postSomeJson(
+          `/pulls/${prResult.number}`,
+          { title: prOptions.title, body: prOptions.body },
+          { method: "PATCH" }
+        )
+      );
+
+      this.__notify(
+        "pr-updated",
+        {
+          number: prResult.number,
+          html_url: prResult.html_url,
+          head: prResult.head.ref
+        },
+        "info",
+        `Pull request updated - ${prResult.html_url}`
+      );
+    } else {
+      //https://docs.github.com/en/rest/reference/pulls#create-a-pull-request
+      prResult = /** @type {GithubPullRequest} */ (
+        await this.__postSomeJson("/pulls", prOptions)
+      );
+
+      this.__notify(
+        "pr-created",
+        {
+          number: prResult.number,
+          html_url: prResult.html_url,
+          head: prResult.head.ref
+        },
+        "info",
+        `Pull request created - ${prResult.html_url}`
+      );
+    }
+
+    if (head_branch) {
+      await this.__closeSupersededPullRequests();
+    }
+
+    if (issue_options) {
+      //https://docs.github.com/en/rest/reference/issues#update-an-issue
+      await this.__postSomeJson(`/issues/${prResult.number}`, issue_options, {
+        method: "PATCH"
+      });
+    }
+
+    if (review_options) {
+      //https://docs.github.com/en/rest/reference/pulls#request-reviewers-for-a-pull-request
+      await this.__postSomeJson(
+        `/pulls/${prResult.number}/requested_reviewers`,
+        review_options
+      );
+    }
+
+    if (auto_merge) {
+      if (auto_merge_delay) {
+        this.__log(
+          "info",
+          `Waiting ${auto_merge_delay}ms before merging PR...`
+        );
+        await sleep(auto_merge_delay);
+      }
+      await this.__waitForMergeable(commit, prResult, merge_wait_options);
+
+      //https://docs.github.com/en/rest/reference/pulls#merge-a-pull-request
+      await this.__postSomeJson(
+        `/pulls/${prResult.number}/merge`,
+        {
+          ...merge_options,
+          merge_method: merge_options?.merge_method || default_mergeMethod
+        },
+        {
+          method: "PUT"
+        }
+      );
+
+      this.__notify(
+        "merged",
+        { number: prResult.number, html_url: prResult.html_url },
+        "info",
+        `Pull request merged - ${prResult.html_url}`
+      );
+
+      //Check before deleting (In case of auto-delete)
+      const headResult = await this.__fetchResponse(
+        `/git/refs/heads/${prResult.head.ref}`,
+        this.__gitDefaultOptions({ method: "HEAD" }),
+        [404]
+      );
+
+      if (headResult.ok) {
+        //https://docs.github.com/en/rest/reference/git#delete-a-reference
+        await this.__fetchResponse(
+          `/git/refs/heads/${prResult.head.ref}`,
+          this.__gitDefaultOptions({ method: "DELETE" })
+        );
+      }
+    }
+    this.lastRunStats.Pull_Request_URL = prResult.html_url;
+  }
+
+  /**
+   * `true` if a commit has the same tree as another commit
+   *
+   * @param {string} sha
+   * @param {GithubCommit} commit
+   */
+  async __sameTree(sha, commit) {
+    //https://docs.github.com/en/rest/reference/git#get-a-commit
+    /** @type {GithubCommit} */
+    const existing = await this.__getSomeJson(`/git/commits/${sha}`);
+
+    return existing.tree?.sha === commit.tree?.sha;
+  }
+
+  /**
+   * With nothing to commit, a missing base branch is still created from `base_create_from`
+   *
+   * @param {GithubBaseBranch} baseBranch
+   */
+  async __createUnchangedBaseRef(baseBranch) {
+    if (!baseBranch.exists && baseBranch.sha) {
+      await this.__createBaseRef(baseBranch.sha);
+    }
+  }
+
+  /**
+   * Creates the base branch at a commit.  Returns `false` if the branch was created by someone else first.
+   *
+   * @param {string} sha
+   */
+  async __createBaseRef(sha) {
+    //https://docs.github.com/en/rest/reference/git#create-a-reference
+    /** @type {{message?:string}} */
+    const createResult = await this.__postSomeJson(
+      "/git/refs",
+      { sha, ref: `refs/heads/${this.options.base}` },
+      undefined,
+      [422]
+    );
+
+    if (this.lastFetchResponse?.status === 422) {
+      if (!/already exists/i.test(createResult?.message || "")) {
+        throw new Error(
+          `422 - Unable to create ${this.options.base} - ${createResult?.message}`
+        );
+      }
+
+      return false;
+    }
+
+    this.__notify(
+      "ref-updated",
+      { ref: this.options.base, sha },
+      "debug",
+      `${this.options.base} created at ${sha}`
+    );
+
+    return true;
+  }
+
+  /**
+   * Moves the base branch to a commit, only if the branch hasn't moved since the commit's parent.
+   * Orphan commits replace the branch's history.
+   * Returns `false` if the branch moved.
+   *
+   * @param {GithubCommit} commit
+   */
+  async __updateBaseRef(commit) {
+    //https://docs.github.com/en/rest/reference/git#update-a-reference
+    /** @type {{message?:string}} */
+    const updateResult = await this.__postSomeJson(
+      `/git/refs/heads/${this.options.base}`,
+      {
+        sha: commit.sha,
+        force: !!this.options.orphan
+      },
+      { method: "PATCH" },
+      [422]
+    );
+
+    if (this.lastFetchResponse?.status === 422) {
+      if (!/fast.forward/i.test(updateResult?.message || "")) {
+        throw new Error(
+          `422 - Unable to update ${this.options.base} - ${updateResult?.message}`
+        );
+      }
+
+      return false;
+    }
+
+    this.__notify(
+      "ref-updated",
+      { ref: this.options.base, sha: commit.sha },
+      "debug",
+      `${this.options.base} updated to ${commit.sha}`
+    );
+
+    return true;
+  }
+
+  /**
+   * Throws if a path that is being changed was also changed remotely (to something else) since it was read
+   *
+   * @param {GithubTreeRow[]} updatetree the changes that were being applied
+   * @param {GithubTreeRow[]} oldTree the tree the changes were compared to
+   * @param {GithubTreeRow[]} newTree the tree as it is now
+   */
+  __checkForConflicts(updatetree, oldTree, newTree) {
+    /** @param {GithubTreeRow[]} tree */
+    const byFullPath = tree =>
+      new Map(tree.map(x => [this.__fullPath(x.path), x]));
+    const oldRows = byFullPath(oldTree);
+    const newRows = byFullPath(newTree);
+
+    const conflicts = updatetree
+      .filter(row => {
+        const oldRow = oldRows.get(row.path);
+        const newRow = newRows.get(row.path);
+        const remoteChanged =
+          oldRow?.sha !== newRow?.sha || oldRow?.mode !== newRow?.mode;
+        const wantedSha =
+          row.content !== undefined
+            ? gitHubBlobPredictSha(row.content)
+            : row.sha;
+
+        return (
+          remoteChanged &&
+          ((newRow?.sha ?? null) !== wantedSha ||
+            (wantedSha && newRow?.mode !== row.mode))
+        );
+      })
+      .map(row => row.path);
+
+    if (conflicts.length) {
+      throw new Error(
+        `Conflict - changed on ${
+          this.options.base
+        } during the push - ${conflicts.join(", ")}`
+      );
+    }
+  }
+
+  /**
+   * Push all the files added to the tree to the repository
+   */
+  async treePush() {
+    try {
+      return await this.__treePush();
+    } finally {
+      await this.__removeDownloads();
+    }
+  }
+
+  /**
+   * Pushes the files for `treePush`
+   */
+  async __treePush() {
+    this.lastRunStats = {
+      Name: `treePush - ${this.options.commit_message || "(No commit message)"}`
+    };
+
+    await this.__getDownloads();
+    await this.__lfsPointers();
+
+    /** @type {{updatetree:GithubTreeRow[],referenceTree:GithubTreeRow[]} | undefined} */
+    let previousAttempt;
+
+    for (let attempt = 1; ; attempt++) {
+      //Read the tree at a fixed commit, so the changes are compared to the same tree they will be committed on
+      const baseBranch = await this.__getBaseBranch();
+      const baseSha = baseBranch.sha;
+
+      const referenceTree = await this.__readTree(baseSha);
+
+      if (previousAttempt) {
+        this.__checkForConflicts(
+          previousAttempt.updatetree,
+          previousAttempt.referenceTree,
+          referenceTree
+        );
+      }
+
+      await this.__lfsGitattributes(referenceTree);
+      await this.__syncLfsObjects(referenceTree);
+      await this.__syncBlobs();
+
+      const updatetree = this.__deltaTree(referenceTree);
+
+      const commit = await this.__createCommitFromTree(
+        updatetree,
+        this.options.commit_message,
+        baseSha
+      );
+
+      if (!commit) {
+        this.__notify(
+          "no-changes",
+          { name: this.lastRunStats.Name },
+          "info",
+          `${this.lastRunStats.Name} - No Changes.`
+        );
+        await this.__createUnchangedBaseRef(baseBranch);
+        await this.__closeStandingPullRequest();
+        break;
+      }
+
+      if (commit.parents?.length) {
+        const compare = await this.__compareCommit(commit);
+
+        if (!compare?.files.length) {
+          await this.__createUnchangedBaseRef(baseBranch);
+          await this.__closeStandingPullRequest();
+          break;
+        }
+      } else if (baseSha && (await this.__sameTree(baseSha, commit))) {
+        //An orphan commit with the same files as the branch already has
+        break;
+      }
+
+      //Changes to apply
+      if (this.options.pull_request) {
+        //Pull Request Mode
+        if (!baseBranch.exists) {
+          await this.__createBaseRef(/** @type {string} */ (baseSha));
+        }
+        await this.__pullRequestFromCommit(commit);
+        break;
+      }
+
+      //Just a simple commit on this branch
+      if (
+        baseBranch.exists
+          ? await this.__updateBaseRef(commit)
+          : await this.__createBaseRef(commit.sha)
+      ) {
+        await this.__cacheKnownBlobs(commit, referenceTree, updatetree);
+        break;
+      }
+
+      //The base branch moved since it was read
+      if (attempt > (this.options.conflictRetries || 0)) {
+        throw new Error(
+          `${this.options.base} kept changing during the push.  Gave up after ${attempt} attempts.`
+        );
+      }
+
+      this.__notify(
+        "base-moved",
+        { attempt },
+        "warn",
+        `${this.options.base} changed during the push.  Retrying...`
+      );
+      this.lastRunStats.Base_Moved_Retries = attempt;
+      delete this.lastRunStats.Text_Content_Uploaded;
+      delete this.lastRunStats.Files_Deleted;
+      delete this.lastRunStats.Files_Referenced;
+      delete this.lastRunStats.Files_Renamed;
+      delete this.lastRunStats.Files_Copied;
+      previousAttempt = { updatetree, referenceTree };
     }
 
     return this.lastRunStats;
   }
+
+  /**
+   * Push the same files to several targets (repos, branches or paths), one after another.
+   * Files are registered once, and blobs already uploaded to a repo are not checked again for the next target in the same repo.
+   * A failed target does not stop the others.
+   *
+   * @param {TreePushTarget[]} targets Where to push.  Each target is combined with this tree's options.
+   * @returns {Promise<TreePushTargetResult[]>}
+   */
+  async treePushTargets(targets) {
+    try {
+      return await this.__treePushTargets(targets);
+    } finally {
+      await this.__removeDownloads();
+    }
+  }
+
+  /**
+   * Pushes to each target for `treePushTargets`
+   *
+   * @param {TreePushTarget[]} targets
+   * @returns {Promise<TreePushTargetResult[]>}
+   */
+  async __treePushTargets(targets) {
+    //Downloads are only fetched once for all the targets
+    await this.__getDownloads();
+
+    /** @type {TreePushTargetResult[]} */
+    const results = [];
+
+    for (const target of targets) {
+      const options = this.__targetOptions(target);
+
+      /** @type {TreePushTargetResult} */
+      const result = {
+        owner: options.owner,
+        repo: options.repo,
+        base: options.base,
+        path: options.path,
+        stats: { Name: "Not run" }
+      };
+
+      /** @type {GitHubTreePush | undefined} */
+      let fork;
+      try {
+        //A target with bad options fails here, like any other failed push
+        fork = this.__fork(target);
+        result.stats = await fork.treePush();
+      } catch (error) {
+        if (fork) {
+          result.stats = fork.lastRunStats;
+        }
+        result.error = /** @type {Error} */ (error);
+
+        this.__notify(
+          "target-failed",
+          { ...result },
+          "error",
+          `Push to ${result.owner}/${result.repo}/${result.base} failed - ${result.error.message}`
+        );
+      }
+
+      results.push(result);
+    }
+
+    return results;
+  }
+
+  /**
+   * Lists the files in the managed paths on the base branch, as they are now
+   *
+   * @returns {Promise<TreePushRemoteFile[]>}
+   */
+  async listFiles() {
+    const rows = await this.__readRemoteFiles();
+
+    return [...rows.values()].map(({ path, sha, mode, type, size }) => ({
+      path,
+      sha: /** @type {string} */ (sha),
+      mode,
+      type,
+      size
+    }));
+  }
+
+  /**
+   * Returns the content of a file in the managed paths on the base branch.  A Buffer, or a string when an encoding is given.
+   *
+   * @param {string} path Path relative to the starting `path` (or the repo root, with `paths`).
+   * @param {string} [encoding] Like `utf8`, to return a string.
+   * @returns {Promise<Buffer | string>}
+   */
+  async readFile(path, encoding) {
+    const row = (await this.__readRemoteFiles()).get(path.replace(/^\/+/, ""));
+    if (!row?.sha) {
+      throw new Error(`File not found - ${path}`);
+    }
+    if (row.type !== "blob") {
+      throw new Error(`Not a file - ${path}`);
+    }
+
+    const content = await this.__readBlob(row.sha);
+    return encoding ? content.toString(/** @type {*} */ (encoding)) : content;
+  }
+
+  /**
+   * `true` if a file is in the managed paths on the base branch
+   *
+   * @param {string} path Path relative to the starting `path` (or the repo root, with `paths`).
+   */
+  async exists(path) {
+    return (await this.__readRemoteFiles()).has(path.replace(/^\/+/, ""));
+  }
+
+  /**
+   * Reads the files in the managed paths on the base branch.  The tree is only read again when the branch has moved.
+   *
+   * @returns {Promise<Map<string,GithubTreeRow>>}
+   */
+  async __readRemoteFiles() {
+    const { sha } = await this.__getBaseBranch();
+
+    if (this.__remoteFiles?.sha !== sha) {
+      const referenceTree = await this.__readTree(sha);
+      this.__remoteFiles = {
+        sha,
+        rows: new Map(referenceTree.map(row => [row.path, row]))
+      };
+    }
+
+    return this.__remoteFiles.rows;
+  }
+
+  /**
+   * Reverts the changes a commit made to the managed paths (like `git revert`), with a new commit or pull request.
+   * Fails if a file the commit changed has been changed again since.
+   *
+   * @param {string} commit Commit sha, or the `Commit_URL` from `lastRunStats`.
+   * @param {TreePushHistoryOptions} [options]
+   * @returns {Promise<TreeFileRunStats | TreePushDryRunReport>} A dry run report when `dryRun` is set.
+   */
+  async revertCommit(commit, options) {
+    const fork = this.__historyFork(options, false);
+    const reverted = await fork.__getCommit(commit);
+
+    //Merge commits are reverted to their first parent, like `git revert -m 1`
+    const parentSha = reverted.parents?.[0]?.sha;
+    if (!parentSha) {
+      throw new Error(`Commit ${reverted.sha} has no parent to revert to`);
+    }
+
+    const before = new Map(
+      (await fork.__readTree(parentSha)).map(row => [row.path, row])
+    );
+    const after = new Map(
+      (await fork.__readTree(reverted.sha)).map(row => [row.path, row])
+    );
+    const current = new Map(
+      (await fork.__readTree((await fork.__getBaseBranch()).sha)).map(row => [
+        row.path,
+        row
+      ])
+    );
+
+    const changedPaths = [...new Set([...before.keys(), ...after.keys()])]
+      .filter(
+        path =>
+          treeRowVersion(before.get(path)) !== treeRowVersion(after.get(path))
+      )
+      .sort();
+
+    const conflicts = changedPaths.filter(
+      path =>
+        treeRowVersion(current.get(path)) !== treeRowVersion(after.get(path))
+    );
+    if (conflicts.length) {
+      throw new Error(
+        `Conflict - changed since ${reverted.sha} - ${conflicts.join(", ")}`
+      );
+    }
+
+    changedPaths.forEach(path => {
+      const row = before.get(path);
+      if (row) {
+        fork.__syncTreeRow(row);
+      } else {
+        fork.removeFile(path);
+      }
+    });
+
+    fork.options.commit_message =
+      options?.commit_message ||
+      `Revert "${reverted.message.split("\n")[0]}"\n\nThis reverts commit ${
+        reverted.sha
+      }.`;
+
+    return this.__pushHistoryFork(fork, !!options?.dryRun);
+  }
+
+  /**
+   * Puts the managed paths back the way they were at an earlier commit, with a new commit or pull request.
+   * Files added since are removed.
+   *
+   * @param {string} commit Commit sha, or the `Commit_URL` from `lastRunStats`.
+   * @param {TreePushHistoryOptions} [options]
+   * @returns {Promise<TreeFileRunStats | TreePushDryRunReport>} A dry run report when `dryRun` is set.
+   */
+  async restoreToCommit(commit, options) {
+    const fork = this.__historyFork(options, true);
+    const restored = await fork.__getCommit(commit);
+
+    (await fork.__readTree(restored.sha)).forEach(row =>
+      fork.__syncTreeRow(row)
+    );
+
+    fork.options.commit_message =
+      options?.commit_message ||
+      `Restore ${fork
+        .__pathRoots()
+        .map(x => x.path || "/")
+        .join(", ")} to ${restored.sha.slice(0, 7)}`;
+
+    return this.__pushHistoryFork(fork, !!options?.dryRun);
+  }
+
+  /**
+   * Returns a tree for pushing changes from the repo's history.  It has none of this tree's files.
+   * LFS is left alone, since the history already has the pointer files and `.gitattributes`.
+   *
+   * @param {TreePushHistoryOptions | undefined} options
+   * @param {boolean} removeOtherFiles `true` to remove files that aren't synced from every managed path
+   */
+  __historyFork(options, removeOtherFiles) {
+    const fork = this.__fork(options || {});
+    fork.__treeOperations = new Map();
+    fork.emit = (eventName, data) => this.emit(eventName, data);
+
+    fork.options.lfs = undefined;
+    fork.options.removeOtherFiles = removeOtherFiles;
+    if (fork.options.paths) {
+      fork.options.paths = fork.options.paths.map(x => ({
+        ...x,
+        removeOtherFiles
+      }));
+    }
+
+    return fork;
+  }
+
+  /**
+   * Pushes (or dry runs) a tree made by `__historyFork`, keeping its stats as this tree's `lastRunStats`
+   *
+   * @param {GitHubTreePush} fork
+   * @param {boolean} dryRun
+   * @returns {Promise<TreeFileRunStats | TreePushDryRunReport>}
+   */
+  async __pushHistoryFork(fork, dryRun) {
+    try {
+      return dryRun ? await fork.treePushDryRunReport() : await fork.treePush();
+    } finally {
+      this.lastRunStats = fork.lastRunStats;
+    }
+  }
+
+  /**
+   * Finds a commit in the repo
+   *
+   * @param {string} commit Commit sha, ref, or a GitHub commit URL (like `Commit_URL`)
+   * @returns {Promise<GithubCommit>}
+   */
+  async __getCommit(commit) {
+    const urlMatch =
+      /^https?:\/\/[^/]+\/(?:repos\/)?([^/]+)\/([^/]+)\/(?:git\/)?commits?\/([0-9a-f]+)\/?$/i.exec(
+        commit || ""
+      );
+    if (
+      urlMatch &&
+      `${urlMatch[1]}/${urlMatch[2]}`.toLowerCase() !==
+        `${this.options.owner}/${this.options.repo}`.toLowerCase()
+    ) {
+      throw new Error(
+        `Commit is not in ${this.options.owner}/${this.options.repo} - ${commit}`
+      );
+    }
+
+    let sha = urlMatch ? urlMatch[3] : commit;
+    if (!sha) {
+      throw new Error("A commit sha or URL is required");
+    }
+
+    if (!isObjectSha(sha)) {
+      //Short shas, branches and tags
+      //https://docs.github.com/en/rest/commits/commits#get-a-commit
+      /** @type {{sha:string}} */
+      const found = await this.__getSomeJson(
+        `/commits/${encodeURIComponent(sha)}`
+      );
+      sha = found.sha;
+    }
+
+    //https://docs.github.com/en/rest/reference/git#get-a-commit
+    return this.__getSomeJson(`/git/commits/${sha}`);
+  }
+
+  /**
+   * Sets a file to a version already in the repo
+   *
+   * @param {GithubTreeRow} row
+   */
+  __syncTreeRow(row) {
+    this.__treeOperations.set(row.path, {
+      sync: {
+        sha: /** @type {string} */ (row.sha),
+        mode: row.mode,
+        type: row.type
+      }
+    });
+  }
+
+  /**
+   * This tree's options, with a target's options replacing them
+   *
+   * @param {TreePushTarget} target
+   * @returns {TreePushTreeOptions}
+   */
+  __targetOptions(target) {
+    /** @type {TreePushTreeOptions} */
+    const options = { ...this.options, ...target };
+    if ("path" in target) {
+      delete options.paths;
+    } else if ("paths" in target) {
+      delete options.path;
+    }
+    return options;
+  }
+
+  /**
+   * Returns a new tree for another target, with the same files, transport and auth
+   *
+   * @param {TreePushTarget} target options that replace this tree's options
+   */
+  __fork(target) {
+    const options = this.__targetOptions(target);
+    const fork = new GitHubTreePush("", options);
+    fork.__token = this.__token;
+    fork.__fetch = this.__fetch;
+    fork.__scheduler = this.__scheduler;
+    //Forks get their own copies of the syncs, since content is freed after it is uploaded
+    fork.__treeOperations = new Map(
+      [...this.__treeOperations].map(([path, operation]) => [
+        path,
+        operation.sync
+          ? { ...operation, sync: { ...operation.sync } }
+          : operation
+      ])
+    );
+    fork.__knownBlobShas = this.__sharedKnownBlobShas(options);
+
+    //Events from the fork are sent from this tree, with the target
+    fork.emit = (eventName, data) =>
+      this.emit(eventName, {
+        ...data,
+        target: { owner: options.owner, repo: options.repo, base: options.base }
+      });
+
+    return fork;
+  }
+
+  /**
+   * The list of blob shas known to exist in a repo, shared by all forks pushing to that repo
+   *
+   * @param {TreePushTreeOptions} options
+   * @returns {Set<string>}
+   */
+  __sharedKnownBlobShas(options) {
+    const key = `${options.apiBaseUrl}/${options.owner}/${options.repo}`;
+
+    if (!this.__knownBlobShasByRepo.has(key)) {
+      this.__knownBlobShasByRepo.set(
+        key,
+        key ===
+          `${this.options.apiBaseUrl}/${this.options.owner}/${this.options.repo}`
+          ? this.__knownBlobShas
+          : new Set()
+      );
+    }
+
+    return this.__knownBlobShasByRepo.get(key) || new Set();
+  }
 }
 
-module.exports = { GitHubTreePush };
+module.exports = {
+  GitHubTreePush,
+  GitHubAppAuth,
+  FileCacheStore,
+  contentTransforms
+};
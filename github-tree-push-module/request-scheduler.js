@@ -0,0 +1,227 @@
+//@ts-check
+
+/*
+ * Runs GitHub API requests with a cap on how many are in flight, spaces out requests that create content,
+ * and pauses everything when GitHub reports a rate limit.
+ *
+ * see https://docs.github.com/en/rest/guides/best-practices-for-integrators#dealing-with-secondary-rate-limits
+ */
+
+/** Seconds to wait after a secondary rate limit that doesn't say how long to wait */
+const default_secondaryLimitWait = 60;
+
+/**
+ * @typedef {object} RequestSchedulerOptions
+ * @property {number} [maxConcurrentRequests] Requests allowed in flight at once.  Default 10.
+ * @property {number} [mutatingRequestSpacing] Minimum MS between POST/PATCH/PUT/DELETE requests.  Default 1000.
+ * @property {number} [rateLimitRetries] Times to wait and retry a request that was rate limited.  Default 3.
+ * @property {number} [maxRateLimitWait] Longest MS to wait for a rate limit before failing.  Default 900000 (15 minutes).
+ * @property {function(string,number):void} [onWait] Called with 'rate-limit' and the MS all requests are paused for, or 'throttle' and the MS a request waited for its turn.
+ */
+
+/**
+ * Halts processing for a set time
+ *
+ * @param {number} ms milliseconds to sleep (1000 = 1s)
+ */
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Returns the MS to wait before retrying a rate limited response, or `null` if it wasn't rate limited
+ *
+ * @param {*} response node-fetch compatible response
+ * @param {number} now
+ */
+const rateLimitWait = (response, now) => {
+  if (![403, 429].includes(response.status)) {
+    return null;
+  }
+
+  const retryAfter = response.headers.get("retry-after");
+  if (retryAfter) {
+    return Number(retryAfter) * 1000;
+  }
+
+  const reset = response.headers.get("x-ratelimit-reset");
+  if (response.headers.get("x-ratelimit-remaining") === "0" && reset) {
+    return Math.max(0, Number(reset) * 1000 - now);
+  }
+
+  //429 is always a limit, 403 without limit headers is a permission problem
+  return response.status === 429 ? default_secondaryLimitWait * 1000 : null;
+};
+
+/**
+ * Runs requests in a rate limit friendly way
+ */
+class RequestScheduler {
+  /**
+   * @param {RequestSchedulerOptions} [options]
+   */
+  constructor(options) {
+    this.options = {
+      ...options,
+      maxConcurrentRequests: options?.maxConcurrentRequests ?? 10,
+      mutatingRequestSpacing: options?.mutatingRequestSpacing ?? 1000,
+      rateLimitRetries: options?.rateLimitRetries ?? 3,
+      maxRateLimitWait: options?.maxRateLimitWait ?? 900000
+    };
+
+    /** (private) Requests in flight */
+    this.__active = 0;
+
+    /**
+     * (private) Requests waiting for a free slot
+     *
+     * @type {(function():void)[]}
+     */
+    this.__queue = [];
+
+    /** (private) Time (ms) that requests are paused until, because of a rate limit */
+    this.__pausedUntil = 0;
+
+    /** (private) Time (ms) that the next mutating request can start */
+    this.__nextMutatingAt = 0;
+  }
+
+  /**
+   * Run a request when allowed, retrying if it is rate limited.  Resolves to the last response.
+   *
+   * @param {boolean} mutating `true` for requests that create or change content
+   * @param {function():Promise<*>} request starts the request and returns the response
+   * @param {function(string,number):void} [onWait] Called for waits caused by (or holding up) this request, like the `onWait` option.  Default is the `onWait` option.
+   * @returns {Promise<*>}
+   */
+  async run(mutating, request, onWait = this.options.onWait) {
+    for (let attempt = 0; ; attempt++) {
+      const response = await this.__send(mutating, request, onWait);
+      const now = Date.now();
+      const wait = rateLimitWait(response, now);
+
+      if (wait === null) {
+        this.__pauseIfExhausted(response, now, onWait);
+        return response;
+      }
+
+      if (
+        attempt >= (this.options.rateLimitRetries || 0) ||
+        wait > (this.options.maxRateLimitWait || 0)
+      ) {
+        return response; //Let the caller report the error
+      }
+
+      //The response is dropped, so its body is read now to free the connection during the pause
+      await response.text().catch(() => {});
+
+      this.__pauseUntil(now + wait, now, onWait);
+    }
+  }
+
+  /**
+   * Sends a request once it is its turn and a slot is free
+   *
+   * @param {boolean} mutating
+   * @param {function():Promise<*>} request
+   * @param {function(string,number):void} [onWait]
+   * @returns {Promise<*>}
+   */
+  async __send(mutating, request, onWait) {
+    //Waits happen before taking a slot, so reads aren't held up behind spaced out writes
+    for (;;) {
+      await this.__waitForTurn(mutating, onWait);
+      await this.__acquire();
+      if (this.__pausedUntil <= Date.now()) {
+        break;
+      }
+      this.__release(); //A rate limit started while waiting for the slot
+    }
+
+    try {
+      return await request();
+    } finally {
+      this.__release();
+    }
+  }
+
+  /**
+   * Pauses all requests until a time
+   *
+   * @param {number} time ms
+   * @param {number} now ms, when the wait was worked out
+   * @param {function(string,number):void} [onWait]
+   */
+  __pauseUntil(time, now, onWait) {
+    const from = Math.max(this.__pausedUntil, now);
+    if (time > from) {
+      this.__pausedUntil = time;
+      onWait?.("rate-limit", time - from);
+    }
+  }
+
+  /**
+   * When a response says there are no requests left, pause until the limit resets
+   *
+   * @param {*} response
+   * @param {number} now ms
+   * @param {function(string,number):void} [onWait]
+   */
+  __pauseIfExhausted(response, now, onWait) {
+    const reset = response.headers.get("x-ratelimit-reset");
+    if (response.headers.get("x-ratelimit-remaining") === "0" && reset) {
+      const resetAt = Number(reset) * 1000;
+      if (resetAt - now <= (this.options.maxRateLimitWait || 0)) {
+        this.__pauseUntil(resetAt, now, onWait);
+      }
+    }
+  }
+
+  /**
+   * Waits for a rate limit pause, then for the spacing between mutating requests
+   *
+   * @param {boolean} mutating
+   * @param {function(string,number):void} [onWait]
+   */
+  async __waitForTurn(mutating, onWait) {
+    while (this.__pausedUntil > Date.now()) {
+      await sleep(this.__pausedUntil - Date.now());
+    }
+
+    if (mutating) {
+      const now = Date.now();
+      const wait = Math.max(0, this.__nextMutatingAt - now);
+      this.__nextMutatingAt =
+        now + wait + (this.options.mutatingRequestSpacing || 0);
+
+      if (wait) {
+        await sleep(wait);
+        onWait?.("throttle", wait);
+      }
+    }
+  }
+
+  /**
+   * Waits for a free slot
+   */
+  async __acquire() {
+    if (this.__active < (this.options.maxConcurrentRequests || 1)) {
+      this.__active++;
+      return;
+    }
+
+    await new Promise(resolve => this.__queue.push(() => resolve(undefined)));
+  }
+
+  /**
+   * Hands the slot to the next waiting request
+   */
+  __release() {
+    const next = this.__queue.shift();
+    if (next) {
+      next(); //slot stays taken
+    } else {
+      this.__active--;
+    }
+  }
+}
+
+module.exports = { RequestScheduler };
@@ -0,0 +1,213 @@
+//@ts-check
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { GitHubTreePush, GitHubAppAuth } = require("../index");
+const { FakeGitHub } = require("../fake-github");
+const { owner, repo } = require("./helpers");
+
+const appId = 12345;
+const installationId = 678;
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: "pkcs8", format: "pem" },
+  publicKeyEncoding: { type: "spki", format: "pem" }
+});
+
+/**
+ * Creates a fake that only accepts app installation tokens
+ *
+ * @param {number} [tokenLifetime] seconds
+ */
+const setupApp = tokenLifetime => {
+  const fake = new FakeGitHub();
+  fake.createRepo(owner, repo, { files: { "README.md": "readme" } });
+  fake.installApp({
+    appId,
+    publicKey,
+    installationId,
+    repos: [`${owner}/${repo}`],
+    tokenLifetime
+  });
+  return fake;
+};
+
+/**
+ * @param {FakeGitHub} fake
+ * @param {object} [options] GitHubAppAuth options
+ */
+const newAuth = (fake, options) =>
+  new GitHubAppAuth({ appId, privateKey, fetch: fake.fetch, ...options });
+
+/**
+ * @param {FakeGitHub} fake
+ * @param {GitHubAppAuth} auth
+ */
+const newAppTree = (fake, auth) =>
+  new GitHubTreePush(null, {
+    owner,
+    repo,
+    base: "main",
+    fetch: fake.fetch,
+    auth,
+    logLevel: "silent",
+    mutatingRequestSpacing: 0
+  });
+
+test("pushes with an installation token from a GitHub App", async () => {
+  const fake = setupApp();
+  const tree = newAppTree(fake, newAuth(fake));
+  tree.syncFile("new.txt", "new");
+
+  await tree.treePush();
+
+  assert.equal(fake.readFiles(owner, repo, "main")["new.txt"], "new");
+  //The installation is looked up once and one token is used for everything
+  assert.equal(
+    fake.requests.filter(x => x.path.endsWith("/installation")).length,
+    1
+  );
+  assert.equal(
+    fake.requests.filter(x => x.path.endsWith("/access_tokens")).length,
+    1
+  );
+});
+
+test("tokens are cached until they are about to expire", async () => {
+  const fake = setupApp(2);
+  const auth = newAuth(fake, { installationId, refreshBeforeExpiry: 1000 });
+  const target = { owner, repo };
+
+  const first = await auth.getToken(target);
+  assert.equal(await auth.getToken(target), first);
+
+  await new Promise(resolve => setTimeout(resolve, 1100));
+
+  assert.notEqual(await auth.getToken(target), first);
+});
+
+test("concurrent requests share one token refresh", async () => {
+  const fake = setupApp();
+  //Every token is due for refresh straight away
+  const auth = newAuth(fake, { installationId, refreshBeforeExpiry: 1e10 });
+  const target = { owner, repo };
+  const first = await auth.getToken(target);
+
+  const tokens = await Promise.all(
+    Array.from({ length: 10 }, () => auth.getToken(target))
+  );
+
+  assert.equal(new Set(tokens).size, 1);
+  assert.notEqual(tokens[0], first);
+  assert.equal(
+    fake.requests.filter(x => x.path.endsWith("/access_tokens")).length,
+    2
+  );
+});
+
+test("a revoked token is replaced and the request retried", async () => {
+  const fake = setupApp();
+  const auth = newAuth(fake);
+  const tree = newAppTree(fake, auth);
+  tree.syncFile("new.txt", "new");
+  await auth.getToken({ owner, repo });
+  fake.revokeInstallationTokens();
+
+  await tree.treePush();
+
+  assert.equal(fake.readFiles(owner, repo, "main")["new.txt"], "new");
+});
+
+test("tokens are requested with the tree's agent and headers", async () => {
+  const fake = setupApp();
+  const agent = { name: "proxy agent" };
+  /** @type {*[]} */
+  const appRequests = [];
+  const tree = new GitHubTreePush(null, {
+    owner,
+    repo,
+    base: "main",
+    fetch: (/** @type {string} */ url, /** @type {*} */ init) => {
+      if (/\/installation$|\/access_tokens$/.test(url)) {
+        appRequests.push({ agent: init.agent, headers: init.headers });
+      }
+      return fake.fetch(url, init);
+    },
+    agent,
+    headers: { "X-Proxy-Key": "proxy" },
+    auth: new GitHubAppAuth({ appId, privateKey }),
+    logLevel: "silent",
+    mutatingRequestSpacing: 0
+  });
+  tree.syncFile("new.txt", "new");
+
+  await tree.treePush();
+
+  assert.equal(appRequests.length, 2);
+  appRequests.forEach(x => {
+    assert.equal(x.agent, agent);
+    assert.equal(x.headers["X-Proxy-Key"], "proxy");
+    assert.match(x.headers.Authorization, /^Bearer [\w-]+\.[\w-]+\.[\w-]+$/);
+  });
+});
+
+test("an Authorization header in lfs.headers is kept", async () => {
+  const fake = setupApp();
+  const auth = newAuth(fake);
+  /** @type {string[]} */
+  const batchAuthorization = [];
+  const tree = new GitHubTreePush(null, {
+    owner,
+    repo,
+    base: "main",
+    fetch: async (/** @type {string} */ url, /** @type {*} */ init) => {
+      if (url.endsWith("/objects/batch")) {
+        batchAuthorization.push(init.headers.Authorization);
+        //The fake LFS server only accepts app tokens
+        const token = await auth.getToken({ owner, repo });
+        return fake.fetch(url, {
+          ...init,
+          headers: { ...init.headers, Authorization: `Bearer ${token}` }
+        });
+      }
+      return fake.fetch(url, init);
+    },
+    auth,
+    lfs: {
+      include: ["*.bin"],
+      headers: { Authorization: "Basic bGZzOnNlY3JldA==" }
+    },
+    logLevel: "silent",
+    mutatingRequestSpacing: 0
+  });
+  tree.syncFile("data.bin", crypto.randomBytes(100));
+
+  await tree.treePush();
+
+  assert.deepEqual(batchAuthorization, ["Basic bGZzOnNlY3JldA=="]);
+});
+
+test("apps that aren't installed on the repo are rejected", async () => {
+  const fake = setupApp();
+  fake.createRepo(owner, "other-repo");
+  const auth = newAuth(fake);
+
+  await assert.rejects(
+    auth.getToken({ owner, repo: "other-repo" }),
+    /GitHub App auth failed - 404/
+  );
+});
+
+test("JWTs signed with the wrong key are rejected", async () => {
+  const fake = setupApp();
+  const wrongKey = crypto
+    .generateKeyPairSync("rsa", { modulusLength: 2048 })
+    .privateKey.export({ type: "pkcs8", format: "pem" })
+    .toString();
+  const auth = newAuth(fake, { privateKey: wrongKey });
+
+  await assert.rejects(
+    auth.getToken({ owner, repo }),
+    /GitHub App auth failed - 401/
+  );
+});
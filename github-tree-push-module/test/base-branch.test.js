@@ -0,0 +1,160 @@
+//@ts-check
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { owner, repo, setup, newTree } = require("./helpers");
+
+/**
+ * Returns the commit json a branch points to
+ *
+ * @param {*} fake FakeGitHub
+ * @param {string} branch
+ */
+const branchCommit = (fake, branch) => {
+  const repository = fake.repo(owner, repo);
+  return repository.commitJson(repository.branches.get(branch));
+};
+
+test("a missing base branch is created from base_create_from", async () => {
+  const fake = setup();
+  const tree = newTree(fake, { base: "release", base_create_from: "main" });
+  tree.syncFile("new.txt", "new");
+
+  await tree.treePush();
+
+  assert.deepEqual(fake.readFiles(owner, repo, "release"), {
+    "README.md": "readme",
+    "content/keep.txt": "keep",
+    "content/old.txt": "old",
+    "content/new.txt": "new"
+  });
+  assert.deepEqual(
+    branchCommit(fake, "release").parents.map((/** @type {*} */ x) => x.sha),
+    [fake.repo(owner, repo).branches.get("main")]
+  );
+});
+
+test("a missing base branch is created even with no changes", async () => {
+  const fake = setup();
+  const tree = newTree(fake, { base: "release", base_create_from: "main" });
+  tree.syncFile("keep.txt", "keep");
+
+  const stats = await tree.treePush();
+
+  const repository = fake.repo(owner, repo);
+  assert.equal(stats.Commit_URL, undefined);
+  assert.equal(
+    repository.branches.get("release"),
+    repository.branches.get("main")
+  );
+});
+
+test("a missing base branch without base_create_from throws", async () => {
+  const fake = setup();
+  const repository = fake.repo(owner, repo);
+  repository.branches.set(
+    "release/v1",
+    /** @type {string} */ (repository.branches.get("main"))
+  );
+  const tree = newTree(fake, { base: "release" });
+  tree.syncFile("new.txt", "new");
+
+  await assert.rejects(
+    tree.treePush(),
+    /404 - Branch release not found - use base_create_from or orphan to create it/
+  );
+});
+
+test("dry runs read the base_create_from tree without creating the branch", async () => {
+  const fake = setup();
+  const tree = newTree(fake, {
+    base: "release",
+    base_create_from: "main",
+    removeOtherFiles: true
+  });
+  tree.syncFile("keep.txt", "keep");
+
+  const paths = await tree.treePushDryRun();
+
+  assert.deepEqual(paths, ["content/old.txt"]);
+  assert.equal(fake.repo(owner, repo).branches.has("release"), false);
+});
+
+test("pull requests go into a newly created base branch", async () => {
+  const fake = setup();
+  const tree = newTree(fake, {
+    base: "release",
+    base_create_from: "main",
+    pull_request: true
+  });
+  tree.syncFile("new.txt", "new");
+
+  await tree.treePush();
+
+  const repository = fake.repo(owner, repo);
+  assert.equal(
+    repository.branches.get("release"),
+    repository.branches.get("main")
+  );
+  assert.equal(repository.pulls[0].base.ref, "release");
+});
+
+test("orphan mode creates a branch with a single commit", async () => {
+  const fake = setup();
+  const tree = newTree(fake, {
+    base: "gh-pages",
+    path: undefined,
+    orphan: true
+  });
+  tree.syncFile("index.html", "<h1>Site</h1>");
+
+  await tree.treePush();
+
+  assert.deepEqual(fake.readFiles(owner, repo, "gh-pages"), {
+    "index.html": "<h1>Site</h1>"
+  });
+  assert.deepEqual(branchCommit(fake, "gh-pages").parents, []);
+});
+
+test("orphan mode replaces the history of an existing branch", async () => {
+  const fake = setup();
+  const first = newTree(fake, { orphan: true, removeOtherFiles: true });
+  first.syncFile("new.txt", "one");
+  await first.treePush();
+  const firstSha = fake.repo(owner, repo).branches.get("main");
+
+  const second = newTree(fake, { orphan: true, removeOtherFiles: true });
+  second.syncFile("new.txt", "two");
+  await second.treePush();
+
+  const commit = branchCommit(fake, "main");
+  assert.notEqual(commit.sha, firstSha);
+  assert.deepEqual(commit.parents, []);
+  assert.deepEqual(fake.readFiles(owner, repo, "main"), {
+    "README.md": "readme",
+    "content/new.txt": "two"
+  });
+});
+
+test("orphan mode makes no commit when nothing changed", async () => {
+  const fake = setup();
+  const before = fake.repo(owner, repo).branches.get("main");
+  const tree = newTree(fake, { orphan: true });
+  tree.syncFile("keep.txt", "keep");
+
+  const stats = await tree.treePush();
+
+  assert.equal(stats.Commit_URL, undefined);
+  assert.equal(fake.repo(owner, repo).branches.get("main"), before);
+});
+
+test("conflicting base branch options are rejected", () => {
+  const fake = setup();
+  assert.throws(
+    () => newTree(fake, { orphan: true, base_create_from: "main" }),
+    /Use either base_create_from or orphan, not both/
+  );
+  assert.throws(
+    () => newTree(fake, { orphan: true, pull_request: true }),
+    /orphan can't be used with pull_request/
+  );
+});
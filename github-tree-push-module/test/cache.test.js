@@ -0,0 +1,236 @@
+//@ts-check
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { FileCacheStore } = require("../index");
+const { owner, repo, setup, newTree } = require("./helpers");
+
+/**
+ * Runs a test with a temporary folder
+ *
+ * @param {function(string):Promise<void>} fn
+ */
+const withFolder = async fn => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tree-push-cache-"));
+  try {
+    await fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Returns the requests made since a point, that match a method and path
+ *
+ * @param {*} fake FakeGitHub
+ * @param {number} since
+ * @param {string} method
+ * @param {RegExp} pathPattern
+ */
+const requestsSince = (fake, since, method, pathPattern) =>
+  fake.requests
+    .slice(since)
+    .filter(
+      (/** @type {*} */ x) => x.method === method && pathPattern.test(x.path)
+    );
+
+test("trees for an unchanged base are read from the cache", () =>
+  withFolder(async dir => {
+    const fake = setup();
+
+    /**
+     * Pushes the same file with the cache
+     */
+    const push = () => {
+      const tree = newTree(fake, { cache: dir });
+      tree.syncFile("keep.txt", "keep");
+      return tree.treePush();
+    };
+
+    const first = await push();
+    assert.equal(first.Trees_From_Cache, undefined);
+
+    let since = fake.requests.length;
+    const second = await push();
+    assert.equal(second.Trees_From_Cache, 1);
+    assert.deepEqual(requestsSince(fake, since, "GET", /\/git\/trees\//), []);
+    assert.deepEqual(requestsSince(fake, since, "GET", /\/contents\//), []);
+
+    //Someone else moves the branch, so the tree is read again
+    const other = newTree(fake);
+    other.syncFile("other.txt", "other");
+    await other.treePush();
+
+    since = fake.requests.length;
+    const third = await push();
+    assert.equal(third.Trees_From_Cache, undefined);
+    assert.equal(requestsSince(fake, since, "GET", /\/git\/trees\//).length, 1);
+  }));
+
+test("a folder that didn't change is reused when other folders change", () =>
+  withFolder(async dir => {
+    const fake = setup({ "docs/a.txt": "a" });
+
+    const first = newTree(fake, { cache: dir });
+    await first.treePush();
+
+    //Only docs changes, so content still has the same tree
+    const other = newTree(fake, { path: "docs" });
+    other.syncFile("b.txt", "b");
+    await other.treePush();
+
+    const since = fake.requests.length;
+    const second = newTree(fake, { cache: dir });
+    second.syncFile("keep.txt", "keep");
+    const stats = await second.treePush();
+
+    assert.equal(stats.Trees_From_Cache, 1);
+    assert.deepEqual(requestsSince(fake, since, "GET", /\/git\/trees\//), []);
+  }));
+
+test("blobs pushed earlier aren't checked again while the branch is at the pushed commit", () =>
+  withFolder(async dir => {
+    const fake = setup();
+    const image = crypto.randomBytes(1000);
+    const other = crypto.randomBytes(1000);
+
+    /**
+     * Pushes image.png with the cache
+     *
+     * @param {Buffer} content
+     */
+    const push = content => {
+      const tree = newTree(fake, { cache: dir });
+      tree.syncFile("image.png", content);
+      return tree.treePush();
+    };
+
+    await push(image);
+    await push(other);
+
+    //image.png is no longer in the tree, but is known from the cache
+    let since = fake.requests.length;
+    let stats = await push(image);
+    assert.equal(stats.Blobs_Uploaded, undefined);
+    assert.deepEqual(requestsSince(fake, since, "HEAD", /\/git\/blobs\//), []);
+    assert.equal(
+      fake.readFiles(owner, repo, "main", "content")["image.png"],
+      image.toString("utf8")
+    );
+
+    //After someone else's commit, the list isn't trusted
+    const someoneElse = newTree(fake);
+    someoneElse.syncFile("other.txt", "other");
+    await someoneElse.treePush();
+
+    since = fake.requests.length;
+    stats = await push(other);
+    assert.equal(stats.Blobs_Uploaded, undefined);
+    assert.equal(
+      requestsSince(fake, since, "HEAD", /\/git\/blobs\//).length,
+      1
+    );
+  }));
+
+test("only the latest commit's blob list is kept", async () => {
+  const fake = setup();
+  /** @type {Map<string,*>} */
+  const values = new Map();
+  const store = {
+    get: async (/** @type {string} */ key) => values.get(key),
+    set: async (/** @type {string} */ key, /** @type {*} */ value) => {
+      values.set(key, JSON.parse(JSON.stringify(value)));
+    }
+  };
+
+  for (let i = 0; i < 3; i++) {
+    const tree = newTree(fake, { cache: store });
+    tree.syncFile("image.png", crypto.randomBytes(1000));
+    await tree.treePush();
+  }
+
+  const blobKeys = [...values.keys()].filter(x => x.includes(":blobs:"));
+  assert.deepEqual(blobKeys, [
+    `https://api.github.com/repos/${owner}/${repo}:blobs:main`
+  ]);
+  const { commit, shas } = values.get(blobKeys[0]);
+  assert.equal(commit, fake.repo(owner, repo).branches.get("main"));
+  //The parent's files (with the previous image) and the new image, not every image pushed before
+  assert.equal(shas.length, 4);
+});
+
+test("any store can be used, and store errors don't stop the push", async () => {
+  const fake = setup();
+  /** @type {Map<string,*>} */
+  const values = new Map();
+  const store = {
+    get: async (/** @type {string} */ key) => values.get(key),
+    set: async (/** @type {string} */ key, /** @type {*} */ value) => {
+      values.set(key, JSON.parse(JSON.stringify(value)));
+    }
+  };
+
+  const first = newTree(fake, { cache: store });
+  first.syncFile("new.txt", "new");
+  await first.treePush();
+
+  assert.ok(
+    [...values.keys()].every(x =>
+      x.startsWith(`https://api.github.com/repos/${owner}/${repo}:`)
+    )
+  );
+  assert.ok([...values.keys()].some(x => x.includes(":blobs:")));
+
+  /** @type {string[]} */
+  const warnings = [];
+  const broken = newTree(fake, {
+    cache: {
+      get: async () => {
+        throw new Error("Connection refused");
+      },
+      set: async () => {
+        throw new Error("Connection refused");
+      }
+    },
+    logLevel: "warn",
+    logger: { warn: (/** @type {string} */ x) => warnings.push(x) }
+  });
+  broken.syncFile("new.txt", "changed");
+  await broken.treePush();
+
+  assert.equal(
+    fake.readFiles(owner, repo, "main", "content")["new.txt"],
+    "changed"
+  );
+  assert.ok(
+    warnings.some(x => /^Cache read failed - .* - Connection refused$/.test(x))
+  );
+  assert.ok(
+    warnings.some(x => /^Cache write failed - .* - Connection refused$/.test(x))
+  );
+});
+
+test("FileCacheStore", () =>
+  withFolder(async dir => {
+    const store = new FileCacheStore(path.join(dir, "new-folder"));
+
+    assert.equal(await store.get("a"), undefined);
+    await store.set("a", { rows: [1, 2] });
+    assert.deepEqual(await store.get("a"), { rows: [1, 2] });
+    await store.delete("a");
+    assert.equal(await store.get("a"), undefined);
+
+    //Damaged files are misses
+    await store.set("b", "b");
+    const [file] = fs.readdirSync(path.join(dir, "new-folder"));
+    fs.writeFileSync(path.join(dir, "new-folder", file), "{");
+    assert.equal(await store.get("b"), undefined);
+
+    assert.throws(
+      () => new FileCacheStore(""),
+      /FileCacheStore requires a folder/
+    );
+  }));
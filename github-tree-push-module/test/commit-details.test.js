@@ -0,0 +1,106 @@
+//@ts-check
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { owner, repo, setup, newTree } = require("./helpers");
+
+/**
+ * Returns the commit json a branch points to
+ *
+ * @param {*} fake FakeGitHub
+ * @param {string} branch
+ */
+const branchCommit = (fake, branch) => {
+  const repository = fake.repo(owner, repo);
+  return repository.commitJson(repository.branches.get(branch));
+};
+
+const commitOptions = {
+  commit_message: "Publish page",
+  commit_author: {
+    name: "Content Editor",
+    email: "editor@example.com",
+    date: "2024-01-02T03:04:05Z"
+  },
+  commit_committer: {
+    name: "Publisher Bot",
+    email: "bot@example.com",
+    date: new Date("2024-01-02T03:05:00Z")
+  },
+  commit_trailers: [
+    { key: "Co-authored-by", value: "Reviewer <reviewer@example.com>" },
+    { key: "Publish-Id", value: "1234" }
+  ]
+};
+
+test("commits use the author, committer and trailers", async () => {
+  const fake = setup();
+  const tree = newTree(fake, commitOptions);
+  tree.syncFile("new.txt", "new");
+
+  await tree.treePush();
+
+  const commit = branchCommit(fake, "main");
+  assert.deepEqual(commit.author, {
+    name: "Content Editor",
+    email: "editor@example.com",
+    date: "2024-01-02T03:04:05Z"
+  });
+  assert.deepEqual(commit.committer, {
+    name: "Publisher Bot",
+    email: "bot@example.com",
+    date: "2024-01-02T03:05:00Z"
+  });
+  assert.equal(
+    commit.message,
+    "Publish page\n\nCo-authored-by: Reviewer <reviewer@example.com>\nPublish-Id: 1234"
+  );
+});
+
+test("pull request commits use the same details", async () => {
+  const fake = setup();
+  const tree = newTree(fake, { ...commitOptions, pull_request: true });
+  tree.syncFile("new.txt", "new");
+
+  await tree.treePush();
+
+  const [pull] = fake.repo(owner, repo).pulls;
+  const commit = branchCommit(fake, pull.head.ref);
+  assert.equal(commit.author.email, "editor@example.com");
+  assert.equal(commit.committer.email, "bot@example.com");
+  assert.match(commit.message, /\n\nCo-authored-by: Reviewer/);
+});
+
+test("the committer defaults to the author", async () => {
+  const fake = setup();
+  const tree = newTree(fake, {
+    commit_author: { name: "Content Editor", email: "editor@example.com" }
+  });
+  tree.syncFile("new.txt", "new");
+
+  await tree.treePush();
+
+  const commit = branchCommit(fake, "main");
+  assert.equal(commit.author.email, "editor@example.com");
+  assert.equal(commit.committer.email, "editor@example.com");
+  assert.equal(commit.message, "");
+});
+
+test("invalid commit details are rejected when the tree is created", () => {
+  const fake = setup();
+  assert.throws(
+    () => newTree(fake, { commit_author: { name: "No Email" } }),
+    /commit_author needs a name and email/
+  );
+  assert.throws(
+    () =>
+      newTree(fake, {
+        commit_committer: { name: "a", email: "b", date: "not a date" }
+      }),
+    /commit_committer has an invalid date/
+  );
+  assert.throws(
+    () =>
+      newTree(fake, { commit_trailers: [{ key: "Bad Key", value: "value" }] }),
+    /Invalid commit trailer - Bad Key/
+  );
+});
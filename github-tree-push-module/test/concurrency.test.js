@@ -0,0 +1,126 @@
+//@ts-check
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { owner, repo, setup, newTree } = require("./helpers");
+
+/**
+ * Returns a fetch that runs `beforeUpdate` before each base branch update reaches the fake
+ *
+ * @param {*} fake FakeGitHub
+ * @param {function(number):void} beforeUpdate called with the update count
+ */
+const fetchWithRace = (fake, beforeUpdate) => {
+  let updates = 0;
+  /**
+   * @param {string} url
+   * @param {*} init
+   */
+  return (url, init) => {
+    if (init?.method === "PATCH" && url.endsWith("/git/refs/heads/main")) {
+      beforeUpdate(++updates);
+    }
+    return fake.fetch(url, init);
+  };
+};
+
+test("re-applies changes when the base branch moves", async () => {
+  const fake = setup();
+  const tree = newTree(fake, {
+    fetch: fetchWithRace(fake, count => {
+      if (count === 1) {
+        fake.commitFiles(owner, repo, "main", {
+          "content/other.txt": "someone else"
+        });
+      }
+    })
+  });
+  tree.syncFile("new.txt", "new");
+
+  const stats = await tree.treePush();
+
+  assert.deepEqual(fake.readFiles(owner, repo, "main", "content"), {
+    "keep.txt": "keep",
+    "old.txt": "old",
+    "new.txt": "new",
+    "other.txt": "someone else"
+  });
+  assert.equal(stats.Base_Moved_Retries, 1);
+});
+
+test("removeOtherFiles is re-applied to the moved tree", async () => {
+  const fake = setup();
+  const tree = newTree(fake, {
+    removeOtherFiles: true,
+    fetch: fetchWithRace(fake, count => {
+      if (count === 1) {
+        fake.commitFiles(owner, repo, "main", {
+          "content/other.txt": "someone else"
+        });
+      }
+    })
+  });
+  tree.syncFile("keep.txt", "keep");
+
+  await tree.treePush();
+
+  assert.deepEqual(fake.readFiles(owner, repo, "main", "content"), {
+    "keep.txt": "keep"
+  });
+});
+
+test("same change made remotely is not a conflict", async () => {
+  const fake = setup();
+  const tree = newTree(fake, {
+    fetch: fetchWithRace(fake, count => {
+      if (count === 1) {
+        fake.commitFiles(owner, repo, "main", { "content/new.txt": "new" });
+      }
+    })
+  });
+  tree.syncFile("new.txt", "new");
+
+  const stats = await tree.treePush();
+
+  assert.equal(stats.Base_Moved_Retries, 1);
+  assert.equal(
+    fake.readFiles(owner, repo, "main", "content")["new.txt"],
+    "new"
+  );
+});
+
+test("conflicting remote change throws", async () => {
+  const fake = setup();
+  const tree = newTree(fake, {
+    fetch: fetchWithRace(fake, () => {
+      fake.commitFiles(owner, repo, "main", { "content/old.txt": "theirs" });
+    })
+  });
+  tree.syncFile("old.txt", "ours");
+
+  await assert.rejects(
+    tree.treePush(),
+    /Conflict - changed on main during the push - content\/old.txt/
+  );
+  assert.equal(
+    fake.readFiles(owner, repo, "main", "content")["old.txt"],
+    "theirs"
+  );
+});
+
+test("gives up when the base keeps moving", async () => {
+  const fake = setup();
+  const tree = newTree(fake, {
+    conflictRetries: 2,
+    fetch: fetchWithRace(fake, count => {
+      fake.commitFiles(owner, repo, "main", {
+        [`content/other${count}.txt`]: "someone else"
+      });
+    })
+  });
+  tree.syncFile("new.txt", "new");
+
+  await assert.rejects(
+    tree.treePush(),
+    /main kept changing during the push.+Gave up after 3 attempts/
+  );
+});
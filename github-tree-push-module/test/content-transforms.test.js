@@ -0,0 +1,140 @@
+//@ts-check
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { contentTransforms } = require("../index");
+const { owner, repo, setup, newTree } = require("./helpers");
+
+const { lineEndings, trailingNewline, stripBom, sortedJson } =
+  contentTransforms;
+
+test("formatting-only differences don't make a commit", async () => {
+  const fake = setup({
+    "content/data.json": '{\n  "a": 1,\n  "b": 2\n}\n',
+    "content/notes.txt": "notes\n"
+  });
+  const before = fake.repo(owner, repo).branches.get("main");
+  const tree = newTree(fake);
+  tree.addTransform("**/*.json", sortedJson());
+  tree.addTransform("**", trailingNewline());
+  tree.addTransform("*.txt", stripBom());
+  tree.addTransform("*.txt", lineEndings());
+  tree.syncFile("data.json", { b: 2, a: 1 });
+  tree.syncFile("notes.txt", Buffer.from("\uFEFFnotes\r\n\r\n"));
+
+  const stats = await tree.treePush();
+
+  assert.equal(stats.Commit_URL, undefined);
+  assert.equal(fake.repo(owner, repo).branches.get("main"), before);
+});
+
+test("transforms run in the order they were added", async () => {
+  const fake = setup();
+  const tree = newTree(fake);
+  tree.addTransform("**", content => `${content}1`);
+  tree.syncFile("early.txt", "early");
+  tree.addTransform("**", content => `${content}2`);
+  tree.syncFile("late.txt", "late");
+
+  await tree.treePush();
+
+  const files = fake.readFiles(owner, repo, "main", "content");
+  assert.equal(files["early.txt"], "early1");
+  assert.equal(files["late.txt"], "late12");
+});
+
+test("built-in transforms", () => {
+  assert.equal(lineEndings()("a\r\nb\rc\n", "x"), "a\nb\nc\n");
+  assert.equal(lineEndings("\r\n")("a\nb\r\n", "x"), "a\r\nb\r\n");
+  assert.equal(trailingNewline()("a\n\n\n", "x"), "a\n");
+  assert.equal(trailingNewline()("a\r\nb", "x"), "a\r\nb\r\n");
+  assert.equal(trailingNewline("remove")("a\r\n\n", "x"), "a");
+  assert.equal(trailingNewline()("", "x"), "");
+  assert.equal(stripBom()("\uFEFFa", "x"), "a");
+  assert.deepEqual(stripBom()(Buffer.from("\uFEFFa"), "x"), Buffer.from("a"));
+  assert.equal(
+    sortedJson(0)('{"b":[{"d":1,"c":2}],"a":null}', "x"),
+    '{"a":null,"b":[{"c":2,"d":1}]}'
+  );
+  assert.equal(
+    sortedJson(0)(
+      {
+        updated: new Date("2026-01-02T03:04:05.000Z"),
+        nested: { toJSON: () => ({ z: 1, y: 2 }) }
+      },
+      "x"
+    ),
+    '{"nested":{"y":2,"z":1},"updated":"2026-01-02T03:04:05.000Z"}'
+  );
+  assert.throws(() => sortedJson()("{", "bad.json"), /Invalid JSON - bad.json/);
+  assert.throws(
+    () => trailingNewline("keep"),
+    /Invalid trailingNewline policy/
+  );
+
+  //objects are serialized before text transforms
+  assert.equal(trailingNewline()({ a: 1 }, "x"), '{\n  "a": 1\n}\n');
+
+  //binary content is left alone
+  const binary = Buffer.from([0, 13, 10]);
+  assert.equal(lineEndings()(binary, "x"), binary);
+});
+
+test("custom serializers get the content and path", async () => {
+  const fake = setup();
+  const tree = newTree(fake);
+  /** @type {string[]} */
+  const paths = [];
+  tree.addTransform(["**/*.yaml", "**/*.yml"], (content, filePath) => {
+    paths.push(filePath);
+    return Object.entries(content)
+      .map(([key, value]) => `${key}: ${value}\n`)
+      .join("");
+  });
+  tree.syncFile("site.yaml", { title: "Site", lang: "en" });
+  tree.syncFile("nested/.config.yml", { debug: false });
+  tree.syncFile("site.json", { title: "Site" });
+
+  await tree.treePush();
+
+  assert.deepEqual(paths, ["site.yaml", "nested/.config.yml"]);
+  const files = fake.readFiles(owner, repo, "main", "content");
+  assert.equal(files["site.yaml"], "title: Site\nlang: en\n");
+  assert.equal(files["nested/.config.yml"], "debug: false\n");
+  assert.equal(files["site.json"], '{\n  "title": "Site"\n}');
+});
+
+test("matching files from syncDirectory are transformed", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tree-push-transforms-"));
+  try {
+    fs.writeFileSync(path.join(dir, "page.html"), "<p>\r\nHi\r\n</p>");
+    fs.writeFileSync(path.join(dir, "raw.txt"), "raw\r\n");
+
+    const fake = setup();
+    const tree = newTree(fake);
+    tree.addTransform("site/*.html", lineEndings());
+    await tree.syncDirectory(dir, "site");
+    await tree.treePush();
+
+    const files = fake.readFiles(owner, repo, "main", "content/site");
+    assert.equal(files["page.html"], "<p>\nHi\n</p>");
+    assert.equal(files["raw.txt"], "raw\r\n");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("transforms must return content", () => {
+  const tree = newTree(setup());
+  assert.throws(
+    () => tree.addTransform("**", /** @type {*} */ ("x")),
+    /transform must be a function/
+  );
+  tree.addTransform("**", () => undefined);
+  assert.throws(
+    () => tree.syncFile("a.txt", "a"),
+    /Transform returned no content - a.txt/
+  );
+});
@@ -0,0 +1,284 @@
+//@ts-check
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { owner, repo, setup, newTree } = require("./helpers");
+
+/**
+ * Runs a test with a temporary folder
+ *
+ * @param {function(string):Promise<void>} fn
+ */
+const withFolder = async fn => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tree-push-downloads-"));
+  try {
+    await fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+test("download headers and checks", async () => {
+  const fake = setup();
+  const image = crypto.randomBytes(1000);
+  const sha256 = crypto.createHash("sha256").update(image).digest("hex");
+  fake.serveUrl("https://example.com/image.png", image, {
+    headers: { "content-type": "image/png" }
+  });
+
+  /** @type {*[]} */
+  const sentHeaders = [];
+  const tree = newTree(fake, {
+    downloadOptions: { headers: { Authorization: "Bearer download-token" } },
+    fetch: (/** @type {string} */ url, /** @type {*} */ init) => {
+      if (url.startsWith("https://example.com")) {
+        sentHeaders.push(init.headers);
+      }
+      return fake.fetch(url, init);
+    }
+  });
+  tree.syncDownload("image.png", "https://example.com/image.png", {
+    headers: { "X-Client": "test" },
+    contentType: ["image/"],
+    maxBytes: 1000,
+    sha256
+  });
+  await tree.treePush();
+
+  assert.deepEqual(sentHeaders, [
+    { Authorization: "Bearer download-token", "X-Client": "test" }
+  ]);
+  assert.equal(
+    fake.readFiles(owner, repo, "main", "content")["image.png"],
+    image.toString("utf8")
+  );
+
+  /**
+   * Pushes the download with some options, and returns the error
+   *
+   * @param {*} options
+   */
+  const failure = async options => {
+    const failing = newTree(fake);
+    failing.syncDownload("image.png", "https://example.com/image.png", options);
+    return failing.treePush().then(
+      () => undefined,
+      error => error.message
+    );
+  };
+
+  assert.match(
+    await failure({ contentType: "text/" }),
+    /Unexpected content type "image\/png" - https:\/\/example.com\/image.png/
+  );
+  assert.match(
+    await failure({ maxBytes: 999 }),
+    /Download is larger than 999 bytes/
+  );
+  assert.match(
+    await failure({ sha256: "0".repeat(64) }),
+    new RegExp(`Download sha256 mismatch \\(expected 0{64}, got ${sha256}\\)`)
+  );
+});
+
+test("downloads run with limited concurrency", async () => {
+  const fake = setup();
+  let running = 0;
+  let mostRunning = 0;
+  const tree = newTree(fake, {
+    downloadConcurrency: 2,
+    fetch: async (/** @type {string} */ url, /** @type {*} */ init) => {
+      if (!url.startsWith("https://example.com")) {
+        return fake.fetch(url, init);
+      }
+      running++;
+      mostRunning = Math.max(mostRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      running--;
+      return fake.fetch(url, init);
+    }
+  });
+  for (let i = 0; i < 5; i++) {
+    fake.serveUrl(`https://example.com/${i}.txt`, `file ${i}`);
+    tree.syncDownload(`${i}.txt`, `https://example.com/${i}.txt`);
+  }
+
+  await tree.treePush();
+
+  assert.equal(mostRunning, 2);
+  assert.equal(
+    fake.readFiles(owner, repo, "main", "content")["4.txt"],
+    "file 4"
+  );
+});
+
+test("unchanged downloads are reused from the cache folder", () =>
+  withFolder(async dir => {
+    const fake = setup();
+    fake.serveUrl("https://example.com/a.txt", "a", {
+      headers: { etag: '"v1"' }
+    });
+    fake.serveUrl("https://example.com/b.txt", "b", {
+      headers: { "last-modified": "Wed, 21 Oct 2026 07:28:00 GMT" }
+    });
+
+    /**
+     * Pushes both downloads with the cache folder
+     */
+    const push = () => {
+      const tree = newTree(fake, { downloadCacheFolder: dir });
+      tree.syncDownload("a.txt", "https://example.com/a.txt");
+      tree.syncDownload("b.txt", "https://example.com/b.txt");
+      return tree.treePush();
+    };
+
+    const first = await push();
+    assert.equal(first.Downloads_Not_Modified, undefined);
+
+    const second = await push();
+    assert.equal(second.Downloads_Not_Modified, 2);
+    assert.equal(second.Commit_URL, undefined);
+
+    //Changed content is downloaded again
+    fake.serveUrl("https://example.com/a.txt", "a2", {
+      headers: { etag: '"v2"' }
+    });
+    const third = await push();
+    assert.equal(third.Downloads_Not_Modified, 1);
+    assert.deepEqual(
+      {
+        a: fake.readFiles(owner, repo, "main", "content")["a.txt"],
+        b: fake.readFiles(owner, repo, "main", "content")["b.txt"]
+      },
+      { a: "a2", b: "b" }
+    );
+  }));
+
+test("the cache folder only keeps downloads that can be reused", () =>
+  withFolder(async dir => {
+    const fake = setup();
+    fake.serveUrl("https://example.com/a.txt", "a", {
+      headers: { etag: '"v1"', "content-type": "text/plain" }
+    });
+    fake.serveUrl("https://example.com/b.txt", "b", {
+      headers: { etag: '"v1"' }
+    });
+
+    /**
+     * Pushes both downloads with the cache folder
+     *
+     * @param {import("../index").TreePushDownloadOptions} [options] for a.txt
+     */
+    const push = options => {
+      const tree = newTree(fake, { downloadCacheFolder: dir });
+      tree.syncDownload("a.txt", "https://example.com/a.txt", options);
+      tree.syncDownload("b.txt", "https://example.com/b.txt");
+      return tree.treePush();
+    };
+
+    await push();
+    assert.equal(fs.readdirSync(dir).length, 4);
+
+    //Without validators, nothing is kept
+    fake.serveUrl("https://example.com/b.txt", "b2");
+    await push();
+    assert.equal(fs.readdirSync(dir).length, 2);
+    assert.equal(fake.readFiles(owner, repo, "main", "content")["b.txt"], "b2");
+
+    //Cached files are checked against the current options
+    await assert.rejects(
+      push({ contentType: "image/png" }),
+      /Unexpected content type "text\/plain"/
+    );
+    await assert.rejects(
+      push({ maxBytes: 0 }),
+      /Download is larger than 0 bytes - https:\/\/example.com\/a.txt/
+    );
+  }));
+
+test("failed downloads can skip the file or keep the repo's copy", async () => {
+  const fake = setup({ "content/a.png": "old a", "content/b.png": "old b" });
+  fake.serveUrl("https://example.com/missing.png", "Not Found", {
+    status: 404
+  });
+  fake.serveUrl("https://example.com/new.txt", "new");
+  const tree = newTree(fake, { removeOtherFiles: true });
+  tree.syncDownload("a.png", "https://example.com/missing.png", {
+    onError: "keep"
+  });
+  //Same URL, so the options from a.png are used
+  tree.syncDownload("b.png", "https://example.com/missing.png");
+  tree.syncDownload("new.txt", "https://example.com/new.txt");
+
+  /** @type {*[]} */
+  const failures = [];
+  tree.on("download-failed", x => failures.push(x));
+  const stats = await tree.treePush();
+
+  assert.deepEqual(fake.readFiles(owner, repo, "main", "content"), {
+    "a.png": "old a",
+    "b.png": "old b",
+    "new.txt": "new"
+  });
+  assert.equal(stats.Downloads_Failed, 1);
+  assert.deepEqual(failures[0].paths, ["a.png", "b.png"]);
+  assert.equal(failures[0].onError, "keep");
+
+  //skip leaves the path out, so removeOtherFiles removes it
+  const skipping = newTree(fake, {
+    removeOtherFiles: true,
+    downloadOptions: { onError: "skip" }
+  });
+  skipping.syncDownload("a.png", "https://example.com/missing.png");
+  skipping.syncDownload("new.txt", "https://example.com/new.txt");
+  await skipping.treePush();
+
+  assert.deepEqual(fake.readFiles(owner, repo, "main", "content"), {
+    "new.txt": "new"
+  });
+
+  //fail (the default) stops the push
+  const failing = newTree(fake);
+  failing.syncDownload("a.png", "https://example.com/missing.png");
+  await assert.rejects(failing.treePush(), /404 - Not Found/);
+});
+
+test("slow downloads time out", async () => {
+  const fake = setup();
+  const tree = newTree(fake, {
+    //Never answers, until the request is aborted
+    fetch: (/** @type {string} */ url, /** @type {*} */ init) =>
+      url.startsWith("https://example.com")
+        ? new Promise((resolve, reject) =>
+            init.signal.addEventListener("abort", () =>
+              reject(new Error("aborted"))
+            )
+          )
+        : fake.fetch(url, init)
+  });
+  tree.syncDownload("slow.txt", "https://example.com/slow.txt", {
+    timeout: 20
+  });
+
+  await assert.rejects(
+    tree.treePush(),
+    /Download timed out after 20ms - https:\/\/example.com\/slow.txt/
+  );
+});
+
+test("invalid onError policies are rejected", () => {
+  assert.throws(
+    () => newTree(setup(), { downloadOptions: { onError: "retry" } }),
+    /Invalid download onError "retry"/
+  );
+  assert.throws(
+    () =>
+      newTree(setup()).syncDownload("a.txt", "https://example.com/a.txt", {
+        onError: "ignore"
+      }),
+    /Invalid download onError "ignore"/
+  );
+});
@@ -0,0 +1,96 @@
+//@ts-check
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { owner, repo, setup, newTree } = require("./helpers");
+
+test("report lists each operation with shas and sizes", async () => {
+  const fake = setup({ "content/move-me.txt": "moving" });
+  const tree = newTree(fake, { removeOtherFiles: true });
+  tree.syncFile("keep.txt", "keep, but changed");
+  tree.syncFile("new.bin", Buffer.from([1, 2, 3]));
+  tree.moveFile("move-me.txt", "moved.txt");
+  tree.copyFile("keep.txt", "keep-copy.txt");
+
+  const report = await tree.treePushDryRunReport();
+
+  const byPath = new Map(report.files.map(x => [x.path, x]));
+  assert.deepEqual([...byPath.keys()].sort(), [
+    "content/keep-copy.txt",
+    "content/keep.txt",
+    "content/moved.txt",
+    "content/new.bin",
+    "content/old.txt"
+  ]);
+
+  const updated = byPath.get("content/keep.txt");
+  assert.equal(updated?.operation, "update");
+  assert.equal(updated?.oldSize, 4);
+  assert.equal(updated?.newSize, 17);
+  assert.notEqual(updated?.oldSha, updated?.newSha);
+
+  assert.equal(byPath.get("content/new.bin")?.operation, "add");
+  assert.equal(byPath.get("content/new.bin")?.oldSha, null);
+  assert.equal(byPath.get("content/new.bin")?.newSize, 3);
+
+  const renamed = byPath.get("content/moved.txt");
+  assert.equal(renamed?.operation, "rename");
+  assert.equal(renamed?.from, "content/move-me.txt");
+  assert.equal(renamed?.newSize, 6);
+
+  assert.equal(byPath.get("content/keep-copy.txt")?.operation, "copy");
+
+  const deleted = byPath.get("content/old.txt");
+  assert.equal(deleted?.operation, "delete");
+  assert.equal(deleted?.newSha, null);
+  assert.equal(deleted?.oldSize, 3);
+
+  assert.equal(report.stats.Name, "treePushDryRunReport - (No commit message)");
+  assert.ok(!fake.requests.some(x => x.method !== "GET"));
+});
+
+test("report includes unified diffs for text files", async () => {
+  const fake = setup({ "content/page.md": "line 1\nline 2\nline 3\n" });
+  const tree = newTree(fake);
+  tree.syncFile("page.md", "line 1\nline two\nline 3\n");
+  tree.syncFile("image.bin", Buffer.from([0, 1, 2]));
+  tree.removeFile("old.txt");
+
+  const { files } = await tree.treePushDryRunReport({ diff: true });
+
+  const byPath = new Map(files.map(x => [x.path, x]));
+  const diff = byPath.get("content/page.md")?.diff || "";
+  assert.match(diff, /--- a\/content\/page.md/);
+  assert.match(diff, /\+\+\+ b\/content\/page.md/);
+  assert.match(diff, /-line 2\n\+line two/);
+  assert.equal(byPath.get("content/image.bin")?.diff, undefined);
+  assert.match(byPath.get("content/old.txt")?.diff || "", /\+\+\+ \/dev\/null/);
+});
+
+test("large files are not diffed", async () => {
+  const fake = setup();
+  const tree = newTree(fake);
+  tree.syncFile("keep.txt", "a much longer file");
+
+  const { files } = await tree.treePushDryRunReport({
+    diff: true,
+    maxDiffBytes: 10
+  });
+
+  assert.equal(files[0].diff, undefined);
+});
+
+test("dry runs include downloads", async () => {
+  const fake = setup();
+  fake.serveUrl("https://example.com/image.png", Buffer.from("png-data"));
+  const tree = newTree(fake);
+  tree.syncDownload("image.png", "https://example.com/image.png");
+
+  assert.deepEqual(await tree.treePushDryRun(), ["content/image.png"]);
+
+  const { files } = await tree.treePushDryRunReport();
+  assert.equal(files[0].newSize, 8);
+  assert.equal(
+    fake.readFiles(owner, repo, "main", "content")["image.png"],
+    undefined
+  );
+});
@@ -0,0 +1,132 @@
+//@ts-check
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { owner, repo, setup, newTree } = require("./helpers");
+
+/**
+ * Returns a logger that records messages by level
+ */
+const recordingLogger = () => {
+  /** @type {string[]} */
+  const lines = [];
+  /** @param {string} level */
+  const write = level => (/** @type {string} */ message) => {
+    lines.push(`${level}: ${message}`);
+  };
+  return {
+    lines,
+    logger: { debug: write("debug"), info: write("info"), warn: write("warn") }
+  };
+};
+
+test("a push emits events in order", async () => {
+  const fake = setup();
+  const tree = newTree(fake);
+  tree.syncFile("new.txt", "new");
+  tree.syncFile("big.bin", Buffer.from("big"));
+
+  /** @type {string[]} */
+  const names = [];
+  for (const eventName of [
+    "tree-read",
+    "blobs-syncing",
+    "blob-uploaded",
+    "tree-part-created",
+    "commit-created",
+    "ref-updated",
+    "no-changes"
+  ]) {
+    tree.on(eventName, () => names.push(eventName));
+  }
+  /** @type {*} */
+  let commit;
+  tree.on("commit-created", data => {
+    commit = data;
+  });
+
+  await tree.treePush();
+
+  assert.deepEqual(names, [
+    "tree-read",
+    "blobs-syncing",
+    "blob-uploaded",
+    "tree-part-created",
+    "commit-created",
+    "ref-updated"
+  ]);
+  assert.equal(commit.html_url, tree.lastRunStats.Commit_URL);
+});
+
+test("pull request events", async () => {
+  const fake = setup();
+  const tree = newTree(fake, {
+    pull_request: true,
+    pull_request_options: { automatic_merge: true }
+  });
+  tree.syncFile("new.txt", "new");
+
+  /** @type {*[]} */
+  const events = [];
+  tree.on("pr-created", data => events.push(["pr-created", data.number]));
+  tree.on("merged", data => events.push(["merged", data.number]));
+
+  await tree.treePush();
+
+  assert.deepEqual(events, [
+    ["pr-created", 1],
+    ["merged", 1]
+  ]);
+});
+
+test("logger receives messages at or above the log level", async () => {
+  const fake = setup();
+  const { lines, logger } = recordingLogger();
+  const tree = newTree(fake, { logger, logLevel: "info" });
+  tree.syncFile("big.bin", Buffer.from("big"));
+
+  await tree.treePush();
+
+  assert.ok(lines.includes("info: Syncing 1 blobs"));
+  assert.ok(lines.some(x => x.startsWith("info: Creating tree - 1/1")));
+  assert.ok(!lines.some(x => x.startsWith("debug:")));
+
+  lines.length = 0;
+  const debugTree = newTree(fake, { logger, logLevel: "debug" });
+  debugTree.syncFile("big2.bin", Buffer.from("big2"));
+  await debugTree.treePush();
+
+  assert.ok(lines.includes("debug: Uploading...big2.bin"));
+});
+
+test("silent log level writes nothing", async () => {
+  const fake = setup();
+  const { lines, logger } = recordingLogger();
+  const tree = newTree(fake, { logger, logLevel: "silent" });
+  tree.syncFile("new.txt", "new");
+
+  await tree.treePush();
+
+  assert.deepEqual(lines, []);
+});
+
+test("levels the logger has no function for are skipped", async () => {
+  const fake = setup();
+  /** @type {string[]} */
+  const lines = [];
+  const logger = { info: (/** @type {string} */ x) => lines.push(x) };
+  const tree = newTree(fake, { logger, logLevel: "debug" });
+  tree.syncFile("new.bin", Buffer.from("new"));
+
+  await tree.treePush();
+
+  assert.ok(lines.includes("Syncing 1 blobs"));
+  assert.equal(
+    fake.readFiles(owner, repo, "main", "content")["new.bin"],
+    "new"
+  );
+});
+
+test("invalid log levels throw", () => {
+  const fake = setup();
+  assert.throws(() => newTree(fake, { logLevel: "loud" }), /Invalid logLevel/);
+});
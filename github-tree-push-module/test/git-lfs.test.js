@@ -0,0 +1,313 @@
+//@ts-check
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Response } = require("node-fetch/lib");
+const { owner, repo, setup, newTree } = require("./helpers");
+
+/**
+ * Returns the pointer file content git-lfs would write for some content
+ *
+ * @param {Buffer | string} content
+ */
+const pointerFor = content => {
+  const buffer = Buffer.from(content);
+  return `version https://git-lfs.github.com/spec/v1\noid sha256:${crypto
+    .createHash("sha256")
+    .update(buffer)
+    .digest("hex")}\nsize ${buffer.length}\n`;
+};
+
+/**
+ * Returns the `.gitattributes` line for an LFS file
+ *
+ * @param {string} pattern
+ */
+const lfsLine = pattern => `${pattern} filter=lfs diff=lfs merge=lfs -text`;
+
+test("matching files are uploaded to LFS and committed as pointers", async () => {
+  const fake = setup();
+  const image = crypto.randomBytes(2000);
+  const tree = newTree(fake, { lfs: { include: "**/*.png" } });
+  tree.syncFile("images/logo.png", image);
+  tree.syncFile("images/my logo[1].png", "text can be in LFS too");
+  tree.syncFile("page.html", "<img src=images/logo.png>");
+
+  /** @type {*[]} */
+  const uploaded = [];
+  tree.on("lfs-object-uploaded", x => uploaded.push(x));
+  const stats = await tree.treePush();
+
+  const files = fake.readFiles(owner, repo, "main", "content");
+  assert.equal(files["images/logo.png"], pointerFor(image));
+  assert.equal(
+    files["images/my logo[1].png"],
+    pointerFor("text can be in LFS too")
+  );
+  assert.equal(files["page.html"], "<img src=images/logo.png>");
+  assert.equal(
+    files[".gitattributes"],
+    [
+      "# Git LFS files (managed by github-tree-push)",
+      lfsLine("/images/logo.png"),
+      lfsLine("/images/my[[:space:]]logo\\[1].png"),
+      "# End of Git LFS files",
+      ""
+    ].join("\n")
+  );
+
+  const oid = crypto.createHash("sha256").update(image).digest("hex");
+  assert.deepEqual(fake.repo(owner, repo).lfsObjects.get(oid), image);
+  assert.equal(stats.LFS_Objects_Uploaded, 2);
+  assert.deepEqual(
+    uploaded.find(x => x.oid === oid),
+    { oid, size: 2000, paths: ["images/logo.png"] }
+  );
+
+  //The batch request went to the repo's LFS server
+  assert.ok(
+    fake.requests.some(
+      x =>
+        x.method === "POST" &&
+        x.path === `/${owner}/${repo}.git/info/lfs/objects/batch`
+    )
+  );
+});
+
+test("unchanged LFS files don't make a commit or an upload", async () => {
+  const fake = setup();
+  const image = crypto.randomBytes(1000);
+
+  const first = newTree(fake, { lfs: { include: "*.png" } });
+  first.syncFile("logo.png", image);
+  await first.treePush();
+  const before = fake.repo(owner, repo).branches.get("main");
+  const requestCount = fake.requests.length;
+
+  const second = newTree(fake, { lfs: { include: "*.png" } });
+  second.syncFile("logo.png", Buffer.from(image));
+  const stats = await second.treePush();
+
+  assert.equal(stats.Commit_URL, undefined);
+  assert.equal(fake.repo(owner, repo).branches.get("main"), before);
+  assert.equal(
+    fake.requests
+      .slice(requestCount)
+      .filter(x => x.path.includes(".git/info/lfs")).length,
+    0
+  );
+});
+
+test("objects already on the LFS server are not uploaded again", async () => {
+  const fake = setup();
+  const image = crypto.randomBytes(1000);
+
+  const first = newTree(fake, { lfs: { include: "**/*.png" } });
+  first.syncFile("logo.png", image);
+  await first.treePush();
+
+  const second = newTree(fake, { lfs: { include: "**/*.png" } });
+  second.syncFile("copy/logo.png", image);
+  /** @type {string[]} */
+  const events = [];
+  second.on("lfs-object-found", () => events.push("found"));
+  second.on("lfs-object-uploaded", () => events.push("uploaded"));
+  const stats = await second.treePush();
+
+  assert.deepEqual(events, ["found"]);
+  assert.equal(stats.LFS_Objects_Uploaded, undefined);
+  assert.equal(
+    fake.readFiles(owner, repo, "main", "content")["copy/logo.png"],
+    pointerFor(image)
+  );
+});
+
+test("large files from syncDirectory go to LFS by size", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tree-push-lfs-"));
+  try {
+    const video = crypto.randomBytes(5000);
+    fs.writeFileSync(path.join(dir, "video.mp4"), video);
+    fs.writeFileSync(path.join(dir, "small.txt"), "small");
+
+    const fake = setup();
+    const tree = newTree(fake, { lfs: { minBytes: 4096 } });
+    await tree.syncDirectory(dir);
+    await tree.treePush();
+
+    const files = fake.readFiles(owner, repo, "main", "content");
+    assert.equal(files["video.mp4"], pointerFor(video));
+    assert.equal(files["small.txt"], "small");
+    assert.equal(fake.repo(owner, repo).lfsObjects.size, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("files on disk are streamed to LFS, and checked as they are sent", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tree-push-lfs-"));
+  try {
+    const video = crypto.randomBytes(5000);
+    const filePath = path.join(dir, "video.mp4");
+    fs.writeFileSync(filePath, video);
+
+    const fake = setup();
+    /** @type {*[]} */
+    const uploads = [];
+    const tree = newTree(fake, {
+      lfs: { include: "*.mp4" },
+      fetch: (/** @type {string} */ url, /** @type {*} */ init) => {
+        if (init?.method === "PUT") {
+          uploads.push(init);
+        }
+        return fake.fetch(url, init);
+      }
+    });
+    await tree.syncFileFromPath("video.mp4", filePath);
+    await tree.treePush();
+
+    assert.equal(uploads.length, 1);
+    assert.ok(!Buffer.isBuffer(uploads[0].body));
+    assert.equal(uploads[0].headers["Content-Length"], "5000");
+    assert.equal(
+      fake.readFiles(owner, repo, "main", "content")["video.mp4"],
+      pointerFor(video)
+    );
+
+    //The file changes after it was hashed
+    const changed = newTree(fake, { lfs: { include: "*.mp4" } });
+    const other = crypto.randomBytes(5000);
+    fs.writeFileSync(filePath, other);
+    await changed.syncFileFromPath("video.mp4", filePath);
+    changed.on("lfs-objects-syncing", () =>
+      fs.writeFileSync(filePath, crypto.randomBytes(5000))
+    );
+
+    await assert.rejects(changed.treePush(), /File changed while pushing/);
+    assert.equal(
+      fake.readFiles(owner, repo, "main", "content")["video.mp4"],
+      pointerFor(video)
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test(".gitattributes keeps other lines and files from earlier pushes", async () => {
+  const fake = setup({ "content/.gitattributes": "*.sh text eol=lf\n" });
+
+  const first = newTree(fake, { lfs: { include: "*.png" } });
+  first.syncFile("a.png", "a");
+  first.syncFile("b.png", "b");
+  await first.treePush();
+
+  const second = newTree(fake, { lfs: { include: "*.png" } });
+  second.syncFile("c.png", "c");
+  second.removeFile("b.png");
+  await second.treePush();
+
+  const files = fake.readFiles(owner, repo, "main", "content");
+  assert.equal(
+    files[".gitattributes"],
+    [
+      "*.sh text eol=lf",
+      "",
+      "# Git LFS files (managed by github-tree-push)",
+      lfsLine("/a.png"),
+      lfsLine("/c.png"),
+      "# End of Git LFS files",
+      ""
+    ].join("\n")
+  );
+
+  //Once there are no LFS files, only the other lines are left
+  const third = newTree(fake, {
+    lfs: { include: "*.png" },
+    removeOtherFiles: true
+  });
+  third.syncFile("keep.txt", "keep");
+  await third.treePush();
+
+  assert.deepEqual(fake.readFiles(owner, repo, "main", "content"), {
+    ".gitattributes": "*.sh text eol=lf\n",
+    "keep.txt": "keep"
+  });
+});
+
+test("each starting path gets its own .gitattributes", async () => {
+  const fake = setup();
+  const tree = newTree(fake, {
+    path: undefined,
+    paths: [{ path: "content" }, { path: "docs" }],
+    lfs: { include: "**/*.png" }
+  });
+  tree.syncFile("content/a.png", "a");
+  tree.syncFile("docs/img/b.png", "b");
+  await tree.treePush();
+
+  const files = fake.readFiles(owner, repo, "main");
+  assert.match(files["content/.gitattributes"], /^\/a\.png filter=lfs/m);
+  assert.match(files["docs/.gitattributes"], /^\/img\/b\.png filter=lfs/m);
+  assert.equal(files[".gitattributes"], undefined);
+});
+
+test("gitattributes:false leaves .gitattributes alone", async () => {
+  const fake = setup();
+  const tree = newTree(fake, {
+    lfs: { include: "*.png", gitattributes: false }
+  });
+  tree.syncFile("a.png", "a");
+  await tree.treePush();
+
+  const files = fake.readFiles(owner, repo, "main", "content");
+  assert.equal(files[".gitattributes"], undefined);
+  assert.equal(files["a.png"], pointerFor("a"));
+});
+
+test("dry runs list the pointer and .gitattributes changes without uploading", async () => {
+  const fake = setup();
+  const tree = newTree(fake, { lfs: { include: "*.png" } });
+  tree.syncFile("a.png", "a");
+
+  const paths = await tree.treePushDryRun();
+
+  assert.deepEqual(paths.sort(), ["content/.gitattributes", "content/a.png"]);
+  assert.equal(fake.repo(owner, repo).lfsObjects.size, 0);
+});
+
+test("LFS object errors stop the push", async () => {
+  const fake = setup();
+  const tree = newTree(fake, {
+    lfs: { include: "*.png" },
+    //The server refuses the object
+    fetch: async (/** @type {string} */ url, /** @type {*} */ init) => {
+      const response = await fake.fetch(url, init);
+      if (!url.endsWith("/objects/batch")) {
+        return response;
+      }
+      const json = await response.json();
+      json.objects[0] = {
+        oid: json.objects[0].oid,
+        size: json.objects[0].size,
+        error: { code: 413, message: "Object too large" }
+      };
+      return new Response(JSON.stringify(json), { status: 200 });
+    }
+  });
+  tree.syncFile("a.png", "a");
+
+  await assert.rejects(
+    tree.treePush(),
+    /LFS upload failed - [0-9a-f]{64} - 413 - Object too large/
+  );
+  assert.equal(fake.repo(owner, repo).lfsObjects.size, 0);
+});
+
+test("lfs options need include or minBytes", () => {
+  assert.throws(
+    () => newTree(setup(), { lfs: {} }),
+    /lfs needs include or minBytes/
+  );
+});
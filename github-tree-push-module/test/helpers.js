@@ -0,0 +1,44 @@
+//@ts-check
+const { GitHubTreePush } = require("../index");
+const { FakeGitHub } = require("../fake-github");
+
+const owner = "fake-owner";
+const repo = "fake-repo";
+
+/**
+ * Creates a fake with a repo and some starting content
+ *
+ * @param {Object<string,string>} [files]
+ */
+const setup = files => {
+  const fake = new FakeGitHub({ token: "test-token" });
+  fake.createRepo(owner, repo, {
+    files: {
+      "README.md": "readme",
+      "content/keep.txt": "keep",
+      "content/old.txt": "old",
+      ...files
+    }
+  });
+  return fake;
+};
+
+/**
+ * Creates a tree that talks to the fake
+ *
+ * @param {FakeGitHub} fake
+ * @param {object} [options]
+ */
+const newTree = (fake, options) =>
+  new GitHubTreePush("test-token", {
+    owner,
+    repo,
+    base: "main",
+    path: "content",
+    fetch: fake.fetch,
+    logLevel: "silent",
+    mutatingRequestSpacing: 0,
+    ...options
+  });
+
+module.exports = { owner, repo, setup, newTree };
@@ -0,0 +1,175 @@
+//@ts-check
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { owner, repo, setup, newTree } = require("./helpers");
+
+/**
+ * Pushes some changes to the content folder and returns the stats
+ *
+ * @param {*} fake FakeGitHub
+ * @param {Object<string,string | null>} files content for each path, or `null` to remove it
+ * @param {string} [message]
+ */
+const publish = (fake, files, message) => {
+  const tree = newTree(fake, { commit_message: message || "Publish" });
+  Object.entries(files).forEach(([path, content]) => {
+    if (content === null) {
+      tree.removeFile(path);
+    } else {
+      tree.syncFile(path, content);
+    }
+  });
+  return tree.treePush();
+};
+
+test("revertCommit undoes a publish by its Commit_URL", async () => {
+  const fake = setup();
+  const bad = await publish(
+    fake,
+    { "keep.txt": "broken", "new.txt": "new", "old.txt": null },
+    "Bad publish\n\nDetails"
+  );
+  await publish(fake, { "other.txt": "other" });
+
+  const tree = newTree(fake);
+  const stats = /** @type {*} */ (
+    await tree.revertCommit(/** @type {string} */ (bad.Commit_URL))
+  );
+
+  assert.deepEqual(fake.readFiles(owner, repo, "main", "content"), {
+    "keep.txt": "keep",
+    "old.txt": "old",
+    "other.txt": "other"
+  });
+  assert.equal(tree.lastRunStats, stats);
+  assert.ok(stats.Commit_URL);
+
+  const repository = fake.repo(owner, repo);
+  const badSha = /** @type {string} */ (bad.Commit_URL).split("/").pop();
+  assert.equal(
+    repository.readCommit(
+      /** @type {string} */ (repository.branches.get("main"))
+    ).message,
+    `Revert "Bad publish"\n\nThis reverts commit ${badSha}.`
+  );
+});
+
+test("revertCommit stops if a reverted file changed since", async () => {
+  const fake = setup();
+  const bad = await publish(fake, { "keep.txt": "broken" });
+  await publish(fake, { "keep.txt": "fixed by hand" });
+  const before = fake.repo(owner, repo).branches.get("main");
+
+  await assert.rejects(
+    newTree(fake).revertCommit(/** @type {string} */ (bad.Commit_URL)),
+    /Conflict - changed since [0-9a-f]{40} - keep.txt/
+  );
+  assert.equal(fake.repo(owner, repo).branches.get("main"), before);
+});
+
+test("restoreToCommit puts the path back the way it was", async () => {
+  const fake = setup();
+  const goodSha = /** @type {string} */ (
+    fake.repo(owner, repo).branches.get("main")
+  );
+  await publish(fake, { "keep.txt": "changed", "new.txt": "new" });
+  await publish(fake, { "old.txt": null, "sub/deep.txt": "deep" });
+  fake.commitFiles(owner, repo, "main", { "README.md": "new readme" });
+
+  const tree = newTree(fake, { removeOtherFiles: false });
+  tree.syncFile("ignored.txt", "files synced to the tree aren't included");
+  await tree.restoreToCommit(goodSha.slice(0, 7));
+
+  assert.deepEqual(fake.readFiles(owner, repo, "main"), {
+    "README.md": "new readme",
+    "content/keep.txt": "keep",
+    "content/old.txt": "old"
+  });
+  const repository = fake.repo(owner, repo);
+  assert.equal(
+    repository.readCommit(
+      /** @type {string} */ (repository.branches.get("main"))
+    ).message,
+    `Restore content to ${goodSha.slice(0, 7)}`
+  );
+});
+
+test("dry runs report the changes without committing", async () => {
+  const fake = setup();
+  const goodSha = /** @type {string} */ (
+    fake.repo(owner, repo).branches.get("main")
+  );
+  const bad = await publish(fake, { "keep.txt": "broken", "new.txt": "new" });
+  const head = fake.repo(owner, repo).branches.get("main");
+
+  const tree = newTree(fake);
+  const revert = /** @type {*} */ (
+    await tree.revertCommit(/** @type {string} */ (bad.Commit_URL), {
+      dryRun: true
+    })
+  );
+  const restore = /** @type {*} */ (
+    await tree.restoreToCommit(goodSha, { dryRun: true })
+  );
+
+  /**
+   * Returns the operation for each path in a report
+   *
+   * @param {*} report
+   */
+  const operations = report =>
+    Object.fromEntries(
+      report.files.map((/** @type {*} */ x) => [x.path, x.operation])
+    );
+  assert.deepEqual(operations(revert), {
+    "content/keep.txt": "update",
+    "content/new.txt": "delete"
+  });
+  assert.deepEqual(operations(restore), operations(revert));
+  assert.equal(fake.repo(owner, repo).branches.get("main"), head);
+});
+
+test("reverts can go through a pull request", async () => {
+  const fake = setup();
+  const bad = await publish(fake, { "keep.txt": "broken" });
+  const head = fake.repo(owner, repo).branches.get("main");
+
+  const stats = /** @type {*} */ (
+    await newTree(fake).revertCommit(/** @type {string} */ (bad.Commit_URL), {
+      pull_request: true,
+      commit_message: "Roll back the bad publish"
+    })
+  );
+
+  const repository = fake.repo(owner, repo);
+  assert.ok(stats.Pull_Request_URL);
+  assert.equal(repository.branches.get("main"), head);
+  assert.equal(repository.pulls.length, 1);
+  assert.equal(
+    fake.readFiles(owner, repo, repository.pulls[0].head.ref, "content")[
+      "keep.txt"
+    ],
+    "keep"
+  );
+});
+
+test("commits must be in the repo and have a parent to revert", async () => {
+  const fake = setup();
+  const tree = newTree(fake);
+  const firstSha = /** @type {string} */ (
+    fake.repo(owner, repo).branches.get("main")
+  );
+
+  await assert.rejects(
+    tree.revertCommit(`https://github.local/someone/else/commit/${firstSha}`),
+    /Commit is not in fake-owner\/fake-repo/
+  );
+  await assert.rejects(
+    tree.revertCommit(firstSha),
+    /Commit [0-9a-f]{40} has no parent to revert to/
+  );
+  await assert.rejects(
+    tree.revertCommit(""),
+    /A commit sha or URL is required/
+  );
+});
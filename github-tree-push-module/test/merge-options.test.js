@@ -0,0 +1,172 @@
+//@ts-check
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { owner, repo, setup, newTree } = require("./helpers");
+
+/**
+ * Creates a tree that opens a pull request and merges it automatically
+ *
+ * @param {*} fake FakeGitHub
+ * @param {object} [pull_request_options]
+ */
+const mergeTree = (fake, pull_request_options) => {
+  const tree = newTree(fake, {
+    pull_request: true,
+    pull_request_options: {
+      automatic_merge: true,
+      ...pull_request_options,
+      merge_wait_options: {
+        poll_interval: 20,
+        .../** @type {*} */ (pull_request_options)?.merge_wait_options
+      }
+    }
+  });
+  tree.syncFile("new.txt", "new");
+  return tree;
+};
+
+test("merge method, title and message are used for the merge", async () => {
+  const fake = setup();
+  const tree = mergeTree(fake, {
+    merge_options: {
+      merge_method: "merge",
+      commit_title: "Publish content",
+      commit_message: "From the CMS"
+    }
+  });
+
+  await tree.treePush();
+
+  const repository = fake.repo(owner, repo);
+  const merge = repository.commitJson(
+    /** @type {string} */ (repository.branches.get("main"))
+  );
+  assert.equal(merge.message, "Publish content\n\nFrom the CMS");
+  assert.equal(merge.parents.length, 2);
+});
+
+test("squash is the default merge method", async () => {
+  const fake = setup();
+  const tree = mergeTree(fake);
+
+  await tree.treePush();
+
+  const repository = fake.repo(owner, repo);
+  const merge = repository.commitJson(
+    /** @type {string} */ (repository.branches.get("main"))
+  );
+  assert.equal(merge.message, "Tree Push Pull Request (#1)");
+  assert.equal(merge.parents.length, 1);
+});
+
+test("waits for pending commit statuses", async () => {
+  const fake = setup();
+  const repository = fake.repo(owner, repo);
+  repository.defaultStatuses = [{ context: "ci/build", state: "pending" }];
+  setTimeout(() => {
+    repository.defaultStatuses = [{ context: "ci/build", state: "success" }];
+  }, 200);
+  const tree = mergeTree(fake);
+
+  /** @type {*[]} */
+  const waits = [];
+  tree.on("merge-waiting", x => waits.push(x));
+  await tree.treePush();
+
+  assert.equal(repository.pulls[0].merged, true);
+  assert.ok(waits.length > 0);
+  assert.equal(waits[0].pending_statuses, 1);
+});
+
+test("a failed commit status stops the merge", async () => {
+  const fake = setup();
+  const repository = fake.repo(owner, repo);
+  repository.defaultStatuses = [
+    { context: "ci/build", state: "failure", target_url: "build-url" }
+  ];
+  const tree = mergeTree(fake);
+
+  await assert.rejects(
+    tree.treePush(),
+    /Auto Merge status failed - ci\/build - build-url/
+  );
+  assert.equal(repository.pulls[0].merged, false);
+});
+
+test("timed out check runs stop the merge", async () => {
+  const fake = setup();
+  fake.repo(owner, repo).defaultCheckRuns = [
+    { status: "completed", conclusion: "timed_out", html_url: "check-url" }
+  ];
+  const tree = mergeTree(fake);
+
+  await assert.rejects(tree.treePush(), /Check run failed - check-url/);
+});
+
+test("waits for required approvals", async () => {
+  const fake = setup();
+  const repository = fake.repo(owner, repo);
+  repository.requiredApprovals = 2;
+  const tree = mergeTree(fake, {
+    merge_wait_options: { required_approvals: 2 }
+  });
+
+  /** @type {number[]} */
+  const approvals = [];
+  tree.on("merge-waiting", x => {
+    approvals.push(x.approvals);
+    if (approvals.length === 2) {
+      fake.addReview(owner, repo, 1, { login: "one", state: "COMMENTED" });
+      fake.addReview(owner, repo, 1, { login: "one", state: "APPROVED" });
+    } else if (approvals.length === 4) {
+      fake.addReview(owner, repo, 1, { login: "two", state: "APPROVED" });
+    }
+  });
+  await tree.treePush();
+
+  assert.equal(repository.pulls[0].merged, true);
+  assert.deepEqual([...new Set(approvals)], [0, 1]);
+});
+
+test("requested changes stop the merge", async () => {
+  const fake = setup();
+  const tree = mergeTree(fake, {
+    merge_wait_options: { required_approvals: 1 }
+  });
+  tree.on("merge-waiting", () =>
+    fake.addReview(owner, repo, 1, {
+      login: "reviewer",
+      state: "CHANGES_REQUESTED"
+    })
+  );
+
+  await assert.rejects(
+    tree.treePush(),
+    /Auto Merge changes requested - https:\/\/github.local\/fake-owner\/fake-repo\/pull\/1/
+  );
+});
+
+test("gives up after the timeout, backing off between checks", async () => {
+  const fake = setup();
+  fake.repo(owner, repo).defaultCheckRuns = [{ status: "in_progress" }];
+  const tree = mergeTree(fake, {
+    merge_wait_options: { timeout: 400, poll_interval: 20, backoff: 2 }
+  });
+
+  let waits = 0;
+  tree.on("merge-waiting", () => waits++);
+
+  await assert.rejects(tree.treePush(), /Auto Merge waited too long/);
+  //20 + 40 + 80 + 160ms, then the next 320ms wait would pass the timeout
+  assert.equal(waits, 4);
+});
+
+test("invalid merge methods are rejected when the tree is created", () => {
+  assert.throws(
+    () =>
+      newTree(setup(), {
+        pull_request_options: { merge_options: { merge_method: "fast" } }
+      }),
+    /Invalid merge_method "fast"/
+  );
+});
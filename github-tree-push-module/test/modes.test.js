@@ -0,0 +1,99 @@
+//@ts-check
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { owner, repo, setup, newTree } = require("./helpers");
+
+const submoduleSha = "0123456789abcdef0123456789abcdef01234567";
+
+/**
+ * Returns the tree rows under content, keyed by path
+ *
+ * @param {*} fake FakeGitHub
+ */
+const contentRows = fake => {
+  const repository = fake.repo(owner, repo);
+  const tree = repository.resolveTree("main");
+  return new Map(
+    repository
+      .listTree(tree, true)
+      .filter((/** @type {*} */ x) => x.path.startsWith("content/"))
+      .map((/** @type {*} */ x) => [x.path.replace("content/", ""), x])
+  );
+};
+
+test("executable files, symlinks and submodules are pushed with their modes", async () => {
+  const fake = setup();
+  const tree = newTree(fake);
+  tree.syncFile("run.sh", "#!/bin/sh", { mode: "100755" });
+  tree.syncSymlink("link.txt", "keep.txt");
+  tree.syncSubmodule("module", submoduleSha);
+
+  await tree.treePush();
+
+  const rows = contentRows(fake);
+  assert.equal(rows.get("run.sh")?.mode, "100755");
+  assert.equal(rows.get("link.txt")?.mode, "120000");
+  assert.equal(
+    fake.readFiles(owner, repo, "main", "content")["link.txt"],
+    "keep.txt"
+  );
+  assert.equal(rows.get("module")?.mode, "160000");
+  assert.equal(rows.get("module")?.type, "commit");
+  assert.equal(rows.get("module")?.sha, submoduleSha);
+});
+
+test("a mode change alone is a change", async () => {
+  const fake = setup();
+  const tree = newTree(fake);
+  tree.syncFile("keep.txt", "keep", { mode: "100755" });
+
+  const stats = await tree.treePush();
+
+  assert.equal(stats.Tree_Operations, 1);
+  assert.equal(contentRows(fake).get("keep.txt")?.mode, "100755");
+
+  //Same content without a mode keeps the executable bit
+  const tree2 = newTree(fake);
+  tree2.syncFile("keep.txt", "keep");
+  assert.deepEqual(await tree2.treePushDryRun(), []);
+
+  const tree3 = newTree(fake);
+  tree3.syncFile("keep.txt", "keep", { mode: "100644" });
+  assert.deepEqual(await tree3.treePushDryRun(), ["content/keep.txt"]);
+});
+
+test("submodules are compared like files, and only removed when asked", async () => {
+  const fake = setup();
+  const tree = newTree(fake);
+  tree.syncSubmodule("module", submoduleSha);
+  await tree.treePush();
+
+  const same = newTree(fake);
+  same.syncSubmodule("module", submoduleSha);
+  assert.deepEqual(await same.treePushDryRun(), []);
+
+  //removeOtherFiles leaves submodules alone
+  const others = newTree(fake, { removeOtherFiles: true });
+  others.syncFile("keep.txt", "keep");
+  assert.deepEqual(await others.treePushDryRun(), ["content/old.txt"]);
+  await others.treePush();
+  assert.equal(contentRows(fake).get("module")?.sha, submoduleSha);
+
+  const remove = newTree(fake);
+  remove.removeFile("module");
+  await remove.treePush();
+
+  assert.equal(contentRows(fake).has("module"), false);
+});
+
+test("invalid modes and submodule shas are rejected", () => {
+  const tree = newTree(setup());
+  assert.throws(
+    () => tree.syncFile("a.txt", "a", { mode: "120000" }),
+    /Invalid file mode "120000" - a.txt/
+  );
+  assert.throws(
+    () => tree.syncSubmodule("module", "main"),
+    /Invalid submodule commit sha "main" - module/
+  );
+});
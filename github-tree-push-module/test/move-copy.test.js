@@ -0,0 +1,64 @@
+//@ts-check
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { owner, repo, setup, newTree } = require("./helpers");
+
+test("moveFile renames using the existing blob", async () => {
+  const fake = setup({ "content/folder/big.bin": "big content" });
+  const tree = newTree(fake);
+  tree.moveFile("folder/big.bin", "moved/big.bin");
+
+  assert.deepEqual(await tree.treePushDryRun(), [
+    "content/folder/big.bin -> content/moved/big.bin"
+  ]);
+
+  const stats = await tree.treePush();
+
+  assert.deepEqual(fake.readFiles(owner, repo, "main", "content"), {
+    "keep.txt": "keep",
+    "old.txt": "old",
+    "moved/big.bin": "big content"
+  });
+  assert.equal(stats.Files_Renamed, 1);
+  assert.equal(stats.Files_Referenced, 1);
+  assert.equal(stats.Files_Deleted, 1);
+  assert.equal(stats.Blobs_Uploaded, undefined);
+  assert.ok(!fake.requests.some(x => x.path.endsWith("/git/blobs")));
+});
+
+test("copyFile keeps the original", async () => {
+  const fake = setup();
+  const tree = newTree(fake, { removeOtherFiles: true });
+  tree.copyFile("keep.txt", "copy/keep.txt");
+  tree.doNotRemoveFile("keep.txt");
+
+  assert.deepEqual(await tree.treePushDryRun(), [
+    "content/copy/keep.txt",
+    "content/old.txt"
+  ]);
+
+  const stats = await tree.treePush();
+
+  assert.deepEqual(fake.readFiles(owner, repo, "main", "content"), {
+    "keep.txt": "keep",
+    "copy/keep.txt": "keep"
+  });
+  assert.equal(stats.Files_Copied, 1);
+  assert.equal(stats.Files_Renamed, undefined);
+});
+
+test("copying onto an identical file is not a change", async () => {
+  const fake = setup({ "content/same.txt": "keep" });
+  const tree = newTree(fake);
+  tree.copyFile("keep.txt", "same.txt");
+
+  assert.deepEqual(await tree.treePushDryRun(), []);
+});
+
+test("moving a missing file throws", async () => {
+  const fake = setup();
+  const tree = newTree(fake);
+  tree.moveFile("missing.txt", "new.txt");
+
+  await assert.rejects(tree.treePush(), /File to copy not found - missing.txt/);
+});
@@ -0,0 +1,122 @@
+//@ts-check
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { owner, repo, newTree } = require("./helpers");
+const { FakeGitHub } = require("../fake-github");
+
+/**
+ * Creates a fake with content in several folders
+ */
+const setupFolders = () => {
+  const fake = new FakeGitHub({ token: "test-token" });
+  fake.createRepo(owner, repo, {
+    files: {
+      "README.md": "readme",
+      "pages/index.html": "home",
+      "pages/old.html": "old",
+      "data/keep.json": "{}",
+      "data/extra.json": "[]",
+      "assets/logo.png": "logo",
+      "assets/icons/old.svg": "svg"
+    }
+  });
+  return fake;
+};
+
+test("several paths are updated in one commit", async () => {
+  const fake = setupFolders();
+  const tree = newTree(fake, {
+    path: undefined,
+    paths: [
+      { path: "pages", removeOtherFiles: true },
+      { path: "/data/" },
+      { path: "assets", recursive: false, removeOtherFiles: true }
+    ]
+  });
+  tree.syncFile("pages/index.html", "new home");
+  tree.syncFile("data/new.json", "{}");
+  tree.syncFile("assets/banner.png", "banner");
+
+  /** @type {string[]} */
+  const commits = [];
+  tree.on("commit-created", data => commits.push(data.sha));
+
+  const stats = await tree.treePush();
+
+  assert.equal(commits.length, 1);
+  assert.equal(stats.Target_Tree_Size, 5);
+  assert.deepEqual(fake.readFiles(owner, repo, "main"), {
+    "README.md": "readme",
+    "pages/index.html": "new home",
+    "data/keep.json": "{}",
+    "data/extra.json": "[]",
+    "data/new.json": "{}",
+    "assets/banner.png": "banner",
+    "assets/icons/old.svg": "svg" //not recursive, so sub-folders are not removed
+  });
+});
+
+test("several paths make a single pull request", async () => {
+  const fake = setupFolders();
+  const tree = newTree(fake, {
+    path: undefined,
+    paths: [{ path: "pages" }, { path: "data" }],
+    pull_request: true
+  });
+  tree.syncFile("pages/index.html", "new home");
+  tree.syncFile("data/keep.json", "{ }");
+
+  const dryRun = await tree.treePushDryRun();
+  await tree.treePush();
+
+  assert.deepEqual(dryRun.sort(), ["data/keep.json", "pages/index.html"]);
+  const repository = fake.repo(owner, repo);
+  assert.equal(repository.pulls.length, 1);
+  assert.equal(
+    fake.readFiles(owner, repo, repository.pulls[0].head.ref, "data")[
+      "keep.json"
+    ],
+    "{ }"
+  );
+});
+
+test("missing paths are treated as empty", async () => {
+  const fake = setupFolders();
+  const tree = newTree(fake, {
+    path: undefined,
+    paths: [{ path: "new-folder", removeOtherFiles: true }]
+  });
+  tree.syncFile("new-folder/file.txt", "file");
+
+  await tree.treePush();
+
+  assert.equal(
+    fake.readFiles(owner, repo, "main", "new-folder")["file.txt"],
+    "file"
+  );
+});
+
+test("files under none of the paths are rejected", async () => {
+  const fake = setupFolders();
+  const before = fake.repo(owner, repo).branches.get("main");
+  const tree = newTree(fake, {
+    path: undefined,
+    paths: [{ path: "pages" }, { path: "data" }]
+  });
+  tree.syncFile("pages/index.html", "new home");
+  tree.syncFile("other/x.txt", "x");
+
+  await assert.rejects(
+    tree.treePush(),
+    /Path is not under any of the paths - other\/x.txt/
+  );
+  assert.equal(fake.repo(owner, repo).branches.get("main"), before);
+});
+
+test("path and paths can't be used together", () => {
+  const fake = setupFolders();
+  assert.throws(
+    () => newTree(fake, { paths: [{ path: "pages" }] }),
+    /Use either path or paths, not both/
+  );
+});
@@ -0,0 +1,148 @@
+//@ts-check
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { Headers } = require("node-fetch/lib");
+const { RequestScheduler } = require("../request-scheduler");
+const { owner, repo, setup, newTree } = require("./helpers");
+
+const headers = new Headers();
+
+test("waits for Retry-After and retries the request", async () => {
+  const fake = setup();
+  fake.rateLimitNextRequests(1, { "retry-after": "1" });
+  const tree = newTree(fake);
+  tree.syncFile("new.txt", "new");
+
+  /** @type {number[]} */
+  const waits = [];
+  tree.on("rate-limited", data => waits.push(data.waitMs));
+
+  const stats = await tree.treePush();
+
+  assert.deepEqual(waits, [1000]);
+  assert.equal(stats.Rate_Limit_Wait_MS, 1000);
+  assert.equal(
+    fake.readFiles(owner, repo, "main", "content")["new.txt"],
+    "new"
+  );
+});
+
+test("waits until x-ratelimit-reset when no requests remain", async () => {
+  const fake = setup();
+  fake.rateLimitNextRequests(1, {
+    "x-ratelimit-remaining": "0",
+    "x-ratelimit-reset": String(Math.ceil(Date.now() / 1000) + 1)
+  });
+  const tree = newTree(fake);
+  tree.syncFile("new.txt", "new");
+
+  const stats = await tree.treePush();
+
+  assert.ok((stats.Rate_Limit_Wait_MS || 0) > 0);
+  assert.equal(
+    fake.readFiles(owner, repo, "main", "content")["new.txt"],
+    "new"
+  );
+});
+
+test("fails when the rate limit wait is too long", async () => {
+  const fake = setup();
+  fake.rateLimitNextRequests(1, { "retry-after": "3600" }, 429);
+  const tree = newTree(fake, { maxRateLimitWait: 1000 });
+  tree.syncFile("new.txt", "new");
+
+  await assert.rejects(tree.treePush(), /429 - Too Many Requests/);
+});
+
+test("permission errors are not retried", async () => {
+  const fake = setup();
+  fake.rateLimitNextRequests(1, {});
+  const tree = newTree(fake);
+  tree.syncFile("new.txt", "new");
+
+  await assert.rejects(tree.treePush(), /403 - Forbidden/);
+});
+
+test("limits requests in flight and spaces out content creation", async () => {
+  const fake = setup();
+  let inFlight = 0;
+  let maxInFlight = 0;
+  /** @type {number[]} */
+  const postTimes = [];
+
+  const tree = newTree(fake, {
+    maxConcurrentRequests: 2,
+    mutatingRequestSpacing: 100,
+    /**
+     * @param {string} url
+     * @param {*} init
+     */
+    fetch: async (url, init) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      if (init?.method === "POST") {
+        postTimes.push(Date.now());
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+      inFlight--;
+      return fake.fetch(url, init);
+    }
+  });
+  for (let i = 0; i < 6; i++) {
+    tree.syncFile(`file${i}.bin`, Buffer.from(`content ${i}`));
+  }
+
+  const stats = await tree.treePush();
+
+  assert.equal(stats.Blobs_Uploaded, 6);
+  assert.equal(maxInFlight, 2);
+  postTimes.slice(1).forEach((time, index) => {
+    assert.ok(
+      time - postTimes[index] >= 95,
+      `POSTs ${time - postTimes[index]}ms apart`
+    );
+  });
+  assert.ok((stats.Throttle_Wait_MS || 0) > 0);
+});
+
+test("reads are not held up by content creation waiting for its turn", async () => {
+  const scheduler = new RequestScheduler({
+    maxConcurrentRequests: 2,
+    mutatingRequestSpacing: 200
+  });
+  const start = Date.now();
+  /**
+   * @param {boolean} mutating
+   */
+  const timed = async mutating => {
+    await scheduler.run(mutating, async () => ({ status: 200, headers }));
+    return Date.now() - start;
+  };
+
+  const posts = [timed(true), timed(true), timed(true)];
+  const getTime = await timed(false);
+
+  assert.ok(getTime < 100, `GET took ${getTime}ms`);
+  assert.ok((await Promise.all(posts))[2] >= 390);
+});
+
+test("rate limited responses are read before the retry", async () => {
+  const scheduler = new RequestScheduler();
+  let bodiesRead = 0;
+  const responses = [
+    {
+      status: 429,
+      headers: new Headers({ "retry-after": "0" }),
+      text: async () => {
+        bodiesRead++;
+        return "";
+      }
+    },
+    { status: 200, headers }
+  ];
+
+  const response = await scheduler.run(false, async () => responses.shift());
+
+  assert.equal(response.status, 200);
+  assert.equal(bodiesRead, 1);
+});
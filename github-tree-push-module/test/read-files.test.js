@@ -0,0 +1,103 @@
+//@ts-check
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { owner, repo, setup, newTree } = require("./helpers");
+
+test("listFiles lists the managed path on the base branch", async () => {
+  const fake = setup({ "content/sub/deep.txt": "deep" });
+  const tree = newTree(fake);
+
+  const files = await tree.listFiles();
+
+  assert.deepEqual(files.map(x => x.path).sort(), [
+    "keep.txt",
+    "old.txt",
+    "sub/deep.txt"
+  ]);
+  assert.deepEqual(
+    files.find(x => x.path === "keep.txt"),
+    {
+      path: "keep.txt",
+      sha: fake
+        .repo(owner, repo)
+        .findEntry(
+          fake.repo(owner, repo).resolveTree("main"),
+          "content/keep.txt"
+        )?.sha,
+      mode: "100644",
+      type: "blob",
+      size: 4
+    }
+  );
+});
+
+test("readFile returns Buffers, or strings with an encoding", async () => {
+  const image = crypto.randomBytes(2000);
+  const fake = setup();
+  const writer = newTree(fake);
+  writer.syncFile("image.png", image);
+  await writer.treePush();
+
+  const tree = newTree(fake);
+  assert.deepEqual(await tree.readFile("image.png"), image);
+  assert.equal(await tree.readFile("/keep.txt", "utf8"), "keep");
+  await assert.rejects(
+    tree.readFile("missing.txt"),
+    /File not found - missing.txt/
+  );
+
+  //Files outside the managed path can't be read
+  await assert.rejects(tree.readFile("../README.md"), /File not found/);
+});
+
+test("exists checks the base branch as it is now", async () => {
+  const fake = setup();
+  const tree = newTree(fake);
+
+  assert.equal(await tree.exists("keep.txt"), true);
+  assert.equal(await tree.exists("new.txt"), false);
+
+  fake.commitFiles(owner, repo, "main", { "content/new.txt": "new" });
+  assert.equal(await tree.exists("new.txt"), true);
+
+  //An unchanged branch isn't read again
+  const since = fake.requests.length;
+  assert.equal(await tree.exists("keep.txt"), true);
+  assert.deepEqual(
+    fake.requests
+      .slice(since)
+      .filter((/** @type {*} */ x) => x.path.includes("/git/trees/")),
+    []
+  );
+});
+
+test("with several paths, files are relative to the repo root", async () => {
+  const fake = setup({ "docs/a.md": "a" });
+  const tree = newTree(fake, {
+    path: undefined,
+    paths: [{ path: "content" }, { path: "docs" }]
+  });
+
+  assert.deepEqual((await tree.listFiles()).map(x => x.path).sort(), [
+    "content/keep.txt",
+    "content/old.txt",
+    "docs/a.md"
+  ]);
+  assert.equal(await tree.readFile("docs/a.md", "utf8"), "a");
+  assert.equal(await tree.exists("README.md"), false);
+});
+
+test("submodules are listed, but can't be read", async () => {
+  const fake = setup();
+  const writer = newTree(fake);
+  writer.syncSubmodule("lib", "a".repeat(40));
+  await writer.treePush();
+
+  const tree = newTree(fake);
+  assert.equal(
+    (await tree.listFiles()).find(x => x.path === "lib")?.type,
+    "commit"
+  );
+  await assert.rejects(tree.readFile("lib"), /Not a file - lib/);
+});
@@ -0,0 +1,180 @@
+//@ts-check
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { owner, repo, setup, newTree } = require("./helpers");
+
+/**
+ * Creates a tree that pushes to a standing pull request branch
+ *
+ * @param {*} fake FakeGitHub
+ * @param {object} [pull_request_options]
+ */
+const standingTree = (fake, pull_request_options) =>
+  newTree(fake, {
+    pull_request: true,
+    pull_request_options: {
+      head_branch: "content-update",
+      ...pull_request_options
+    }
+  });
+
+test("the same branch and pull request are reused for each push", async () => {
+  const fake = setup();
+  const repository = fake.repo(owner, repo);
+
+  const first = standingTree(fake, { title: "First title" });
+  first.syncFile("new.txt", "one");
+  await first.treePush();
+
+  const second = standingTree(fake, { title: "Second title", body: "Body" });
+  second.syncFile("new.txt", "two");
+  /** @type {string[]} */
+  const events = [];
+  second.on("pr-updated", () => events.push("pr-updated"));
+  second.on("pr-created", () => events.push("pr-created"));
+  const stats = await second.treePush();
+
+  assert.deepEqual(events, ["pr-updated"]);
+  assert.equal(repository.pulls.length, 1);
+  assert.equal(repository.pulls[0].title, "Second title");
+  assert.equal(
+    repository.pulls[0].body,
+    "Body\n\n<!-- github-tree-push: content -->"
+  );
+  assert.equal(
+    stats.Pull_Request_URL,
+    `https://github.local/${owner}/${repo}/pull/1`
+  );
+  assert.equal(
+    fake.readFiles(owner, repo, "content-update", "content")["new.txt"],
+    "two"
+  );
+
+  //force-updated, so only one commit on top of main
+  const head = /** @type {string} */ (
+    repository.branches.get("content-update")
+  );
+  assert.deepEqual(
+    repository.commitJson(head).parents.map(x => x.sha),
+    [repository.branches.get("main")]
+  );
+});
+
+test("the pull request is closed when there are no changes left", async () => {
+  const fake = setup();
+  const repository = fake.repo(owner, repo);
+
+  const first = standingTree(fake);
+  first.syncFile("new.txt", "new");
+  await first.treePush();
+
+  const second = standingTree(fake);
+  second.syncFile("keep.txt", "keep");
+  /** @type {*[]} */
+  const closed = [];
+  second.on("pr-closed", x => closed.push(x));
+  const stats = await second.treePush();
+
+  assert.equal(repository.pulls[0].state, "closed");
+  assert.equal(repository.branches.has("content-update"), false);
+  assert.equal(stats.Pull_Requests_Closed, 1);
+  assert.deepEqual(closed, [
+    {
+      number: 1,
+      html_url: `https://github.local/${owner}/${repo}/pull/1`,
+      reason: "no-changes"
+    }
+  ]);
+});
+
+test("a new pull request is opened after the last one was closed", async () => {
+  const fake = setup();
+  const repository = fake.repo(owner, repo);
+
+  const first = standingTree(fake);
+  first.syncFile("new.txt", "new");
+  await first.treePush();
+  repository.pulls[0].state = "closed";
+
+  const second = standingTree(fake);
+  second.syncFile("new.txt", "newer");
+  await second.treePush();
+
+  assert.equal(repository.pulls.length, 2);
+  assert.equal(repository.pulls[1].state, "open");
+  assert.equal(repository.pulls[1].head.ref, "content-update");
+});
+
+test("earlier pull requests from per-commit branches are closed", async () => {
+  const fake = setup();
+  const repository = fake.repo(owner, repo);
+
+  const old = newTree(fake, { pull_request: true });
+  old.syncFile("new.txt", "old");
+  await old.treePush();
+  const oldBranch = repository.pulls[0].head.ref;
+
+  //someone else's pull request is left alone
+  repository.branches.set(
+    "feature",
+    /** @type {string} */ (repository.branches.get(oldBranch))
+  );
+  repository.createPull({ title: "Feature", head: "feature", base: "main" });
+
+  //and so are per-commit pull requests from a job publishing another path
+  const otherJob = newTree(fake, { pull_request: true, path: "docs" });
+  otherJob.syncFile("new.txt", "docs");
+  await otherJob.treePush();
+  const otherBranch = repository.pulls[2].head.ref;
+
+  const tree = standingTree(fake);
+  tree.syncFile("new.txt", "new");
+  const stats = await tree.treePush();
+
+  assert.equal(stats.Pull_Requests_Closed, 1);
+  assert.deepEqual(
+    repository.pulls.map(x => [x.head.ref, x.state]),
+    [
+      [oldBranch, "closed"],
+      ["feature", "open"],
+      [otherBranch, "open"],
+      ["content-update", "open"]
+    ]
+  );
+  assert.equal(repository.branches.has(oldBranch), false);
+});
+
+test("superseded pull requests are found past the first page", async () => {
+  const fake = setup();
+  const repository = fake.repo(owner, repo);
+
+  const otherJob = newTree(fake, { pull_request: true, path: "docs" });
+  otherJob.syncFile("new.txt", "docs");
+  await otherJob.treePush();
+  const otherSha = /** @type {string} */ (
+    repository.branches.get(repository.pulls[0].head.ref)
+  );
+  for (let i = 0; i < 100; i++) {
+    repository.branches.set(`feature-${i}`, otherSha);
+    repository.createPull({
+      title: `Feature ${i}`,
+      head: `feature-${i}`,
+      base: "main"
+    });
+  }
+
+  const old = newTree(fake, { pull_request: true });
+  old.syncFile("new.txt", "old");
+  await old.treePush();
+
+  const tree = standingTree(fake);
+  tree.syncFile("new.txt", "new");
+  const stats = await tree.treePush();
+
+  assert.equal(stats.Pull_Requests_Closed, 1);
+  assert.equal(repository.pulls[101].state, "closed");
+  assert.equal(
+    repository.pulls.filter(x => x.state === "open").length,
+    102 //the other job's, the features and the standing pull request
+  );
+});
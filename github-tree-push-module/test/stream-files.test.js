@@ -0,0 +1,182 @@
+//@ts-check
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { owner, repo, setup, newTree } = require("./helpers");
+
+/** Largest blob GitHub accepts */
+const maxBlobBytes = 100 * 1024 * 1024;
+
+/**
+ * Runs a test with a temporary folder
+ *
+ * @param {function(string):Promise<void>} fn
+ */
+const withFolder = async fn => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tree-push-stream-"));
+  try {
+    await fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Returns the content of a file in the fake repo as a Buffer
+ *
+ * @param {*} fake FakeGitHub
+ * @param {string} filePath
+ */
+const repoFile = (fake, filePath) => {
+  const repository = fake.repo(owner, repo);
+  const entry = repository.findEntry(repository.resolveTree("main"), filePath);
+  return repository.readObject(entry.sha).data;
+};
+
+test("files from disk are hashed and uploaded as streams", () =>
+  withFolder(async dir => {
+    //Sizes around the upload part size, and not a multiple of 3
+    const big = crypto.randomBytes(3 * 256 * 1024 + 1);
+    const small = crypto.randomBytes(1000);
+    fs.writeFileSync(path.join(dir, "big.bin"), big);
+    fs.writeFileSync(path.join(dir, "small.bin"), small);
+
+    const fake = setup();
+    const tree = newTree(fake);
+    await tree.syncFileFromPath("media/big.bin", path.join(dir, "big.bin"));
+    await tree.syncFileFromPath(
+      "media/small.bin",
+      path.join(dir, "small.bin"),
+      { mode: "100755" }
+    );
+    const stats = await tree.treePush();
+
+    assert.equal(stats.Blobs_Uploaded, 2);
+    assert.deepEqual(repoFile(fake, "content/media/big.bin"), big);
+    assert.deepEqual(repoFile(fake, "content/media/small.bin"), small);
+  }));
+
+test("unchanged files from disk are not uploaded", () =>
+  withFolder(async dir => {
+    fs.writeFileSync(path.join(dir, "keep.txt"), "keep");
+
+    const fake = setup();
+    const tree = newTree(fake);
+    await tree.syncFileFromPath("keep.txt", path.join(dir, "keep.txt"));
+    const stats = await tree.treePush();
+
+    assert.equal(stats.Blobs_Uploaded, undefined);
+    assert.equal(stats.Commit_URL, undefined);
+  }));
+
+test("buffers are freed once they are uploaded", async () => {
+  const fake = setup();
+  const tree = newTree(fake);
+  const buffer = crypto.randomBytes(5000);
+  tree.syncFile("image.png", buffer);
+
+  await tree.treePush();
+
+  assert.equal(tree.__treeOperations.get("image.png")?.sync?.buffer, undefined);
+  assert.deepEqual(repoFile(fake, "content/image.png"), buffer);
+});
+
+test("a dropped upload is retried with a new stream", async () => {
+  const fake = setup();
+  let dropped = 0;
+  const tree = newTree(fake, {
+    fetch: async (/** @type {string} */ url, /** @type {*} */ init) => {
+      if (init.method === "POST" && url.endsWith("/git/blobs") && !dropped++) {
+        //Part of the body is sent before the connection drops
+        for await (const chunk of init.body) {
+          assert.ok(chunk);
+          break;
+        }
+        throw Object.assign(new Error("socket hang up"), {
+          code: "ECONNRESET"
+        });
+      }
+      return fake.fetch(url, init);
+    }
+  });
+  const buffer = crypto.randomBytes(5000);
+  tree.syncFile("image.png", buffer);
+
+  const stats = await tree.treePush();
+
+  assert.equal(dropped, 2);
+  assert.equal(stats.Blobs_Uploaded, 1);
+  assert.deepEqual(repoFile(fake, "content/image.png"), buffer);
+});
+
+test("targets in other repos still get freed content", async () => {
+  const fake = setup();
+  fake.createRepo(owner, "other-repo", { files: { "README.md": "readme" } });
+  const tree = newTree(fake);
+  const buffer = crypto.randomBytes(5000);
+  tree.syncFile("image.png", buffer);
+
+  const results = await tree.treePushTargets([{}, { repo: "other-repo" }]);
+
+  assert.deepEqual(
+    results.map(x => x.error),
+    [undefined, undefined]
+  );
+  assert.deepEqual(
+    fake.readFiles(owner, "other-repo", "main", "content")["image.png"],
+    buffer.toString("utf8")
+  );
+});
+
+test("files too large for GitHub fail before they are read", () =>
+  withFolder(async dir => {
+    const filePath = path.join(dir, "huge.mp4");
+    fs.writeFileSync(filePath, "");
+    fs.truncateSync(filePath, maxBlobBytes + 1); //sparse
+
+    const tree = newTree(setup());
+    await assert.rejects(
+      tree.syncFileFromPath("huge.mp4", filePath),
+      /File is too large for GitHub \(104857601 bytes, the limit is 104857600\) - huge.mp4/
+    );
+
+    //LFS files can be bigger
+    const lfsTree = newTree(setup(), { lfs: { include: "*.mp4" } });
+    await lfsTree.syncFileFromPath("huge.mp4", filePath);
+  }));
+
+test("downloads are saved to a temporary folder that is removed after the push", async () => {
+  const fake = setup();
+  const image = crypto.randomBytes(3000);
+  fake.serveUrl("https://example.com/image.png", image);
+  const tree = newTree(fake);
+  tree.syncDownload("image.png", "https://example.com/image.png");
+
+  /** @type {string[]} */
+  const downloaded = [];
+  tree.on("downloads-complete", () =>
+    downloaded.push(
+      ...fs.readdirSync(/** @type {string} */ (tree.__downloadFolder))
+    )
+  );
+  await tree.treePush();
+
+  assert.equal(downloaded.length, 1);
+  assert.equal(tree.__downloadFolder, undefined);
+  assert.deepEqual(repoFile(fake, "content/image.png"), image);
+});
+
+test("downloads too large for GitHub fail before they are saved", async () => {
+  const fake = setup();
+  fake.serveUrl("https://example.com/huge.mp4", "x", {
+    headers: { "content-length": String(maxBlobBytes + 1) }
+  });
+  const tree = newTree(fake);
+  tree.syncDownload("huge.mp4", "https://example.com/huge.mp4");
+
+  await assert.rejects(tree.treePush(), /File is too large for GitHub/);
+  assert.equal(tree.__downloadFolder, undefined);
+});
@@ -0,0 +1,149 @@
+//@ts-check
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const nodePath = require("path");
+const { owner, repo, setup, newTree } = require("./helpers");
+
+/** @type {string} */
+let localDir;
+
+/**
+ * Writes files into the temp folder
+ *
+ * @param {Object<string,string>} files
+ */
+const writeFiles = files => {
+  for (const [path, content] of Object.entries(files)) {
+    const localPath = nodePath.join(localDir, path);
+    fs.mkdirSync(nodePath.dirname(localPath), { recursive: true });
+    fs.writeFileSync(localPath, content);
+  }
+};
+
+beforeEach(() => {
+  localDir = fs.mkdtempSync(nodePath.join(os.tmpdir(), "tree-push-"));
+});
+
+afterEach(() => {
+  fs.rmSync(localDir, { recursive: true, force: true });
+});
+
+test("pushes a local folder under a sub path", async () => {
+  writeFiles({ "index.html": "home", "css/site.css": "body{}" });
+  const fake = setup();
+  const tree = newTree(fake);
+
+  const paths = await tree.syncDirectory(localDir, "site/");
+  const stats = await tree.treePush();
+
+  assert.deepEqual(paths, ["site/css/site.css", "site/index.html"]);
+  assert.equal(stats.Blobs_Uploaded, 2);
+  assert.deepEqual(fake.readFiles(owner, repo, "main", "content/site"), {
+    "index.html": "home",
+    "css/site.css": "body{}"
+  });
+});
+
+test("include and exclude globs filter files", async () => {
+  writeFiles({
+    "a.md": "a",
+    "b.txt": "b",
+    "docs/c.md": "c",
+    "docs/draft.md": "draft"
+  });
+  const fake = setup();
+  const tree = newTree(fake);
+
+  const paths = await tree.syncDirectory(localDir, "", {
+    include: "**/*.md",
+    exclude: ["**/draft.md"]
+  });
+
+  assert.deepEqual(paths, ["a.md", "docs/c.md"]);
+});
+
+test("respectGitignore skips ignored files and folders", async () => {
+  writeFiles({
+    ".gitignore": "*.log\nbuild/\n",
+    "keep.txt": "keep",
+    "debug.log": "log",
+    "build/out.js": "out",
+    "sub/.gitignore": "secret.txt",
+    "sub/secret.txt": "secret",
+    "sub/public.txt": "public"
+  });
+  const fake = setup();
+
+  const ignored = await newTree(fake).syncDirectory(localDir, "", {
+    respectGitignore: true
+  });
+  const all = await newTree(fake).syncDirectory(localDir);
+
+  assert.deepEqual(ignored, [
+    ".gitignore",
+    "keep.txt",
+    "sub/.gitignore",
+    "sub/public.txt"
+  ]);
+  assert.equal(all.length, 7);
+});
+
+test("keeps executable bits and symlinks", async () => {
+  writeFiles({ "run.sh": "#!/bin/sh", "target.txt": "target" });
+  fs.chmodSync(nodePath.join(localDir, "run.sh"), 0o755);
+  fs.symlinkSync("target.txt", nodePath.join(localDir, "link.txt"));
+  const fake = setup();
+  const tree = newTree(fake);
+
+  await tree.syncDirectory(localDir);
+  await tree.treePush();
+
+  const repository = fake.repo(owner, repo);
+  const modes = Object.fromEntries(
+    repository
+      .listTree(repository.resolveTree("main"), true)
+      .map(x => [x.path, x.mode])
+  );
+  assert.equal(modes["content/run.sh"], "100755");
+  assert.equal(modes["content/target.txt"], "100644");
+  assert.equal(modes["content/link.txt"], "120000");
+  assert.equal(
+    fake.readFiles(owner, repo, "main", "content")["link.txt"],
+    "target.txt"
+  );
+});
+
+test("followSymlinks pushes the linked file", async () => {
+  writeFiles({ "target.txt": "target" });
+  fs.symlinkSync("target.txt", nodePath.join(localDir, "link.txt"));
+  const fake = setup();
+  const tree = newTree(fake);
+
+  await tree.syncDirectory(localDir, "", { followSymlinks: true });
+  await tree.treePush();
+
+  assert.equal(
+    fake.readFiles(owner, repo, "main", "content")["link.txt"],
+    "target"
+  );
+});
+
+test("composes with removeOtherFiles and doNotRemoveFile", async () => {
+  writeFiles({ "keep.txt": "keep", "new.txt": "new" });
+  const fake = setup({ "content/also.txt": "also" });
+  const tree = newTree(fake, { removeOtherFiles: true });
+  tree.doNotRemoveFile("also.txt");
+
+  await tree.syncDirectory(localDir);
+  const stats = await tree.treePush();
+
+  assert.equal(stats.Files_Deleted, 1);
+  assert.equal(stats.Blobs_Uploaded, 1);
+  assert.deepEqual(fake.readFiles(owner, repo, "main", "content"), {
+    "also.txt": "also",
+    "keep.txt": "keep",
+    "new.txt": "new"
+  });
+});
@@ -0,0 +1,160 @@
+//@ts-check
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { owner, repo, setup, newTree } = require("./helpers");
+
+test("pushes the same files to several branches and repos", async () => {
+  const fake = setup();
+  const repository = fake.repo(owner, repo);
+  repository.branches.set("production", repository.branches.get("main") || "");
+  fake.createRepo("partner", "site", { files: { "README.md": "partner" } });
+
+  const tree = newTree(fake);
+  tree.syncFile("new.txt", "new");
+  tree.syncFile("image.bin", Buffer.from("image"));
+
+  /** @type {string[]} */
+  const commitTargets = [];
+  tree.on("commit-created", data =>
+    commitTargets.push(`${data.target.repo}/${data.target.base}`)
+  );
+
+  const results = await tree.treePushTargets([
+    {},
+    { base: "production" },
+    { owner: "partner", repo: "site", path: "docs" }
+  ]);
+
+  assert.deepEqual(
+    results.map(x => [x.repo, x.base, x.path, !!x.error]),
+    [
+      [repo, "main", "content", false],
+      [repo, "production", "content", false],
+      ["site", "main", "docs", false]
+    ]
+  );
+  assert.deepEqual(commitTargets, [
+    `${repo}/main`,
+    `${repo}/production`,
+    "site/main"
+  ]);
+
+  //Blobs are only uploaded once per repo
+  assert.equal(results[0].stats.Blobs_Uploaded, 1);
+  assert.equal(results[1].stats.Blobs_Uploaded, undefined);
+  assert.equal(results[2].stats.Blobs_Uploaded, 1);
+  assert.equal(
+    fake.requests.filter(
+      x => x.method === "HEAD" && x.path.includes(`/${repo}/git/blobs/`)
+    ).length,
+    1
+  );
+
+  for (const branch of ["main", "production"]) {
+    assert.equal(
+      fake.readFiles(owner, repo, branch, "content")["new.txt"],
+      "new"
+    );
+  }
+  assert.deepEqual(fake.readFiles("partner", "site", "main"), {
+    "README.md": "partner",
+    "docs/new.txt": "new",
+    "docs/image.bin": "image"
+  });
+});
+
+test("a failed target is reported without stopping the others", async () => {
+  const fake = setup();
+  const tree = newTree(fake);
+  tree.syncFile("new.txt", "new");
+
+  /** @type {*[]} */
+  const failures = [];
+  tree.on("target-failed", data => failures.push(data));
+
+  const results = await tree.treePushTargets([
+    { base: "missing-branch" },
+    { base: "main" }
+  ]);
+
+  assert.match(results[0].error?.message || "", /404/);
+  assert.equal(results[1].error, undefined);
+  assert.equal(failures.length, 1);
+  assert.equal(failures[0].base, "missing-branch");
+  assert.equal(
+    fake.readFiles(owner, repo, "main", "content")["new.txt"],
+    "new"
+  );
+});
+
+test("a target with bad options is reported without stopping the others", async () => {
+  const fake = setup();
+  const tree = newTree(fake);
+  tree.syncFile("new.txt", "new");
+
+  const results = await tree.treePushTargets([
+    { paths: [] },
+    /** @type {*} */ ({
+      pull_request_options: { merge_options: { merge_method: "bogus" } }
+    }),
+    { base: "main" }
+  ]);
+
+  assert.deepEqual(
+    results.map(x => [x.repo, x.base, x.error?.message]),
+    [
+      [repo, "main", "paths needs at least one path"],
+      [repo, "main", 'Invalid merge_method "bogus"'],
+      [repo, "main", undefined]
+    ]
+  );
+  assert.equal(
+    fake.readFiles(owner, repo, "main", "content")["new.txt"],
+    "new"
+  );
+});
+
+test("removeOtherFiles is applied separately for each target", async () => {
+  const fake = setup({ "other/keep.txt": "keep", "other/old.txt": "old" });
+  const tree = newTree(fake, { removeOtherFiles: true });
+  tree.syncFile("keep.txt", "keep");
+
+  await tree.treePushTargets([{}, { path: "other" }]);
+
+  assert.deepEqual(fake.readFiles(owner, repo, "main"), {
+    "README.md": "readme",
+    "content/keep.txt": "keep",
+    "other/keep.txt": "keep"
+  });
+});
+
+test("rate limit waits are counted for the target that was limited", async () => {
+  const fake = setup();
+  fake.createRepo(owner, "other-repo", { files: { "README.md": "readme" } });
+  let limited = false;
+  const tree = newTree(fake, {
+    fetch: (/** @type {string} */ url, /** @type {*} */ init) => {
+      if (url.includes("/other-repo/") && !limited) {
+        limited = true;
+        fake.rateLimitNextRequests(1, { "retry-after": "1" });
+      }
+      return fake.fetch(url, init);
+    }
+  });
+  tree.syncFile("new.txt", "new");
+
+  /** @type {*[]} */
+  const rateLimited = [];
+  tree.on("rate-limited", data => rateLimited.push(data));
+  const results = await tree.treePushTargets([{}, { repo: "other-repo" }]);
+
+  assert.deepEqual(
+    results.map(x => x.stats.Rate_Limit_Wait_MS),
+    [undefined, 1000]
+  );
+  assert.equal(tree.lastRunStats.Rate_Limit_Wait_MS, undefined);
+  assert.deepEqual(
+    rateLimited.map(x => [x.waitMs, x.target?.repo]),
+    [[1000, "other-repo"]]
+  );
+});
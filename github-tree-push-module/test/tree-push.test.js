@@ -0,0 +1,288 @@
+//@ts-check
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { GitHubTreePush } = require("../index");
+const { FakeGitHub } = require("../fake-github");
+const { owner, repo, setup, newTree } = require("./helpers");
+
+test("dry run lists changes without writing", async () => {
+  const fake = setup();
+  const before = fake.repo(owner, repo).branches.get("main");
+  const tree = newTree(fake, { removeOtherFiles: true });
+  tree.syncFile("keep.txt", "keep");
+  tree.syncFile("new.txt", "new");
+
+  const paths = await tree.treePushDryRun();
+
+  assert.deepEqual(paths.sort(), ["content/new.txt", "content/old.txt"]);
+  assert.equal(fake.repo(owner, repo).branches.get("main"), before);
+  assert.ok(!fake.requests.some(x => x.method !== "GET"));
+});
+
+test("push commits changes to the base branch", async () => {
+  const fake = setup();
+  const tree = newTree(fake, { commit_message: "Test commit" });
+  tree.syncFile("new.txt", "new");
+  tree.syncFile("data/object.json", { a: 1 });
+  tree.syncFile("buffer.bin", Buffer.from([0, 1, 2]));
+
+  const stats = await tree.treePush();
+
+  assert.deepEqual(fake.readFiles(owner, repo, "main", "content"), {
+    "keep.txt": "keep",
+    "old.txt": "old",
+    "new.txt": "new",
+    "data/object.json": JSON.stringify({ a: 1 }, null, 2),
+    "buffer.bin": "\0\u0001\u0002"
+  });
+  assert.equal(stats.Tree_Operations, 3);
+  assert.equal(stats.Blobs_Uploaded, 1);
+  assert.match(stats.Commit_URL || "", /\/commit\/[0-9a-f]{40}$/);
+});
+
+test("pushing the same content again makes no commit", async () => {
+  const fake = setup();
+  const tree = newTree(fake);
+  tree.syncFile("keep.txt", "keep");
+  const before = fake.repo(owner, repo).branches.get("main");
+
+  const stats = await tree.treePush();
+
+  assert.equal(stats.Commit_URL, undefined);
+  assert.equal(fake.repo(owner, repo).branches.get("main"), before);
+});
+
+test("removeOtherFiles removes unregistered files in the path only", async () => {
+  const fake = setup({ "content/also.txt": "also" });
+  const tree = newTree(fake, { removeOtherFiles: true });
+  tree.syncFile("new.txt", "new");
+  tree.doNotRemoveFile("keep.txt");
+
+  const stats = await tree.treePush();
+
+  assert.deepEqual(fake.readFiles(owner, repo, "main"), {
+    "README.md": "readme",
+    "content/keep.txt": "keep",
+    "content/new.txt": "new"
+  });
+  assert.equal(stats.Files_Deleted, 2);
+});
+
+test("removeFile deletes a single file", async () => {
+  const fake = setup();
+  const tree = newTree(fake);
+  tree.removeFile("old.txt");
+  tree.removeFile("missing.txt");
+
+  await tree.treePush();
+
+  assert.deepEqual(fake.readFiles(owner, repo, "main", "content"), {
+    "keep.txt": "keep"
+  });
+});
+
+test("large and duplicate content is uploaded as blobs", async () => {
+  const fake = setup();
+  const tree = newTree(fake, { contentToBlobBytes: 5 });
+  tree.syncFile("small.txt", "tiny");
+  tree.syncFile("large.txt", "larger than five bytes");
+
+  const stats = await tree.treePush();
+
+  assert.equal(stats.Content_Converted_To_Blobs, 1);
+  assert.equal(stats.Blobs_Uploaded, 1);
+  assert.equal(stats.Text_Content_Uploaded, 1);
+  assert.equal(
+    fake.readFiles(owner, repo, "main", "content")["large.txt"],
+    "larger than five bytes"
+  );
+});
+
+test("root tree push without recursion", async () => {
+  const fake = setup();
+  const tree = newTree(fake, {
+    path: undefined,
+    recursive: false,
+    removeOtherFiles: true
+  });
+  tree.syncFile("Root File.txt", "root");
+
+  await tree.treePush();
+
+  //sub-folders are not part of a non-recursive compare
+  assert.deepEqual(fake.readFiles(owner, repo, "main"), {
+    "Root File.txt": "root",
+    "content/keep.txt": "keep",
+    "content/old.txt": "old"
+  });
+});
+
+test("downloads are added before the push", async () => {
+  const fake = setup();
+  fake.serveUrl("https://example.com/image.png", Buffer.from("png-data"));
+  const tree = newTree(fake);
+  tree.syncDownload("image.png", "https://example.com/image.png");
+
+  await tree.treePush();
+
+  assert.equal(
+    fake.readFiles(owner, repo, "main", "content")["image.png"],
+    "png-data"
+  );
+});
+
+test("pull request mode creates a pull request with options", async () => {
+  const fake = setup();
+  const tree = newTree(fake, {
+    pull_request: true,
+    pull_request_options: {
+      title: "My PR",
+      body: "PR body",
+      issue_options: { labels: ["Label 1"], assignees: ["someone"] },
+      review_options: { reviewers: ["reviewer"] }
+    }
+  });
+  tree.syncFile("new.txt", "new");
+
+  const stats = await tree.treePush();
+
+  const [pull] = fake.repo(owner, repo).pulls;
+  assert.equal(
+    stats.Pull_Request_URL,
+    `https://github.local/${owner}/${repo}/pull/1`
+  );
+  assert.equal(pull.title, "My PR");
+  assert.equal(pull.state, "open");
+  assert.deepEqual(pull.labels, [{ name: "Label 1" }]);
+  assert.deepEqual(pull.assignees, [{ login: "someone" }]);
+  assert.deepEqual(pull.requested_reviewers, [{ login: "reviewer" }]);
+  assert.equal(
+    fake.readFiles(owner, repo, "main", "content")["new.txt"],
+    undefined
+  );
+  assert.equal(
+    fake.readFiles(owner, repo, pull.head.ref, "content")["new.txt"],
+    "new"
+  );
+});
+
+test("automatic merge waits for checks, merges and removes the branch", async () => {
+  const fake = setup();
+  const tree = newTree(fake, {
+    pull_request: true,
+    pull_request_options: { automatic_merge: true }
+  });
+  tree.syncFile("new.txt", "new");
+
+  //a check that completes while we wait
+  const repository = fake.repo(owner, repo);
+  repository.defaultCheckRuns = [{ status: "in_progress" }];
+  setTimeout(() => {
+    repository.defaultCheckRuns = [
+      { status: "completed", conclusion: "success" }
+    ];
+  }, 1500);
+
+  await tree.treePush();
+
+  const [pull] = repository.pulls;
+  assert.equal(pull.merged, true);
+  assert.equal(pull.title, "Tree Push Pull Request");
+  assert.equal(
+    fake.readFiles(owner, repo, "main", "content")["new.txt"],
+    "new"
+  );
+  assert.deepEqual([...repository.branches.keys()], ["main"]);
+});
+
+test("automatic merge fails when a check fails", async () => {
+  const fake = setup();
+  const tree = newTree(fake, {
+    pull_request: true,
+    pull_request_options: { automatic_merge: true }
+  });
+  tree.syncFile("new.txt", "new");
+
+  const repository = fake.repo(owner, repo);
+  repository.defaultCheckRuns = [{ status: "in_progress" }];
+  setTimeout(() => {
+    repository.defaultCheckRuns = [
+      { status: "completed", conclusion: "failure", html_url: "check-url" }
+    ];
+  }, 500);
+
+  await assert.rejects(tree.treePush(), /Check run failed - check-url/);
+  assert.equal(
+    fake.readFiles(owner, repo, "main", "content")["new.txt"],
+    undefined
+  );
+});
+
+test("works over HTTP using apiBaseUrl", async () => {
+  const fake = setup();
+  const apiBaseUrl = await fake.listen();
+  try {
+    const tree = newTree(fake, { fetch: undefined, apiBaseUrl });
+    tree.syncFile("new.txt", "new");
+
+    await tree.treePush();
+
+    assert.equal(
+      fake.readFiles(owner, repo, "main", "content")["new.txt"],
+      "new"
+    );
+  } finally {
+    await fake.close();
+  }
+});
+
+test("bad tokens are rejected", async () => {
+  const fake = setup();
+  const tree = new GitHubTreePush("wrong-token", {
+    owner,
+    repo,
+    base: "main",
+    fetch: fake.fetch
+  });
+  tree.syncFile("new.txt", "new");
+
+  await assert.rejects(tree.treePush(), /401 - Unauthorized/);
+});
+
+test("trees too big for one request are read a folder at a time", async () => {
+  const fake = new FakeGitHub({ token: "test-token", treeEntryLimit: 4 });
+  fake.createRepo(owner, repo, {
+    files: {
+      "content/a/1.txt": "1",
+      "content/a/2.txt": "2",
+      "content/b/c/3.txt": "3",
+      "content/b/c/4.txt": "4",
+      "content/b/5.txt": "5",
+      "content/6.txt": "6",
+      "content/7.txt": "7"
+    }
+  });
+  const tree = newTree(fake, { removeOtherFiles: true });
+  tree.syncFile("a/1.txt", "1");
+  tree.syncFile("b/c/3.txt", "three");
+
+  const stats = await tree.treePush();
+
+  assert.equal(stats.Target_Tree_Size, 7);
+  assert.equal(stats.Files_Deleted, 5);
+  assert.deepEqual(fake.readFiles(owner, repo, "main", "content"), {
+    "a/1.txt": "1",
+    "b/c/3.txt": "three"
+  });
+});
+
+test("a single folder too big to read throws", async () => {
+  const fake = new FakeGitHub({ token: "test-token", treeEntryLimit: 2 });
+  fake.createRepo(owner, repo, {
+    files: { "content/1.txt": "1", "content/2.txt": "2", "content/3.txt": "3" }
+  });
+  const tree = newTree(fake);
+  tree.syncFile("1.txt", "one");
+
+  await assert.rejects(tree.treePush(), /Too many items in one folder - \//);
+});
@@ -0,0 +1,147 @@
+//@ts-check
+const fs = require("fs");
+const nodePath = require("path");
+const picomatch = require("picomatch");
+const ignore = require("ignore");
+
+/**
+ * @typedef {object} WalkDirectoryOptions
+ * @property {string | string[]} [include] Glob patterns (relative to the folder) of files to include.  Default is all files.
+ * @property {string | string[]} [exclude] Glob patterns (relative to the folder) of files to skip.
+ * @property {boolean} [respectGitignore] `true` to skip files matched by `.gitignore` files in the folder.
+ * @property {boolean} [followSymlinks] `true` to use the files that symlinks point to, instead of the links.
+ */
+
+/**
+ * @typedef {object} WalkDirectoryEntry
+ * @property {string} path Path relative to the folder, with `/` separators.
+ * @property {string} localPath Full path on disk.
+ * @property {boolean} [executable] `true` if the file has an executable bit set.
+ * @property {string} [linkTarget] Where the symlink points, for symlinks that aren't followed.
+ */
+
+/**
+ * @typedef {object} GitignoreScope
+ * @property {string} folder Folder (relative, with a trailing `/` or empty for the root) the `.gitignore` is in.
+ * @property {*} rules `ignore` instance for the file
+ */
+
+/**
+ * Returns a matcher for a list of glob patterns, or `null` if there are none
+ *
+ * @param {string | string[]} [patterns]
+ */
+const globMatcher = patterns => {
+  const list = [patterns || []].flat();
+  return list.length ? picomatch(list, { dot: true }) : null;
+};
+
+/**
+ * Lists all the files in a local folder, recursively
+ *
+ * @param {string} localDir folder to read
+ * @param {WalkDirectoryOptions} [options]
+ * @returns {Promise<WalkDirectoryEntry[]>}
+ */
+const walkDirectory = async (localDir, options) => {
+  const includes = globMatcher(options?.include);
+  const excludes = globMatcher(options?.exclude);
+
+  /** @type {WalkDirectoryEntry[]} */
+  const entries = [];
+
+  /** Real paths of folders already read, to stop symlink loops */
+  const visited = new Set();
+
+  /**
+   * @param {string} path relative path to test
+   * @param {boolean} isFolder
+   * @param {GitignoreScope[]} scopes
+   */
+  const isIgnored = (path, isFolder, scopes) =>
+    scopes.some(scope =>
+      scope.rules.ignores(
+        `${path.slice(scope.folder.length)}${isFolder ? "/" : ""}`
+      )
+    );
+
+  /**
+   * @param {string} localFolder
+   * @param {string} folder relative path with a trailing `/`, or empty for the root
+   * @param {GitignoreScope[]} parentScopes
+   */
+  const readFolder = async (localFolder, folder, parentScopes) => {
+    const realPath = await fs.promises.realpath(localFolder);
+    if (visited.has(realPath)) {
+      return;
+    }
+    visited.add(realPath);
+
+    let scopes = parentScopes;
+    if (options?.respectGitignore) {
+      const gitignore = await fs.promises
+        .readFile(nodePath.join(localFolder, ".gitignore"), "utf8")
+        .catch(() => null);
+
+      if (gitignore !== null) {
+        scopes = [...scopes, { folder, rules: ignore().add(gitignore) }];
+      }
+    }
+
+    const dirents = await fs.promises.readdir(localFolder, {
+      withFileTypes: true
+    });
+
+    for (const dirent of dirents.sort((a, b) => (a.name < b.name ? -1 : 1))) {
+      const path = `${folder}${dirent.name}`;
+      const localPath = nodePath.join(localFolder, dirent.name);
+
+      if (dirent.name === ".git") {
+        continue;
+      }
+
+      const isLink = dirent.isSymbolicLink();
+      const stat =
+        isLink && options?.followSymlinks
+          ? await fs.promises.stat(localPath).catch(() => null)
+          : await fs.promises.lstat(localPath);
+
+      if (!stat) {
+        continue; //broken link
+      }
+
+      if (stat.isDirectory()) {
+        if (!isIgnored(path, true, scopes)) {
+          await readFolder(localPath, `${path}/`, scopes);
+        }
+      } else if (
+        (includes ? includes(path) : true) &&
+        !excludes?.(path) &&
+        !isIgnored(path, false, scopes)
+      ) {
+        if (stat.isSymbolicLink()) {
+          entries.push({
+            path,
+            localPath,
+            linkTarget: (await fs.promises.readlink(localPath)).replace(
+              /\\/g,
+              "/"
+            )
+          });
+        } else if (stat.isFile()) {
+          entries.push({
+            path,
+            localPath,
+            executable: (stat.mode & 0o111) !== 0
+          });
+        }
+      }
+    }
+  };
+
+  await readFolder(localDir, "", []);
+
+  return entries;
+};
+
+module.exports = { walkDirectory };